@@ -7,15 +7,36 @@
  */
 
 import {
-    INSS_TABLE,
-    IRRF_TABLE,
-    IRRF_DEPENDENT_DEDUCTION,
-    INSS_CEILING,
-    SALARIO_FAMILIA_LIMIT,
-    SALARIO_FAMILIA_VALUE,
-    SALARIO_MINIMO_2025
+    INSS_TABLES,
+    IRRF_TABLES,
+    SALARIO_MINIMO_TABLES,
+    SALARIO_FAMILIA_TABLES,
+    FERIAS_FALTAS_TABLE,
+    SEGURO_DESEMPREGO_TABLES,
+    SEGURO_DESEMPREGO_REGRAS,
+    SEGURO_DESEMPREGO_DOMESTICO,
+    FERIADOS_NACIONAIS,
+    ADICIONAL_NOTURNO_REGRAS,
+    HORA_NOTURNA_REDUZIDA_MINUTOS,
+    TOLERANCIA_PONTO,
+    FGTS_ALIQUOTA,
+    FGTS_JUROS_ANUAIS,
+    TR_TABLES,
+    CONTRACT_TYPES,
+    AFASTAMENTO_TYPES,
+    AFASTAMENTO_LIMITE_FERIAS_DIAS,
+    ESTABILIDADE_TYPES,
+    PRAZO_PAGAMENTO_RESCISAO_DIAS,
+    MULTA_ART_467,
+    ENCARGOS_EMPREGADOR,
+    REGIMES_TRIBUTARIOS,
+    ENCARGOS_DOMESTICO,
+    SIMPLES_NACIONAL_ANEXOS,
+    FATOR_R_MINIMO,
+    LUCRO_PRESUMIDO,
+    PRO_LABORE_INSS
 } from './config.js';
-import { formatCurrency, formatAsCurrency } from './utils.js';
+import { formatCurrency, formatAsCurrency, formatDate, roundMoney, sumMoney, toCents, fromCents } from './utils.js';
 
 // Re-export formatAsCurrency to make it available from calculations module
 export { formatAsCurrency };
@@ -46,25 +67,26 @@ export function calculateNetSalary(grossSalary, dependents = 0, otherDiscounts =
 
     // Calculate IRRF (base is gross salary minus INSS)
     const baseIRRF = grossSalary - descontoINSS;
-    const irrfResult = calculateIRRF(baseIRRF, dependents);
+    const irrfResult = calculateIRRF(baseIRRF, dependents, getTaxTables(), { deducoesLegais: descontoINSS });
     const descontoIRRF = irrfResult.value;
 
     // Calculate total discounts
-    const totalDescontos = descontoINSS + descontoIRRF + otherDiscounts;
-    const salarioLiquido = grossSalary - totalDescontos;
+    const totalDescontos = sumMoney([descontoINSS, descontoIRRF, otherDiscounts]);
+    const salarioLiquido = sumMoney([grossSalary, -totalDescontos]);
 
     return {
-        salarioBruto: roundMonetary(grossSalary),
-        salarioLiquido: roundMonetary(Math.max(0, salarioLiquido)),
+        salarioBruto: roundMoney(grossSalary),
+        salarioLiquido: Math.max(0, salarioLiquido),
         descontoINSS: inssResult,
         descontoIRRF: irrfResult,
-        outrosDescontos: roundMonetary(otherDiscounts),
-        totalDescontos: roundMonetary(totalDescontos)
+        outrosDescontos: roundMoney(otherDiscounts),
+        totalDescontos
     };
 }
 
 /**
- * Rounds a number to avoid floating point precision issues
+ * Rounds a quantity that is not money, such as hours, to avoid floating point precision issues.
+ * Amounts in reais go through roundMoney and sumMoney instead.
  * @param {number} value - The number to round
  * @param {number} decimals - Number of decimal places (default: 2)
  * @returns {number} - The rounded number
@@ -74,33 +96,86 @@ function roundToPrecision(value, decimals = 2) {
 }
 
 /**
- * Rounds monetary values to 4 decimal places to match test expectations
- * @param {number} value - The number to round
- * @returns {number} - The rounded number
+ * Picks the version of a table registry in force on a date.
+ * @param {Array<{validFrom: string}>} registry - The versions, ordered by validFrom.
+ * @param {string|null} dia - The reference date (YYYY-MM-DD); when empty, the most recent version is returned.
+ * @returns {object} - The registry entry.
+ */
+function pickVersion(registry, dia) {
+    if (!dia) return registry[registry.length - 1];
+    // Dates before the first version fall back to the oldest table available.
+    return registry.reduce((found, entry) => (entry.validFrom <= dia ? entry : found), registry[0]);
+}
+
+/**
+ * Selects the table versions in force on a given date.
+ * @param {string} [date] - The reference date: a competência (YYYY-MM) or a full date (YYYY-MM-DD).
+ * When omitted, the most recent versions are returned.
+ * @returns {{inss: object, irrf: object, salarioMinimo: object, salarioFamilia: object, seguroDesemprego: object, referencia: string|null}} - The table entries to use.
+ */
+export function getTaxTables(date) {
+    const referencia = date || null;
+    // A competência refers to the first day of its month.
+    const dia = /^\d{4}-\d{2}$/.test(referencia || '') ? `${referencia}-01` : referencia;
+    const pick = registry => pickVersion(registry, dia);
+    return {
+        inss: pick(INSS_TABLES),
+        irrf: pick(IRRF_TABLES),
+        salarioMinimo: pick(SALARIO_MINIMO_TABLES),
+        salarioFamilia: pick(SALARIO_FAMILIA_TABLES),
+        seguroDesemprego: pick(SEGURO_DESEMPREGO_TABLES),
+        referencia
+    };
+}
+
+/**
+ * Resolves the contract rules of the employee data shared by the calculators.
+ * @param {object} [funcionario] - The employee data, with the contract type as a key of CONTRACT_TYPES.
+ * @returns {object} - The rules of the contract type and its key; the standard CLT employee when none is chosen.
  */
-function roundMonetary(value) {
-    return Math.round(value * 10000) / 10000;
+export function getContractType(funcionario = {}) {
+    const tipo = funcionario.tipoContrato in CONTRACT_TYPES ? funcionario.tipoContrato : 'clt';
+    return { tipo, ...CONTRACT_TYPES[tipo] };
 }
 
 /**
  * Calculates the INSS (social security) contribution based on a given salary.
- * The calculation is progressive, based on different tiers.
+ * Since March 2020 the calculation is progressive, based on different tiers; older tables apply
+ * a single rate to the whole salary. The contribution of each tier is rounded to the cent and the
+ * total is their sum, as on the payslip.
  * @param {number} base - The base salary for the calculation.
+ * @param {object} [tabelas] - The table versions from getTaxTables; defaults to the most recent.
  * @returns {{value: number, details: Array<object>}} - An object containing the total INSS value and the details of the calculation.
  */
-export function calculateINSS(base) {
-    let inss = 0;
+export function calculateINSS(base, tabelas = getTaxTables()) {
+    const { progressive, tiers } = tabelas.inss;
+    const details = [];
+
+    if (!progressive) {
+        // The contribution base is capped at the last tier, which is the ceiling.
+        const baseContribuicao = Math.min(base, tiers[tiers.length - 1].limit);
+        const tier = tiers.find(({ limit }) => baseContribuicao <= limit);
+        const inss = baseContribuicao > 0 ? roundMoney(baseContribuicao * tier.rate) : 0;
+        details.push({
+            range: `Até ${formatCurrency(tier.limit)}`,
+            base: formatCurrency(baseContribuicao),
+            rate: `${(tier.rate * 100).toFixed(1)}%`,
+            value: formatCurrency(inss)
+        });
+        return { value: inss, details, baseOriginal: base };
+    }
+
+    const contribuicoes = [];
     let remainingBase = base;
     let previousLimit = 0;
-    const details = [];
 
-    for (const tier of INSS_TABLE) {
+    for (const tier of tiers) {
         if (base > previousLimit) {
             const taxableAmountInTier = Math.min(remainingBase, tier.limit - previousLimit);
             if (taxableAmountInTier <= 0) break;
 
-            const tierInss = taxableAmountInTier * tier.rate;
-            inss += tierInss;
+            const tierInss = roundMoney(taxableAmountInTier * tier.rate);
+            contribuicoes.push(tierInss);
 
             details.push({
                 range: `Até ${formatCurrency(tier.limit)}`,
@@ -114,52 +189,152 @@ export function calculateINSS(base) {
         }
         previousLimit = tier.limit;
     }
-    // The INSS contribution is capped at a ceiling.
-    return { value: roundMonetary(Math.min(inss, INSS_CEILING)), details, baseOriginal: base };
+    // Salary above the last tier is not taxed, which caps the contribution at the ceiling.
+    return { value: sumMoney(contribuicoes), details, baseOriginal: base };
 }
 
 /**
  * Calculates the IRRF (income tax) based on a given salary.
+ * When the legal deductions already taken from the base are informed and the table offers the
+ * desconto simplificado (from May 2023), both paths are computed and the lower tax is withheld.
  * @param {number} base - The base salary for the calculation (already deducted from INSS).
  * @param {number} numDependents - The number of dependents for deduction.
+ * @param {object} [tabelas] - The table versions from getTaxTables; defaults to the most recent.
+ * @param {object} [options]
+ * @param {number} [options.deducoesLegais] - The legal deductions already subtracted from the base (INSS).
+ * The simplified discount replaces them, so without this value only the legal path is computed.
+ * @param {boolean} [options.exclusiva] - Whether the income is taxed exclusively at source (13º salário),
+ * on its own and without the simplified discount.
+ * @param {number} [options.pensaoAlimenticia] - Court-ordered alimony paid out of this income. It is deducted
+ * from the base on the legal path only, since the simplified discount replaces every legal deduction.
  * @returns {{value: number, details: object}} - An object containing the total IRRF value and the details of the calculation.
  */
-export function calculateIRRF(base, numDependents = 0) {
-    const dependentsDeduction = numDependents * IRRF_DEPENDENT_DEDUCTION;
-    const irrfBase = base - dependentsDeduction;
-    let irrf = 0;
-    let details = {};
-
-    for (const tier of IRRF_TABLE) {
-        if (irrfBase <= tier.limit) {
-            irrf = Math.max(0, (irrfBase * tier.rate) - tier.deduction);
-            details = {
-                base: formatCurrency(base),
-                dependentsDeduction: `-${formatCurrency(dependentsDeduction)}`,
-                irrfBase: formatCurrency(irrfBase),
-                rate: `${(tier.rate * 100).toFixed(2)}%`,
-                deduction: `-${formatCurrency(tier.deduction)}`,
-                value: formatCurrency(irrf)
-            };
-            break;
-        }
+export function calculateIRRF(base, numDependents = 0, tabelas = getTaxTables(), { deducoesLegais = null, exclusiva = false, pensaoAlimenticia = 0 } = {}) {
+    const { tiers, dependentDeduction, simplifiedDiscount } = tabelas.irrf;
+    const applyTable = irrfBase => {
+        const tier = tiers.find(({ limit }) => irrfBase <= limit);
+        return { tier, irrf: Math.max(0, roundMoney((irrfBase * tier.rate) - tier.deduction)) };
+    };
+
+    const dependentsDeduction = numDependents * dependentDeduction;
+    const irrfBaseLegal = base - dependentsDeduction - pensaoAlimenticia;
+    const legal = exclusiva
+        ? { method: 'exclusiva', methodLabel: 'Tributação exclusiva', base, irrfBase: irrfBaseLegal }
+        : { method: 'legal', methodLabel: 'Deduções legais', base, irrfBase: irrfBaseLegal };
+    Object.assign(legal, applyTable(legal.irrfBase));
+
+    let simplificado = null;
+    if (simplifiedDiscount && deducoesLegais !== null && !exclusiva) {
+        // The simplified discount replaces INSS and the dependents' deduction, so it starts from the gross income.
+        const rendimento = base + deducoesLegais;
+        simplificado = { method: 'simplificado', methodLabel: 'Desconto simplificado', base: rendimento, irrfBase: rendimento - simplifiedDiscount };
+        Object.assign(simplificado, applyTable(simplificado.irrfBase));
     }
-    return { value: roundToPrecision(irrf, 2), details, baseOriginal: base };
+
+    const chosen = simplificado && simplificado.irrf < legal.irrf ? simplificado : legal;
+    const alternative = simplificado ? (chosen === legal ? simplificado : legal) : null;
+    const details = {
+        method: chosen.method,
+        methodLabel: chosen.methodLabel,
+        base: formatCurrency(chosen.base),
+        dependentsDeduction: `-${formatCurrency(chosen === legal ? dependentsDeduction : 0)}`,
+        simplifiedDiscount: chosen === simplificado ? `-${formatCurrency(simplifiedDiscount)}` : null,
+        pensionDeduction: chosen === legal && pensaoAlimenticia > 0 ? `-${formatCurrency(pensaoAlimenticia)}` : null,
+        irrfBase: formatCurrency(chosen.irrfBase),
+        rate: `${(chosen.tier.rate * 100).toFixed(2)}%`,
+        deduction: `-${formatCurrency(chosen.tier.deduction)}`,
+        value: formatCurrency(chosen.irrf),
+        alternative: alternative ? { method: alternative.method, methodLabel: alternative.methodLabel, value: formatCurrency(alternative.irrf) } : null
+    };
+    return { value: chosen.irrf, details, baseOriginal: base };
 }
 
 /**
  * Calculates the "Salário Família" benefit.
  * @param {number} salarioBruto - The gross salary.
  * @param {number} numFilhos - The number of eligible children.
+ * @param {object} [tabelas] - The table versions from getTaxTables; defaults to the most recent.
  * @returns {number} - The total value of the benefit.
  */
-export function calculateSalarioFamilia(salarioBruto, numFilhos) {
-    if (salarioBruto <= SALARIO_FAMILIA_LIMIT && numFilhos > 0) {
-        return numFilhos * SALARIO_FAMILIA_VALUE;
+export function calculateSalarioFamilia(salarioBruto, numFilhos, tabelas = getTaxTables()) {
+    const { value, limit } = tabelas.salarioFamilia;
+    if (salarioBruto <= limit && numFilhos > 0) {
+        return roundMoney(numFilhos * value);
     }
     return 0;
 }
 
+/**
+ * Calculates the court-ordered alimony (pensão alimentícia) and the IRRF withheld alongside it.
+ * The pension is a percentage of the gross income, of the net income or of the minimum wage, or a
+ * fixed amount, each multiplied by the number of beneficiaries. The net income is taken after INSS
+ * and IRRF, but the pension itself reduces the IRRF base, so a net-based pension is found by
+ * iterating until pension and tax agree.
+ * @param {object} state - The calculator's slice of the application state, with the pensao* fields.
+ * @param {object} params
+ * @param {number} params.rendimento - The gross taxable income the pension is drawn from.
+ * @param {number} params.descontoINSS - The INSS withheld from that income.
+ * @param {number} [params.dependentes] - The number of dependents for the IRRF.
+ * @param {object} [params.tabelas] - The table versions from getTaxTables; defaults to the most recent.
+ * @param {boolean} [params.exclusiva] - Whether the income is taxed exclusively at source (13º salário).
+ * @returns {{value: number, details: object|null, irrfResult: object}} - The pension, how it was obtained,
+ * and the IRRF result with the pension deducted.
+ */
+export function calculatePensaoAlimenticia(state, { rendimento, descontoINSS, dependentes = 0, tabelas = getTaxTables(), exclusiva = false }) {
+    const {
+        pensaoTipo = 'nenhuma',
+        pensaoPercentual = 0,
+        pensaoValor = 0,
+        pensaoBeneficiarios = 1
+    } = state;
+
+    const irrfFor = pensao => calculateIRRF(rendimento - descontoINSS, dependentes, tabelas, {
+        deducoesLegais: exclusiva ? null : descontoINSS,
+        exclusiva,
+        pensaoAlimenticia: pensao
+    });
+
+    const beneficiarios = Math.max(1, pensaoBeneficiarios || 1);
+    const taxa = (pensaoPercentual / 100) * beneficiarios;
+    let base = 0;
+    let pensao = 0;
+    switch (pensaoTipo) {
+        case 'percentual_bruto':
+            base = rendimento;
+            pensao = base * taxa;
+            break;
+        case 'percentual_salario_minimo':
+            base = tabelas.salarioMinimo.value;
+            pensao = base * taxa;
+            break;
+        case 'valor_fixo':
+            base = pensaoValor;
+            pensao = pensaoValor * beneficiarios;
+            break;
+        case 'percentual_liquido':
+            // Each round lowers the IRRF by at most the marginal rate times the change in the pension,
+            // so the sequence converges quickly.
+            for (let i = 0; i < 50; i++) {
+                base = rendimento - descontoINSS - irrfFor(pensao).value;
+                const proxima = base * taxa;
+                const convergiu = Math.abs(proxima - pensao) < 0.005;
+                pensao = proxima;
+                if (convergiu) break;
+            }
+            break;
+        default:
+            return { value: 0, details: null, irrfResult: irrfFor(0) };
+    }
+
+    // The pension cannot take more than what is left after INSS.
+    pensao = roundMoney(Math.max(0, Math.min(pensao, rendimento - descontoINSS)));
+    return {
+        value: pensao,
+        details: { tipo: pensaoTipo, percentual: pensaoPercentual, beneficiarios, base: roundMoney(base) },
+        irrfResult: irrfFor(pensao)
+    };
+}
+
 /**
  * Calculates detailed discounts based on the calculator state.
  * @param {object} state - The specific calculator's slice of the application state.
@@ -175,331 +350,1991 @@ export function calculateDetailedDiscounts(state, salarioBruto) {
     } = state;
 
     // The VT discount is capped at 6% of the gross salary.
-    const valorDescontoVT = Math.min(salarioBruto * 0.06, descontoVt);
+    const valorDescontoVT = roundMoney(Math.min(salarioBruto * 0.06, descontoVt));
 
     const discounts = {
         valeTransporte: valorDescontoVT,
-        valeRefeicao: descontoVr,
-        planoSaude: descontoSaude,
-        adiantamentos: descontoAdiantamentos,
+        valeRefeicao: roundMoney(descontoVr),
+        planoSaude: roundMoney(descontoSaude),
+        adiantamentos: roundMoney(descontoAdiantamentos),
     };
 
-    const total = Object.values(discounts).reduce((sum, val) => sum + val, 0);
+    const total = sumMoney(Object.values(discounts));
 
     return { ...discounts, total };
 }
 
 
+/**
+ * Returns the vacation days an employee is entitled to after unjustified absences (CLT Art. 130).
+ * @param {number} faltas - The number of unjustified absences in the acquisition period.
+ * @returns {number} - The entitled days: 30, 24, 18, 12 or 0.
+ */
+export function calculateDiasFeriasPorFaltas(faltas = 0) {
+    const tier = FERIAS_FALTAS_TABLE.find(({ maxFaltas }) => faltas <= maxFaltas);
+    return tier ? tier.dias : 0;
+}
+
+/**
+ * Moves a competência by a number of months, e.g. "2025-01" - 1 = "2024-12".
+ * @param {string} competencia - The competência (YYYY-MM).
+ * @param {number} meses - The months to add, negative to go back.
+ * @returns {string} - The resulting competência (YYYY-MM).
+ */
+function shiftCompetencia(competencia, meses) {
+    return toISODate(addMonths(new Date(competencia + '-01T00:00:00'), meses)).slice(0, 7);
+}
+
+/**
+ * Averages the variable pay of the salary history over a period. Only the months filled in the history
+ * count, so months before the admission or away from work do not lower the average.
+ * When the current salary is informed, the overtime and night premium of each month are updated by the
+ * salary adjustments since then: the average is of the hours worked, paid at the current hourly rate
+ * (Súmula 347 do TST).
+ * @param {object} historico - The pay of each month keyed by competência (YYYY-MM), with salario, horasExtras,
+ * adicionalNoturno, comissoes and bonus.
+ * @param {string} inicio - The first competência of the period (YYYY-MM).
+ * @param {string} fim - The last competência of the period (YYYY-MM).
+ * @param {number} [salarioAtual] - The current salary, to apply the salary adjustments.
+ * @returns {object|null} - The averages and the months used, or null when no month of the period was filled.
+ */
+export function calculateMediasHistorico(historico = {}, inicio, fim, salarioAtual = 0) {
+    const meses = [];
+    for (let mes = inicio; mes <= fim; mes = shiftCompetencia(mes, 1)) {
+        const { salario = 0, horasExtras = 0, adicionalNoturno = 0, comissoes = 0, bonus = 0 } = historico[mes] || {};
+        if (salario + horasExtras + adicionalNoturno + comissoes + bonus <= 0) continue;
+        const fator = salarioAtual > 0 && salario > 0 ? salarioAtual / salario : 1;
+        meses.push({
+            mes,
+            salario,
+            fator: roundToPrecision(fator, 4),
+            horasExtras: roundMoney(horasExtras * fator),
+            adicionalNoturno: roundMoney(adicionalNoturno * fator),
+            comissoes,
+            bonus
+        });
+    }
+    if (meses.length === 0) return null;
+
+    const media = campo => roundMoney(sumMoney(meses.map(mes => mes[campo])) / meses.length);
+    return {
+        inicio,
+        fim,
+        meses,
+        reajustado: meses.some(mes => mes.fator !== 1),
+        mediaHorasExtras: media('horasExtras'),
+        mediaAdicionalNoturno: media('adicionalNoturno'),
+        mediaComissoes: media('comissoes'),
+        mediaBonus: media('bonus')
+    };
+}
+
+/**
+ * Turns the salary history into the remuneration in force from each month, for the FGTS projection. Every
+ * filled competência of the contract counts with all its pay (Lei 8.036/90, Art. 15); a month left blank keeps
+ * the remuneration of the month before, and the months before the first filled one take its value.
+ * @param {object} historico - The pay of each month keyed by competência (YYYY-MM).
+ * @param {string} dataAdmissao - The admission date (YYYY-MM-DD).
+ * @param {string} dataFim - The dismissal date (YYYY-MM-DD).
+ * @returns {Array<{inicio: string, salario: number}>} - The remuneration in force from each filled month, oldest
+ * first, or an empty list when no month of the contract was filled.
+ */
+function listRemuneracoesHistorico(historico = {}, dataAdmissao, dataFim) {
+    return Object.keys(historico)
+        .filter(mes => mes >= dataAdmissao.slice(0, 7) && mes < dataFim.slice(0, 7))
+        .sort()
+        .map(mes => {
+            const { salario = 0, horasExtras = 0, adicionalNoturno = 0, comissoes = 0, bonus = 0 } = historico[mes] || {};
+            return { inicio: `${mes}-01`, salario: sumMoney([salario, horasExtras, adicionalNoturno, comissoes, bonus]) };
+        })
+        .filter(({ salario }) => salario > 0);
+}
+
+/**
+ * Describes the averages taken from the salary history, for the notes of a calculation.
+ * @param {object} medias - The averages returned by calculateMediasHistorico.
+ * @returns {string} - The description.
+ */
+function describeMediasHistorico({ inicio, fim, meses, reajustado, mediaHorasExtras, mediaAdicionalNoturno, mediaComissoes, mediaBonus }) {
+    const formatMes = mes => `${mes.slice(5)}/${mes.slice(0, 4)}`;
+    const valores = `horas extras ${formatCurrency(mediaHorasExtras)}, adicional noturno ${formatCurrency(mediaAdicionalNoturno)}, comissões ${formatCurrency(mediaComissoes)} e bônus ${formatCurrency(mediaBonus)}`;
+    return `Médias de ${meses.length} ${meses.length === 1 ? 'mês' : 'meses'} do histórico de remuneração (${formatMes(inicio)} a ${formatMes(fim)}): ${valores}${reajustado ? ', com as horas extras e o adicional noturno atualizados pelos reajustes do salário (Súmula 347 do TST)' : ''}.`;
+}
+
+/**
+ * Lists the variable pay that joins a calculation base: the averages of the salary history when it has
+ * months in the period, otherwise the averages typed in the calculator.
+ * @param {object|null} medias - The averages returned by calculateMediasHistorico.
+ * @param {object} calculatorState - The calculator state with mediaHorasExtras, mediaAdicionalNoturno and mediaComissoes.
+ * @returns {Array<number>} - The amounts to add to the base.
+ */
+function listVariaveis(medias, { mediaHorasExtras = 0, mediaAdicionalNoturno = 0, mediaComissoes = 0 }) {
+    return medias
+        ? [medias.mediaHorasExtras, medias.mediaAdicionalNoturno, medias.mediaComissoes, medias.mediaBonus]
+        : [mediaHorasExtras, mediaAdicionalNoturno, mediaComissoes];
+}
+
+/**
+ * Calculates the amount that tops up the pay of a commission earner to the minimum wage. The guarantee
+ * covers the whole remuneration, so a mixed earner only receives the difference between the fixed salary
+ * plus the commissions and the minimum wage (Art. 7º, VII of the Constitution and Lei nº 8.716/1993).
+ * @param {number} remuneracao - The fixed salary plus the commissions and the other variable pay.
+ * @param {number} comissoes - The commissions in the remuneration; without them there is no guarantee to apply.
+ * @param {object} tabelas - The tables in force, with the minimum wage.
+ * @returns {number} - The complement, or 0 when the remuneration reaches the minimum wage.
+ */
+function calculateGarantiaMinima(remuneracao, comissoes, tabelas) {
+    return comissoes > 0 ? Math.max(0, sumMoney([tabelas.salarioMinimo.value, -remuneracao])) : 0;
+}
+
+/**
+ * Describes the minimum wage complement of a commission earner, for the notes of a calculation.
+ * @param {number} complemento - The complement returned by calculateGarantiaMinima.
+ * @param {object} tabelas - The tables in force, with the minimum wage.
+ * @returns {string} - The description.
+ */
+function describeGarantiaMinima(complemento, tabelas) {
+    return `O salário fixo com as comissões não alcança o salário mínimo de ${formatCurrency(tabelas.salarioMinimo.value)}, por isso a base recebe o complemento de ${formatCurrency(complemento)} (Lei nº 8.716/1993).`;
+}
+
 /**
  * Calculates vacation pay based on the vacation state.
+ * The estagiário's recesso is paid without the 1/3 and the INSS, and the intermitente, already paid
+ * at the end of each call, receives nothing for the rest period.
  * @param {object} feriasState - The vacation-specific slice of the application state.
+ * @param {object} [funcionario] - The employee data shared by the calculators, with the contract type.
  * @returns {object} - An object containing all calculated vacation pay details.
  */
-export function calculateFerias(feriasState) {
+export function calculateFerias(feriasState, funcionario = {}) {
     const {
         salarioBruto,
-        diasFerias,
         dependentes,
-        mediaHorasExtras,
-        mediaAdicionalNoturno,
         periculosidade,
         insalubridadeGrau,
         insalubridadeBase,
         abonoPecuniario,
-        adiantarDecimo
+        adiantarDecimo,
+        faltasInjustificadas = 0,
+        competencia = '',
+        dataAdmissao = ''
     } = feriasState;
 
+    const tabelas = getTaxTables(competencia);
+    const contrato = getContractType(funcionario);
+    const observacoes = [];
+    if (!contrato.empregado) {
+        observacoes.push('O estagiário tem recesso remunerado, sem o 1/3 constitucional, sem abono pecuniário e sem INSS (Art. 13 da Lei nº 11.788/2008).');
+    }
+    if (contrato.pagamentoPorConvocacao) {
+        observacoes.push('O intermitente recebe as férias + 1/3 proporcionais ao fim de cada convocação, e o mês de férias não é pago de novo (Art. 452-A, §§6º e 9º da CLT).');
+    }
+    // The variable pay is averaged over the 12 months before the férias (Art. 142, §§1º and 5º).
+    const fimMedias = competencia ? shiftCompetencia(competencia, -1) : funcionario.historicoFim;
+    const medias = fimMedias ? calculateMediasHistorico(funcionario.historico, shiftCompetencia(fimMedias, -11), fimMedias, salarioBruto) : null;
+    if (medias) {
+        observacoes.push(describeMediasHistorico(medias));
+    }
+    const podeVender = contrato.empregado && !contrato.pagamentoPorConvocacao;
+
+    // The férias are taken for the last acquisition period completed before they start, counted from the
+    // admission and moved by the leaves of absence, which can also extend or lose it
+    let periodo = null;
+    if (competencia && dataAdmissao) {
+        const inicioFerias = new Date(competencia + '-01T00:00:00');
+        const fimAquisicao = toISODate(addDays(inicioFerias, -1));
+        periodo = calculatePeriodosAquisitivos(dataAdmissao, fimAquisicao, fimAquisicao, funcionario.afastamentos).pop() || null;
+        if (!periodo) {
+            const emCurso = listPeriodosAquisitivos(new Date(dataAdmissao + 'T00:00:00'), addDays(inicioFerias, -1), normalizeAfastamentos(funcionario.afastamentos)).pop();
+            if (emCurso) {
+                periodo = { ...emCurso, inicio: toISODate(emCurso.inicio), fim: toISODate(emCurso.fim) };
+                observacoes.push(`As férias começam antes de completar o período aquisitivo iniciado em ${formatDate(periodo.inicio)}, que termina em ${formatDate(periodo.fim)}; antes disso só cabem férias coletivas, proporcionais ao tempo de serviço (Arts. 130 e 140 da CLT).`);
+            }
+        }
+    } else if ((funcionario.afastamentos || []).length > 0) {
+        observacoes.push('Informe a data de admissão e a competência para considerar os afastamentos no período aquisitivo.');
+    }
+    const periodoPerdido = Boolean(periodo && periodo.perdido);
+    const descricaoPeriodo = periodo ? describePeriodoAfastamentos(periodo) : null;
+    if (descricaoPeriodo) {
+        observacoes.push(descricaoPeriodo);
+    }
+
+    // Unjustified absences cap the days that can be taken (Art. 130)
+    const diasDireito = periodoPerdido ? 0 : calculateDiasFeriasPorFaltas(faltasInjustificadas);
+    const diasFerias = Math.min(feriasState.diasFerias, diasDireito);
+
     const adicionalPericulosidade = periculosidade ? salarioBruto * 0.30 : 0;
     let adicionalInsalubridade = 0;
     if (insalubridadeGrau > 0) {
-        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? SALARIO_MINIMO_2025 : salarioBruto;
+        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? tabelas.salarioMinimo.value : salarioBruto;
         adicionalInsalubridade = baseCalculoInsalubridade * (insalubridadeGrau / 100);
     }
 
-    const adicionalRisco = Math.max(adicionalPericulosidade, adicionalInsalubridade);
+    const adicionalRisco = roundMoney(Math.max(adicionalPericulosidade, adicionalInsalubridade));
 
-    const baseDeCalculo = salarioBruto + mediaHorasExtras + mediaAdicionalNoturno + adicionalRisco;
-    const valorFerias = (baseDeCalculo / 30) * diasFerias;
-    const tercoConstitucional = valorFerias / 3;
+    // A commission earner's average joins the base and the minimum wage is guaranteed on it
+    const variaveis = listVariaveis(medias, feriasState);
+    const complementoMinimo = calculateGarantiaMinima(sumMoney([salarioBruto, ...variaveis]), medias ? medias.mediaComissoes : feriasState.mediaComissoes, tabelas);
+    if (complementoMinimo > 0) {
+        observacoes.push(describeGarantiaMinima(complementoMinimo, tabelas));
+    }
+    const baseDeCalculo = sumMoney([salarioBruto, ...variaveis, complementoMinimo, adicionalRisco]);
+    const valorFerias = contrato.pagamentoPorConvocacao ? 0 : roundMoney((baseDeCalculo / 30) * diasFerias);
+    const tercoConstitucional = contrato.empregado ? roundMoney(valorFerias / 3) : 0;
 
     let valorAbono = 0;
     let tercoAbono = 0;
-    if (abonoPecuniario) {
+    if (abonoPecuniario && podeVender) {
         const diasVendidos = diasFerias / 3;
-        valorAbono = (baseDeCalculo / 30) * diasVendidos;
-        tercoAbono = valorAbono / 3;
+        valorAbono = roundMoney((baseDeCalculo / 30) * diasVendidos);
+        tercoAbono = roundMoney(valorAbono / 3);
     }
 
-    const adiantamento13 = adiantarDecimo ? salarioBruto / 2 : 0;
-    const totalProventos = valorFerias + tercoConstitucional + valorAbono + tercoAbono + adiantamento13;
+    const adiantamento13 = adiantarDecimo && podeVender ? roundMoney(salarioBruto / 2) : 0;
+    const totalProventos = sumMoney([valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13]);
 
-    const baseINSS = valorFerias + tercoConstitucional;
-    const inssResult = calculateINSS(baseINSS);
+    const baseINSS = sumMoney([valorFerias, tercoConstitucional]);
+    const inssResult = calculateINSS(contrato.empregado ? baseINSS : 0, tabelas);
     const descontoINSS = inssResult.value;
 
-    const baseIRRF = baseINSS - descontoINSS;
-    const irrfResult = calculateIRRF(baseIRRF, dependentes);
+    const pensaoResult = calculatePensaoAlimenticia(feriasState, { rendimento: baseINSS, descontoINSS, dependentes, tabelas });
+    const irrfResult = pensaoResult.irrfResult;
     const descontoIRRF = irrfResult.value;
 
-    const totalDescontos = descontoINSS + descontoIRRF;
-    const valorLiquido = totalProventos - totalDescontos;
+    const totalDescontos = sumMoney([descontoINSS, descontoIRRF, pensaoResult.value]);
+    const valorLiquido = sumMoney([totalProventos, -totalDescontos]);
 
     return {
-        salarioBruto: roundMonetary(salarioBruto),
-        baseDeCalculo: roundMonetary(baseDeCalculo),
-        valorFerias: roundMonetary(valorFerias),
-        tercoConstitucional: roundMonetary(tercoConstitucional),
-        valorAbono: roundMonetary(valorAbono),
-        tercoAbono: roundMonetary(tercoAbono),
-        adiantamento13: roundMonetary(adiantamento13),
-        totalProventos: roundMonetary(totalProventos),
+        salarioBruto: roundMoney(salarioBruto),
+        complementoMinimo,
+        baseDeCalculo,
+        valorFerias,
+        tercoConstitucional,
+        valorAbono,
+        tercoAbono,
+        adiantamento13,
+        totalProventos,
         descontoINSS: inssResult,
         descontoIRRF: irrfResult,
-        totalDescontos: roundMonetary(totalDescontos),
-        valorLiquido: roundMonetary(valorLiquido),
-        venderFerias: abonoPecuniario,
-        adiantarDecimo,
-        diasFerias
+        descontoPensao: pensaoResult,
+        totalDescontos,
+        valorLiquido,
+        venderFerias: abonoPecuniario && podeVender,
+        adiantarDecimo: adiantarDecimo && podeVender,
+        diasFerias,
+        diasDireito,
+        periodoAquisitivo: periodo,
+        medias,
+        contrato,
+        observacoes,
+        tabelas
     };
 }
 
 /**
  * Calculates 13th salary based on the 13th salary state.
+ * The estagiário has no 13º, and the intermitente receives it at the end of each call instead.
  * @param {object} decimoState - The 13th-salary-specific slice of the application state.
+ * @param {object} [funcionario] - The employee data shared by the calculators, with the contract type.
  * @returns {object} - An object containing all calculated 13th salary details.
  */
-export function calculateDecimoTerceiro(decimoState) {
+export function calculateDecimoTerceiro(decimoState, funcionario = {}) {
     const {
         salarioBruto,
         mesesTrabalhados,
         dependentes,
         adiantamentoRecebido,
-        mediaHorasExtras,
-        mediaAdicionalNoturno,
         periculosidade,
         insalubridadeGrau,
-        insalubridadeBase
+        insalubridadeBase,
+        competencia = ''
     } = decimoState;
 
+    const tabelas = getTaxTables(competencia);
+
     const adicionalPericulosidade = periculosidade ? salarioBruto * 0.30 : 0;
     let adicionalInsalubridade = 0;
     if (insalubridadeGrau > 0) {
-        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? SALARIO_MINIMO_2025 : salarioBruto;
+        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? tabelas.salarioMinimo.value : salarioBruto;
         adicionalInsalubridade = baseCalculoInsalubridade * (insalubridadeGrau / 100);
     }
-    const adicionalRisco = Math.max(adicionalPericulosidade, adicionalInsalubridade);
-
-    const baseDeCalculo = salarioBruto + mediaHorasExtras + mediaAdicionalNoturno + adicionalRisco;
-    const valorBrutoDecimo = (baseDeCalculo / 12) * mesesTrabalhados;
+    const adicionalRisco = roundMoney(Math.max(adicionalPericulosidade, adicionalInsalubridade));
+
+    // The variable pay is averaged over the months of the calendar year before the payment, so the December
+    // payment takes January to November.
+    const fimMedias = competencia ? shiftCompetencia(competencia, -1) : funcionario.historicoFim;
+    const medias = fimMedias ? calculateMediasHistorico(funcionario.historico, `${fimMedias.slice(0, 4)}-01`, fimMedias, salarioBruto) : null;
+    const variaveis = listVariaveis(medias, decimoState);
+    const complementoMinimo = calculateGarantiaMinima(sumMoney([salarioBruto, ...variaveis]), medias ? medias.mediaComissoes : decimoState.mediaComissoes, tabelas);
+    const baseDeCalculo = sumMoney([salarioBruto, ...variaveis, complementoMinimo, adicionalRisco]);
+
+    const contrato = getContractType(funcionario);
+    const observacoes = [];
+    if (!contrato.empregado) {
+        observacoes.push('O estágio não cria vínculo de emprego, por isso não há 13º salário (Art. 3º da Lei nº 11.788/2008).');
+    }
+    if (contrato.pagamentoPorConvocacao) {
+        observacoes.push('O intermitente recebe o 13º proporcional ao fim de cada convocação (Art. 452-A, §6º da CLT).');
+    }
+    if (medias) {
+        observacoes.push(describeMediasHistorico(medias));
+    }
+    if (complementoMinimo > 0) {
+        observacoes.push(describeGarantiaMinima(complementoMinimo, tabelas));
+    }
+    // The leaves of absence take the avos of the months of the year left with less than 15 days worked
+    const mesesAfastado = competencia
+        ? calculateAvos(`${competencia.slice(0, 4)}-01-01`, `${competencia.slice(0, 4)}-12-31`, funcionario.afastamentos).decimoTerceiro.meses
+            .filter(mes => !mes.conta)
+            .map(mes => mes.mes)
+        : [];
+    if (mesesAfastado.length > 0) {
+        observacoes.push(describeAvosAfastamentos(mesesAfastado));
+    } else if (!competencia && (funcionario.afastamentos || []).length > 0) {
+        observacoes.push('Informe a competência para descontar os afastamentos dos meses trabalhados.');
+    }
+    const mesesComAvo = Math.max(0, mesesTrabalhados - mesesAfastado.length);
+    const devido = contrato.empregado && !contrato.pagamentoPorConvocacao;
+    const valorBrutoDecimo = devido ? roundMoney((baseDeCalculo / 12) * mesesComAvo) : 0;
 
-    const inssResult = calculateINSS(valorBrutoDecimo);
+    const inssResult = calculateINSS(valorBrutoDecimo, tabelas);
     const descontoINSS = inssResult.value;
 
-    const baseIRRF = valorBrutoDecimo - descontoINSS;
-    const irrfResult = calculateIRRF(baseIRRF, dependentes);
+    // The 13º is taxed exclusively at source, apart from the other income of the month (Lei 7.713/88, Art. 26).
+    const pensaoResult = calculatePensaoAlimenticia(decimoState, { rendimento: valorBrutoDecimo, descontoINSS, dependentes, tabelas, exclusiva: true });
+    const irrfResult = pensaoResult.irrfResult;
     const descontoIRRF = irrfResult.value;
 
-    const totalDescontos = descontoINSS + descontoIRRF;
-    const valorLiquidoDecimo = valorBrutoDecimo - totalDescontos;
-    const valorAReceber = valorLiquidoDecimo - adiantamentoRecebido;
+    const totalDescontos = sumMoney([descontoINSS, descontoIRRF, pensaoResult.value]);
+    const valorLiquidoDecimo = sumMoney([valorBrutoDecimo, -totalDescontos]);
+    const valorAReceber = sumMoney([valorLiquidoDecimo, -adiantamentoRecebido]);
 
     return {
-        salarioBruto,
+        salarioBruto: roundMoney(salarioBruto),
+        complementoMinimo,
         baseDeCalculo,
-        mesesTrabalhados,
+        mesesTrabalhados: mesesComAvo,
+        mesesAfastado,
         valorBrutoDecimo,
         descontoINSS: inssResult,
         descontoIRRF: irrfResult,
+        descontoPensao: pensaoResult,
         totalDescontos,
         valorLiquidoDecimo,
-        adiantamentoRecebido,
-        valorAReceber: Math.max(0, valorAReceber)
+        adiantamentoRecebido: roundMoney(adiantamentoRecebido),
+        valorAReceber: Math.max(0, valorAReceber),
+        medias,
+        contrato,
+        observacoes,
+        tabelas
+    };
+}
+
+/**
+ * Calculates the overtime pay from the hours worked: 50% on regular days, 100% on Sundays and holidays
+ * and a custom rate from a collective agreement (CF Art. 7º, XVI and Lei 605/49, Art. 9º).
+ * @param {object} liquidoState - The net salary state with the overtime hours.
+ * @param {number} valorHora - The value of a normal hour, including the risk premium (Súmula 264 do TST).
+ * @returns {{valorHora: number, linhas: Array<{descricao: string, horas: number, percentual: number, valor: number}>, total: number}}
+ */
+export function calculateHorasExtras(liquidoState, valorHora) {
+    const { horasExtras50 = 0, horasExtras100 = 0, horasExtrasOutras = 0, percentualHorasExtrasOutras = 0 } = liquidoState;
+    const linhas = [
+        { descricao: 'Horas Extras 50%', horas: horasExtras50, percentual: 50 },
+        { descricao: 'Horas Extras 100% (domingos e feriados)', horas: horasExtras100, percentual: 100 },
+        { descricao: `Horas Extras ${percentualHorasExtrasOutras}% (convenção coletiva)`, horas: horasExtrasOutras, percentual: percentualHorasExtrasOutras }
+    ]
+        .filter(linha => linha.horas > 0)
+        .map(linha => ({ ...linha, valor: roundMoney(linha.horas * valorHora * (1 + linha.percentual / 100)) }));
+
+    return {
+        valorHora: roundToPrecision(valorHora, 4),
+        linhas,
+        total: sumMoney(linhas.map(linha => linha.valor))
+    };
+}
+
+/**
+ * Converts a "HH:MM" time into minutes since midnight.
+ * @param {string} horario - The time.
+ * @returns {number} - The minutes, or NaN when the time is invalid.
+ */
+function toMinutes(horario) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(horario || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Splits one shift into night hours for the adicional noturno.
+ * Clock time inside the night window of the regime is nocturnal. When the shift covers the whole window, or
+ * is mostly worked inside it, and goes on after it, the extended time is nocturnal as well (Súmula 60, II do
+ * TST, which the TST also applies to a shift that starts after the window opens). For urban workers
+ * each clock hour counts as a reduced 52'30" hour (CLT Art. 73, §1º); rural workers have no reduced hour.
+ * @param {string} inicio - The shift start (HH:MM).
+ * @param {string} fim - The shift end (HH:MM); an end before the start means the shift crosses midnight.
+ * @param {string} [regime] - A key of ADICIONAL_NOTURNO_REGRAS.
+ * @returns {{horasRelogio: number, horasProrrogadas: number, horasComputadas: number, percentual: number}} - The
+ * clock hours inside the window, the extended hours and the hours paid with the premium.
+ */
+export function calculateJornadaNoturna(inicio, fim, regime = 'urbano') {
+    const regra = ADICIONAL_NOTURNO_REGRAS[regime] || ADICIONAL_NOTURNO_REGRAS.urbano;
+    const dia = 24 * 60;
+    const inicioJornada = toMinutes(inicio);
+    let fimJornada = toMinutes(fim);
+    if (isNaN(inicioJornada) || isNaN(fimJornada) || inicioJornada === fimJornada) {
+        return { horasRelogio: 0, horasProrrogadas: 0, horasComputadas: 0, percentual: regra.percentual };
+    }
+    if (fimJornada < inicioJornada) fimJornada += dia;
+
+    const inicioJanela = toMinutes(regra.inicio);
+    const fimJanela = toMinutes(regra.fim) + dia;
+    let minutosNoturnos = 0;
+    let minutosProrrogados = 0;
+    // The shift spans at most two calendar days, so it can touch the window of the previous night,
+    // of the same night or of the next one.
+    for (const deslocamento of [-dia, 0, dia]) {
+        const janelaInicio = inicioJanela + deslocamento;
+        const janelaFim = fimJanela + deslocamento;
+        const minutosJanela = Math.max(0, Math.min(fimJornada, janelaFim) - Math.max(inicioJornada, janelaInicio));
+        minutosNoturnos += minutosJanela;
+        const predominantementeNoturna = minutosJanela * 2 > fimJornada - inicioJornada;
+        if (minutosJanela > 0 && fimJornada > janelaFim && (inicioJornada <= janelaInicio || predominantementeNoturna)) {
+            minutosProrrogados += fimJornada - janelaFim;
+        }
+    }
+
+    const fator = regra.horaReduzida ? 60 / HORA_NOTURNA_REDUZIDA_MINUTOS : 1;
+    return {
+        horasRelogio: minutosNoturnos / 60,
+        horasProrrogadas: minutosProrrogados / 60,
+        horasComputadas: roundToPrecision(((minutosNoturnos + minutosProrrogados) / 60) * fator, 4),
+        percentual: regra.percentual
+    };
+}
+
+/**
+ * Lists the national holidays in force in a year.
+ * @param {number} ano - The year.
+ * @returns {string[]} - The holidays as MM-DD.
+ */
+function listFeriadosNacionais(ano) {
+    return FERIADOS_NACIONAIS
+        .filter(feriado => !feriado.validFrom || feriado.validFrom <= `${ano}-${feriado.dia}`)
+        .map(feriado => feriado.dia);
+}
+
+/**
+ * Counts the business days and the rest days of a competência for the DSR (Lei 605/49).
+ * Sundays and the national holidays are rest days; Saturdays are business days.
+ * @param {string} competencia - The month (YYYY-MM).
+ * @returns {{diasUteis: number, diasDescanso: number}} - Zero days when the competência is empty or invalid.
+ */
+export function calculateDiasDsr(competencia) {
+    if (!/^\d{4}-\d{2}$/.test(competencia || '')) return { diasUteis: 0, diasDescanso: 0 };
+
+    const [ano, mes] = competencia.split('-').map(Number);
+    const feriados = listFeriadosNacionais(ano);
+    let diasUteis = 0;
+    let diasDescanso = 0;
+    for (let dia = 1; dia <= new Date(ano, mes, 0).getDate(); dia++) {
+        const chave = `${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+        if (new Date(ano, mes - 1, dia).getDay() === 0 || feriados.includes(chave)) {
+            diasDescanso++;
+        } else {
+            diasUteis++;
+        }
+    }
+    return { diasUteis, diasDescanso };
+}
+
+/**
+ * Totals a monthly timesheet (cartão de ponto) against the contractual schedule of the weekdays.
+ * Markings that vary up to 5 minutes each, within 10 minutes a day, are disregarded (CLT Art. 58, §1º);
+ * beyond that the whole variation counts (Súmula 366 do TST). Saturdays are not scheduled, so the work on
+ * them is overtime at 50%, and on Sundays and holidays at 100%. A weekday without markings that was not
+ * excused is an absence, and each week with an absence also loses its DSR (Lei 605/49, Art. 6º). The night
+ * hours follow the window of the chosen regime.
+ * @param {object} pontoState - The competência, the contractual schedule, the night work regime and the markings of each day.
+ * @returns {{jornada: number, dias: object[], totais: object}} - The daily schedule and the rows in minutes, and the month totals in hours.
+ */
+export function calculateCartaoPonto(pontoState) {
+    const { competencia = '', horarioEntrada = '', horarioSaida = '', intervaloMinutos = 0, regimeNoturno = 'urbano', registros = {} } = pontoState;
+    const minutosDia = 24 * 60;
+    const entradaPrevista = toMinutes(horarioEntrada);
+    let saidaPrevista = toMinutes(horarioSaida);
+    if (saidaPrevista <= entradaPrevista) saidaPrevista += minutosDia;
+    const jornada = Math.max(0, saidaPrevista - entradaPrevista - intervaloMinutos) || 0;
+
+    const totais = { diasTrabalhados: 0, horasNormais: 0, horasExtras50: 0, horasExtras100: 0, horasNoturnas: 0, faltas: 0, dsrDescontados: 0, horasAtraso: 0 };
+    if (!/^\d{4}-\d{2}$/.test(competencia) || jornada === 0) return { jornada: 0, dias: [], totais };
+
+    const [ano, mes] = competencia.split('-').map(Number);
+    const feriados = listFeriadosNacionais(ano);
+    const minutos = { normais: 0, extras50: 0, extras100: 0, noturnos: 0, atraso: 0 };
+    const semanasComFalta = new Set();
+    const dias = [];
+    for (let dia = 1; dia <= new Date(ano, mes, 0).getDate(); dia++) {
+        const data = `${competencia}-${String(dia).padStart(2, '0')}`;
+        const diaSemana = new Date(ano, mes - 1, dia).getDay();
+        const feriado = feriados.includes(data.slice(5));
+        const tipo = diaSemana === 0 || feriado ? 'descanso' : diaSemana === 6 ? 'sabado' : 'util';
+        const { entrada = '', intervaloInicio = '', intervaloFim = '', saida = '', abonado = false } = registros[data] || {};
+        const linha = { data, diaSemana, tipo, feriado, abonado, minutosTrabalhados: 0, minutosExtras: 0, percentualExtra: 0, minutosNoturnos: 0, minutosAtraso: 0, falta: false, tolerancia: false };
+        dias.push(linha);
+
+        const inicio = toMinutes(entrada);
+        let fim = toMinutes(saida);
+        if (isNaN(inicio) || isNaN(fim)) {
+            if (tipo === 'util' && !abonado) {
+                linha.falta = true;
+                totais.faltas++;
+                // Days of the same week share the date of its Sunday
+                semanasComFalta.add(dia - diaSemana);
+            }
+            continue;
+        }
+        if (fim <= inicio) fim += minutosDia;
+
+        // The break is only deducted when both of its markings are filled in
+        const trechos = isNaN(toMinutes(intervaloInicio)) || isNaN(toMinutes(intervaloFim))
+            ? [[entrada, saida]]
+            : [[entrada, intervaloInicio], [intervaloFim, saida]];
+        const trabalhados = trechos.reduce((soma, [de, ate]) => soma + (toMinutes(ate) - toMinutes(de) + minutosDia) % minutosDia, 0);
+        const noturnos = trechos.reduce((soma, [de, ate]) => soma + calculateJornadaNoturna(de, ate, regimeNoturno).horasRelogio * 60, 0)
+            + calculateJornadaNoturna(entrada, saida, regimeNoturno).horasProrrogadas * 60;
+
+        linha.minutosTrabalhados = trabalhados;
+        linha.minutosNoturnos = Math.round(noturnos);
+        totais.diasTrabalhados++;
+        minutos.noturnos += linha.minutosNoturnos;
+
+        if (tipo === 'util') {
+            const variacaoEntrada = Math.abs(inicio - entradaPrevista);
+            const variacaoSaida = Math.abs(fim - saidaPrevista);
+            const dentroTolerancia = variacaoEntrada <= TOLERANCIA_PONTO.porMarcacao && variacaoSaida <= TOLERANCIA_PONTO.porMarcacao
+                && variacaoEntrada + variacaoSaida <= TOLERANCIA_PONTO.diaria;
+            const saldo = dentroTolerancia ? 0 : trabalhados - jornada;
+            linha.tolerancia = dentroTolerancia && trabalhados !== jornada;
+            linha.minutosExtras = Math.max(0, saldo);
+            linha.minutosAtraso = abonado ? 0 : Math.max(0, -saldo);
+            linha.percentualExtra = linha.minutosExtras > 0 ? 50 : 0;
+            minutos.normais += dentroTolerancia ? jornada : Math.min(trabalhados, jornada);
+            minutos.extras50 += linha.minutosExtras;
+            minutos.atraso += linha.minutosAtraso;
+        } else {
+            linha.minutosExtras = trabalhados;
+            linha.percentualExtra = tipo === 'sabado' ? 50 : 100;
+            minutos[tipo === 'sabado' ? 'extras50' : 'extras100'] += trabalhados;
+        }
+    }
+
+    const emHoras = valor => roundToPrecision(valor / 60, 4);
+    return {
+        jornada,
+        dias,
+        totais: {
+            ...totais,
+            horasNormais: emHoras(minutos.normais),
+            horasExtras50: emHoras(minutos.extras50),
+            horasExtras100: emHoras(minutos.extras100),
+            horasNoturnas: emHoras(minutos.noturnos),
+            dsrDescontados: semanasComFalta.size,
+            horasAtraso: emHoras(minutos.atraso)
+        }
     };
 }
 
 /**
  * Calculates net monthly salary based on the net salary state.
+ * The contract type decides the INSS and salário-família of the estagiário, the férias and 13º paid
+ * with each call of the intermitente and the rate of the FGTS deposited on the month.
  * @param {object} liquidoState - The net-salary-specific slice of the application state.
+ * @param {object} [funcionario] - The employee data shared by the calculators, with the contract type.
  * @returns {object} - An object containing all calculated net salary details.
  */
-export function calculateSalarioLiquido(liquidoState) {
+export function calculateSalarioLiquido(liquidoState, funcionario = {}) {
     const {
         salarioBruto,
-        horasExtras,
+        comissoes = 0,
         dependentes,
         periculosidade,
         insalubridadeGrau,
         insalubridadeBase,
         horasNoturnas,
+        noturnoEntrada = 'horas',
+        regimeNoturno = 'urbano',
+        horarioInicio = '',
+        horarioFim = '',
+        diasNoturnos = 0,
         cargaHorariaMensal,
-        filhosSalarioFamilia
+        filhosSalarioFamilia,
+        diasUteis = 0,
+        diasDescanso = 0,
+        faltasInjustificadas = 0,
+        dsrDescontados = 0,
+        horasAtraso = 0,
+        competencia = ''
     } = liquidoState;
 
+    const tabelas = getTaxTables(competencia);
+
     const valorAdicionalPericulosidade = periculosidade ? salarioBruto * 0.30 : 0;
     let valorAdicionalInsalubridade = 0;
     if (insalubridadeGrau > 0) {
-        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? SALARIO_MINIMO_2025 : salarioBruto;
+        const baseCalculoInsalubridade = insalubridadeBase === 'salario_minimo' ? tabelas.salarioMinimo.value : salarioBruto;
         valorAdicionalInsalubridade = baseCalculoInsalubridade * (insalubridadeGrau / 100);
     }
-    const adicionalRisco = Math.max(valorAdicionalPericulosidade, valorAdicionalInsalubridade);
+    const adicionalPericulosidade = roundMoney(valorAdicionalPericulosidade);
+    const adicionalInsalubridade = roundMoney(valorAdicionalInsalubridade);
+    const adicionalRisco = Math.max(adicionalPericulosidade, adicionalInsalubridade);
 
     const salarioBaseParaVariaveis = salarioBruto + adicionalRisco;
+    const valorHoraNormal = cargaHorariaMensal > 0 ? salarioBaseParaVariaveis / cargaHorariaMensal : 0;
+    // Night hours come either as the clock hours of the month or from the shift times repeated on each night worked
+    const regraNoturna = ADICIONAL_NOTURNO_REGRAS[regimeNoturno] || ADICIONAL_NOTURNO_REGRAS.urbano;
+    const jornada = noturnoEntrada === 'horario'
+        ? calculateJornadaNoturna(horarioInicio, horarioFim, regimeNoturno)
+        : { horasRelogio: horasNoturnas || 0, horasProrrogadas: 0 };
+    const noites = noturnoEntrada === 'horario' ? diasNoturnos : 1;
+    const horasComputadas = (jornada.horasRelogio + jornada.horasProrrogadas) * noites * (regraNoturna.horaReduzida ? 60 / HORA_NOTURNA_REDUZIDA_MINUTOS : 1);
+    const noturno = {
+        regime: regimeNoturno,
+        horasRelogio: jornada.horasRelogio * noites,
+        horasProrrogadas: jornada.horasProrrogadas * noites,
+        horasComputadas: roundToPrecision(horasComputadas, 4),
+        percentual: regraNoturna.percentual,
+        horaReduzida: regraNoturna.horaReduzida
+    };
     let adicionalNoturno = 0;
-    if (horasNoturnas > 0 && cargaHorariaMensal > 0) {
-        const valorHoraNormal = salarioBaseParaVariaveis / cargaHorariaMensal;
-        adicionalNoturno = (valorHoraNormal * 0.20) * horasNoturnas;
+    if (horasComputadas > 0 && cargaHorariaMensal > 0) {
+        adicionalNoturno = roundMoney(valorHoraNormal * regraNoturna.percentual * horasComputadas);
     }
+    const horasExtrasResult = calculateHorasExtras(liquidoState, valorHoraNormal);
+
+    // DSR reflection of the overtime and night premium (Súmulas 60 and 172 do TST): their value per
+    // business day, paid for each rest day. Days informed by the user take precedence over the calendar.
+    const dias = diasUteis > 0 ? { diasUteis, diasDescanso } : calculateDiasDsr(competencia);
+    const baseDsr = sumMoney([horasExtrasResult.total, adicionalNoturno]);
+    const valorDsr = baseDsr > 0 && dias.diasUteis > 0 ? roundMoney((baseDsr / dias.diasUteis) * dias.diasDescanso) : 0;
+    const dsr = { value: valorDsr, base: baseDsr, ...dias, informado: diasUteis > 0 };
+
+    // The commissions earn their own DSR by the same proportion (Súmula 27 do TST), and the fixed salary with
+    // the commissions and their DSR is topped up to the minimum wage.
+    const valorComissoes = roundMoney(comissoes);
+    const dsrComissoes = valorComissoes > 0 && dias.diasUteis > 0 ? roundMoney((valorComissoes / dias.diasUteis) * dias.diasDescanso) : 0;
+    const complementoMinimo = calculateGarantiaMinima(sumMoney([salarioBruto, valorComissoes, dsrComissoes]), valorComissoes, tabelas);
+    const comissoesInfo = { value: valorComissoes, dsr: dsrComissoes, complementoMinimo, ...dias, informado: diasUteis > 0 };
+
+    const salarioBrutoTotal = sumMoney([salarioBruto, horasExtrasResult.total, valorDsr, valorComissoes, dsrComissoes, complementoMinimo, adicionalRisco, adicionalNoturno]);
+
+    const contrato = getContractType(funcionario);
+    const observacoes = [];
+    if (!contrato.empregado) {
+        observacoes.push('A bolsa de estágio não tem INSS, FGTS nem salário-família, pois não há vínculo de emprego; o IRRF incide normalmente (Art. 3º da Lei nº 11.788/2008).');
+    }
+    // Salário-família is a benefit of the insured employee, which the estagiário is not.
+    const salarioFamilia = contrato.empregado ? calculateSalarioFamilia(salarioBrutoTotal, filhosSalarioFamilia, tabelas) : 0;
+
+    // Unjustified absences cost the day and the lost DSR at 1/30 of the monthly pay, lateness costs the hours
+    // missed; both reduce the base of INSS and IRRF.
+    const valorFaltas = roundMoney((salarioBaseParaVariaveis / 30) * (faltasInjustificadas + dsrDescontados) + valorHoraNormal * horasAtraso);
+    const descontoFaltas = { value: valorFaltas, faltas: faltasInjustificadas, dsrDescontados, horasAtraso };
+
+    // The intermitente receives the proportional férias + 1/3 and 13º with the pay of each call (Art. 452-A, §6º).
+    // The férias join the pay of the month; the 13º is taxed on its own, as in the December payment.
+    let convocacao = null;
+    if (contrato.pagamentoPorConvocacao) {
+        const ferias = roundMoney(salarioBrutoTotal / 12);
+        const decimoTerceiro = roundMoney(salarioBrutoTotal / 12);
+        const inssDecimo = calculateINSS(decimoTerceiro, tabelas);
+        const irrfDecimo = calculateIRRF(decimoTerceiro - inssDecimo.value, dependentes, tabelas, { exclusiva: true });
+        convocacao = { ferias, tercoFerias: roundMoney(ferias / 3), decimoTerceiro, descontoINSS: inssDecimo, descontoIRRF: irrfDecimo };
+    }
+    const baseTributavel = Math.max(0, sumMoney([salarioBrutoTotal, -valorFaltas, convocacao ? convocacao.ferias : 0, convocacao ? convocacao.tercoFerias : 0]));
 
-    const salarioBrutoTotal = salarioBruto + horasExtras + adicionalRisco + adicionalNoturno;
-    const salarioFamilia = calculateSalarioFamilia(salarioBrutoTotal, filhosSalarioFamilia);
-
-    const inssResult = calculateINSS(salarioBrutoTotal);
+    const inssResult = calculateINSS(contrato.empregado ? baseTributavel : 0, tabelas);
     const descontoINSS = inssResult.value;
 
-    const baseIRRF = salarioBrutoTotal - descontoINSS;
-    const irrfResult = calculateIRRF(baseIRRF, dependentes);
+    const pensaoResult = calculatePensaoAlimenticia(liquidoState, { rendimento: baseTributavel, descontoINSS, dependentes, tabelas });
+    const irrfResult = pensaoResult.irrfResult;
     const descontoIRRF = irrfResult.value;
 
     const detailedDiscounts = calculateDetailedDiscounts(liquidoState, salarioBruto);
 
-    const totalProventos = salarioBrutoTotal + salarioFamilia;
-    const totalDescontos = descontoINSS + descontoIRRF + detailedDiscounts.total;
-    const salarioLiquido = totalProventos - totalDescontos;
+    const parcelasConvocacao = convocacao ? [convocacao.ferias, convocacao.tercoFerias, convocacao.decimoTerceiro] : [];
+    const descontosConvocacao = convocacao ? [convocacao.descontoINSS.value, convocacao.descontoIRRF.value] : [];
+    const totalProventos = sumMoney([salarioBrutoTotal, salarioFamilia, ...parcelasConvocacao]);
+    const totalDescontos = sumMoney([descontoINSS, descontoIRRF, pensaoResult.value, detailedDiscounts.total, valorFaltas, ...descontosConvocacao]);
+    const salarioLiquido = sumMoney([totalProventos, -totalDescontos]);
+
+    // FGTS deposited by the employer on the pay of the month; it is not deducted from the salary.
+    const baseFgts = sumMoney([baseTributavel, convocacao ? convocacao.decimoTerceiro : 0]);
+    const fgts = {
+        base: baseFgts,
+        aliquota: contrato.fgts,
+        value: roundMoney(baseFgts * contrato.fgts),
+        compensatorio: roundMoney(baseFgts * contrato.fgtsCompensatorio),
+        aliquotaCompensatorio: contrato.fgtsCompensatorio
+    };
 
     return {
-        salarioBruto: roundMonetary(salarioBruto),
-        horasExtras: roundMonetary(horasExtras),
-        adicionalPericulosidade: roundMonetary(valorAdicionalPericulosidade),
-        adicionalInsalubridade: roundMonetary(valorAdicionalInsalubridade),
-        adicionalNoturno: roundMonetary(adicionalNoturno),
-        salarioBrutoTotal: roundMonetary(salarioBrutoTotal),
-        salarioFamilia: roundMonetary(salarioFamilia),
+        salarioBruto: roundMoney(salarioBruto),
+        horasExtrasHoras: horasExtrasResult,
+        dsr,
+        comissoes: comissoesInfo,
+        adicionalPericulosidade,
+        adicionalInsalubridade,
+        adicionalNoturno,
+        noturno,
+        salarioBrutoTotal,
+        salarioFamilia,
         descontoINSS: inssResult,
         descontoIRRF: irrfResult,
-        descontoVT: roundMonetary(detailedDiscounts.valeTransporte),
-        descontoVR: roundMonetary(detailedDiscounts.valeRefeicao),
-        descontoSaude: roundMonetary(detailedDiscounts.planoSaude),
-        descontoAdiantamentos: roundMonetary(detailedDiscounts.adiantamentos),
-        totalProventos: roundMonetary(totalProventos),
-        totalDescontos: roundMonetary(totalDescontos),
-        salarioLiquido: roundMonetary(salarioLiquido)
+        descontoPensao: pensaoResult,
+        descontoVT: detailedDiscounts.valeTransporte,
+        descontoVR: detailedDiscounts.valeRefeicao,
+        descontoSaude: detailedDiscounts.planoSaude,
+        descontoAdiantamentos: detailedDiscounts.adiantamentos,
+        descontoFaltas,
+        convocacao,
+        totalProventos,
+        totalDescontos,
+        salarioLiquido,
+        fgts,
+        contrato,
+        observacoes,
+        tabelas
+    };
+}
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Formats a date as an ISO "YYYY-MM-DD" string using its local calendar fields.
+ * @param {Date} date - The date to format.
+ * @returns {string} - The ISO date string.
+ */
+function toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Adds calendar months to a date, clamping the day to the end of shorter months (e.g. Jan 31 + 1 = Feb 28).
+ * @param {Date} date - The starting date.
+ * @param {number} months - The number of months to add.
+ * @returns {Date} - A new date.
+ */
+function addMonths(date, months) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * Adds days to a date.
+ * @param {Date} date - The starting date.
+ * @param {number} days - The number of days to add, negative to go back.
+ * @returns {Date} - A new date.
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Counts the days from one date to another, both inclusive.
+ * @param {Date} start - The first day.
+ * @param {Date} end - The last day.
+ * @returns {number} - The number of days.
+ */
+function countDays(start, end) {
+    return Math.round((end - start) / MS_PER_DAY) + 1;
+}
+
+/**
+ * Counts the months worked in a contract for the seguro-desemprego, walking monthly fractions from the
+ * admission date. A fraction counts when 15 or more days were worked in it, as in the avos.
+ * @param {Date} dtInicio - The admission date.
+ * @param {Date} dtFim - The dismissal date.
+ * @returns {number} - The number of months worked.
+ */
+function countMesesTrabalhados(dtInicio, dtFim) {
+    let meses = 0;
+    for (let i = 0; addMonths(dtInicio, i) <= dtFim; i++) {
+        const fimFracao = addMonths(dtInicio, i + 1);
+        fimFracao.setDate(fimFracao.getDate() - 1);
+        if (countDays(addMonths(dtInicio, i), fimFracao < dtFim ? fimFracao : dtFim) >= 15) meses++;
+    }
+    return meses;
+}
+
+/**
+ * Splits a period into whole calendar months and the days left after them, as the stability indemnity is paid.
+ * @param {Date} dtInicio - The first day of the period.
+ * @param {Date} dtFim - The last day of the period.
+ * @returns {{meses: number, dias: number}} - The whole months and the remaining days.
+ */
+function countMesesEDias(dtInicio, dtFim) {
+    let meses = 0;
+    while (addMonths(dtInicio, meses + 1) <= addDays(dtFim, 1)) meses++;
+    const inicioResto = addMonths(dtInicio, meses);
+    return { meses, dias: inicioResto <= dtFim ? countDays(inicioResto, dtFim) : 0 };
+}
+
+/**
+ * Resolves the leaves of absence of the employee data, dropping the incomplete ones.
+ * @param {Array<{tipo: string, inicio: string, fim: string}>} [afastamentos] - The leaves, with the type as a key of AFASTAMENTO_TYPES.
+ * @returns {Array<object>} - The leaves oldest first, with their rules, their dates and the first day paid by the INSS.
+ */
+function normalizeAfastamentos(afastamentos = []) {
+    return afastamentos
+        .map(({ tipo, inicio, fim }) => ({ tipo, regra: AFASTAMENTO_TYPES[tipo], inicio: new Date(inicio + 'T00:00:00'), fim: new Date(fim + 'T00:00:00') }))
+        .filter(({ regra, inicio, fim }) => regra && !isNaN(inicio) && !isNaN(fim) && fim >= inicio)
+        .map(afastamento => ({ ...afastamento, desde: addDays(afastamento.inicio, afastamento.regra.diasEmpresa) }))
+        .sort((a, b) => a.inicio - b.inicio);
+}
+
+/**
+ * Counts the days of leave between two dates that have a given effect:
+ * - 'decimo': the days that give no 13º avo, paid by the INSS or of a suspended contract;
+ * - 'suspensao': the days of a suspended contract, left out of the acquisition period;
+ * - 'beneficio': the days paid by the INSS, which lose the acquisition period after 6 months;
+ * - 'fgts': the days without FGTS deposits.
+ * @param {Array<object>} afastamentos - The leaves returned by normalizeAfastamentos.
+ * @param {Date} inicio - The first day.
+ * @param {Date} fim - The last day.
+ * @param {string} efeito - The effect to count.
+ * @returns {number} - The number of days.
+ */
+function countDiasAfastado(afastamentos, inicio, fim, efeito) {
+    return afastamentos.reduce((total, { regra, desde, fim: fimAfastamento }) => {
+        const conta = {
+            decimo: regra.beneficioInss || regra.suspendeContrato,
+            suspensao: regra.suspendeContrato,
+            beneficio: regra.beneficioInss,
+            fgts: !regra.depositaFgts
+        }[efeito];
+        const de = desde > inicio ? desde : inicio;
+        const ate = fimAfastamento < fim ? fimAfastamento : fim;
+        return conta && ate >= de ? total + countDays(de, ate) : total;
+    }, 0);
+}
+
+/**
+ * Walks the férias acquisition periods of a contract. Each one lasts 12 months, extended by the days the
+ * contract was suspended in it; more than 6 months of INSS benefit in a period lose it, and the next one
+ * starts on the return to work (CLT Arts. 132 and 133, IV and §2º).
+ * @param {Date} dtAdmissao - The admission date.
+ * @param {Date} dtFim - The last day of the contract.
+ * @param {Array<object>} afastamentos - The leaves returned by normalizeAfastamentos.
+ * @returns {Array<{inicio: Date, fim: Date, diasSuspensos: number, diasBeneficio: number, perdido: boolean}>} - The periods
+ * started up to the last day, oldest first.
+ */
+function listPeriodosAquisitivos(dtAdmissao, dtFim, afastamentos) {
+    const periodos = [];
+    let inicio = dtAdmissao;
+    while (inicio <= dtFim) {
+        const fimRegular = addDays(addMonths(inicio, 12), -1);
+        let fim = fimRegular;
+        let diasSuspensos = 0;
+        // Extending the period can bring more suspended days into it
+        for (let dias = countDiasAfastado(afastamentos, inicio, fim, 'suspensao'); dias !== diasSuspensos; dias = countDiasAfastado(afastamentos, inicio, fim, 'suspensao')) {
+            diasSuspensos = dias;
+            fim = addDays(fimRegular, dias);
+        }
+
+        // Only the benefit received while the contract lasted counts
+        const ultimoDia = fim < dtFim ? fim : dtFim;
+        let diasBeneficio = 0;
+        let perda = null;
+        for (const afastamento of afastamentos) {
+            diasBeneficio += countDiasAfastado([afastamento], inicio, ultimoDia, 'beneficio');
+            if (diasBeneficio > AFASTAMENTO_LIMITE_FERIAS_DIAS) {
+                perda = afastamento;
+                break;
+            }
+        }
+        periodos.push({ inicio, fim: perda ? perda.fim : fim, diasSuspensos, diasBeneficio, perdido: Boolean(perda) });
+        inicio = addDays(perda ? perda.fim : fim, 1);
+    }
+    return periodos;
+}
+
+/**
+ * Calculates the 13º and férias "avos" (twelfths) by walking the calendar between two dates.
+ * A month counts only when 15 or more days were worked in it (Lei 4.090/62, Art. 1º, §2º and CLT Art. 146).
+ * For the 13º the months are the calendar months from January of the base year, or from the admission when
+ * later, up to the end date; a notice projected into the next year adds the avos of that year too. For férias
+ * they are the monthly fractions of the current acquisition period, which starts on the last admission
+ * anniversary unless the leaves of absence moved it. The days of leave that give no avo are not worked days.
+ * @param {string} dataInicio - The admission date (YYYY-MM-DD).
+ * @param {string} dataFim - The last day of the contract, including any projected notice (YYYY-MM-DD).
+ * @param {Array<{tipo: string, inicio: string, fim: string}>} [afastamentos] - The leaves of absence of the employee.
+ * @param {string} [dataBaseDecimo] - A date in the first year whose 13º is still due, e.g. the dismissal date
+ * (YYYY-MM-DD); defaults to the end date.
+ * @returns {{decimoTerceiro: {avos: number, meses: Array<object>}, ferias: {avos: number, inicioPeriodo: string|null, perdido: boolean, meses: Array<object>}}}
+ */
+export function calculateAvos(dataInicio, dataFim, afastamentos = [], dataBaseDecimo = dataFim) {
+    const dtInicio = new Date(dataInicio + 'T00:00:00');
+    const dtFim = new Date(dataFim + 'T00:00:00');
+    if (!dataInicio || !dataFim || isNaN(dtInicio) || isNaN(dtFim) || dtFim < dtInicio) {
+        return { decimoTerceiro: { avos: 0, meses: [] }, ferias: { avos: 0, inicioPeriodo: null, perdido: false, meses: [] } };
+    }
+    const leaves = normalizeAfastamentos(afastamentos);
+
+    // 13º: calendar months from January of the base year, starting at admission when it is later. Each
+    // calendar year has its own 13º, so the months of a year reached by the projected notice add to the count.
+    const dtBaseDecimo = new Date(dataBaseDecimo + 'T00:00:00');
+    const anoBase = isNaN(dtBaseDecimo) ? dtFim.getFullYear() : dtBaseDecimo.getFullYear();
+    const inicioDecimo = new Date(Math.max(new Date(anoBase, 0, 1), dtInicio));
+    const mesesDecimo = [];
+    for (let inicioMes = new Date(inicioDecimo.getFullYear(), inicioDecimo.getMonth(), 1); inicioMes <= dtFim; inicioMes = addMonths(inicioMes, 1)) {
+        const ano = inicioMes.getFullYear();
+        const mes = inicioMes.getMonth();
+        const inicio = new Date(Math.max(inicioMes, dtInicio));
+        const fim = new Date(Math.min(new Date(ano, mes + 1, 0), dtFim));
+        const diasAfastado = countDiasAfastado(leaves, inicio, fim, 'decimo');
+        const dias = countDays(inicio, fim) - diasAfastado;
+        mesesDecimo.push({ mes: `${ano}-${String(mes + 1).padStart(2, '0')}`, dias, diasAfastado, conta: dias >= 15 });
+    }
+
+    // Férias: monthly fractions of the current acquisition period, none when it was lost
+    const periodo = listPeriodosAquisitivos(dtInicio, dtFim, leaves).pop();
+    const mesesFerias = [];
+    for (let i = 0; !periodo.perdido && addMonths(periodo.inicio, i) <= dtFim; i++) {
+        const inicio = addMonths(periodo.inicio, i);
+        const fimFracao = addDays(addMonths(periodo.inicio, i + 1), -1);
+        const fim = fimFracao < dtFim ? fimFracao : dtFim;
+        const diasAfastado = countDiasAfastado(leaves, inicio, fim, 'suspensao');
+        const dias = countDays(inicio, fim) - diasAfastado;
+        mesesFerias.push({ inicio: toISODate(inicio), fim: toISODate(fim), dias, diasAfastado, conta: dias >= 15 });
+    }
+
+    const contarAvos = meses => meses.filter(m => m.conta).length;
+    return {
+        decimoTerceiro: { avos: contarAvos(mesesDecimo), meses: mesesDecimo },
+        ferias: { avos: Math.min(12, contarAvos(mesesFerias)), inicioPeriodo: toISODate(periodo.inicio), perdido: periodo.perdido, meses: mesesFerias }
+    };
+}
+
+/**
+ * Lists the complete vacation acquisition periods of a contract and their concession windows.
+ * Each period lasts 12 months from the admission anniversary, moved by the leaves of absence; vacations
+ * must be granted in the following 12 months (CLT Art. 134), otherwise they are owed in double (Art. 137).
+ * A period lost to more than 6 months of INSS benefit is listed as perdido, with no concession window.
+ * @param {string} dataAdmissao - The admission date (YYYY-MM-DD).
+ * @param {string} dataFim - The last day of the contract, including any projected notice (YYYY-MM-DD).
+ * @param {string} dataReferencia - The date against which expired concession windows are checked (YYYY-MM-DD).
+ * @param {Array<{tipo: string, inicio: string, fim: string}>} [afastamentos] - The leaves of absence of the employee.
+ * @returns {Array<{inicio: string, fim: string, fimConcessao: string|null, emDobro: boolean, perdido: boolean, diasSuspensos: number, diasBeneficio: number}>} - The complete
+ * and the lost periods, oldest first.
+ */
+export function calculatePeriodosAquisitivos(dataAdmissao, dataFim, dataReferencia, afastamentos = []) {
+    const dtAdmissao = new Date(dataAdmissao + 'T00:00:00');
+    const dtFim = new Date(dataFim + 'T00:00:00');
+    const dtReferencia = new Date(dataReferencia + 'T00:00:00');
+    if (isNaN(dtAdmissao) || isNaN(dtFim) || isNaN(dtReferencia)) return [];
+
+    return listPeriodosAquisitivos(dtAdmissao, dtFim, normalizeAfastamentos(afastamentos))
+        .filter(periodo => periodo.perdido || periodo.fim <= dtFim)
+        .map(({ inicio, fim, diasSuspensos, diasBeneficio, perdido }) => {
+            const fimConcessao = perdido ? null : addDays(addMonths(addDays(fim, 1), 12), -1);
+            return {
+                inicio: toISODate(inicio),
+                fim: toISODate(fim),
+                fimConcessao: fimConcessao ? toISODate(fimConcessao) : null,
+                emDobro: Boolean(fimConcessao) && fimConcessao < dtReferencia,
+                perdido,
+                diasSuspensos,
+                diasBeneficio
+            };
+        });
+}
+
+/**
+ * Describes the months whose 13º avo the leaves of absence took, for the notes of a calculation.
+ * @param {Array<string>} meses - The competências (YYYY-MM) left with less than 15 days worked.
+ * @returns {string} - The description.
+ */
+function describeAvosAfastamentos(meses) {
+    const lista = meses.map(mes => `${mes.slice(5)}/${mes.slice(0, 4)}`).join(', ');
+    return `${meses.length === 1 ? 'O mês' : 'Os meses'} ${lista} ${meses.length === 1 ? 'ficou' : 'ficaram'} com menos de 15 dias trabalhados por afastamento e não ${meses.length === 1 ? 'conta' : 'contam'} no 13º: a partir do 16º dia de auxílio-doença o INSS paga o abono anual, e o serviço militar e a licença não remunerada suspendem o contrato (Art. 40 da Lei nº 8.213/1991).`;
+}
+
+/**
+ * Describes how the leaves of absence changed an acquisition period, for the notes of a calculation.
+ * @param {object} periodo - A period returned by calculatePeriodosAquisitivos.
+ * @returns {string|null} - The description, or null when the leaves did not change the period.
+ */
+function describePeriodoAfastamentos({ inicio, fim, perdido, diasSuspensos, diasBeneficio }) {
+    if (perdido) {
+        const retorno = toISODate(addDays(new Date(fim + 'T00:00:00'), 1));
+        return `O período aquisitivo iniciado em ${formatDate(inicio)} foi perdido por ${diasBeneficio} dias de auxílio-doença pagos pelo INSS, mais de 6 meses; um novo período começa no retorno ao trabalho, em ${formatDate(retorno)} (Art. 133, IV e §2º da CLT).`;
+    }
+    if (diasSuspensos > 0) {
+        return `O período aquisitivo iniciado em ${formatDate(inicio)} foi prorrogado até ${formatDate(fim)} pelos ${diasSuspensos} dias de contrato suspenso, que não contam como tempo de serviço (Art. 132 da CLT).`;
+    }
+    return null;
+}
+
+/**
+ * Projects the FGTS balance of a contract from its monthly deposits (Lei 8.036/90, Arts. 13 and 15).
+ * Each competência deposits 8% of the salary, prorated in the admission month, plus 8% of the 13º in
+ * December and of the 1/3 of each férias enjoyed, or the rate of the contract type. The days of leave without
+ * deposits are left out of the month and of the 13º avos. Before each deposit the balance is credited with
+ * 3% a year plus the TR of the month.
+ * @param {string} dataAdmissao - The admission date (YYYY-MM-DD).
+ * @param {string} dataFim - The dismissal date (YYYY-MM-DD). Deposits run up to the previous competência;
+ * the FGTS of the dismissal month is paid with the rescisão.
+ * @param {Array<{inicio: string, salario: number}>} historico - The remuneration in force from each date (YYYY-MM-DD), oldest first.
+ * @param {Array<{fim: string}>} [feriasGozadas] - The acquisition periods whose férias were enjoyed; their 1/3
+ * is deposited in the month after the period ends.
+ * @param {number} [aliquota] - The deposit rate, 2% for the aprendiz.
+ * @param {Array<{tipo: string, inicio: string, fim: string}>} [afastamentos] - The leaves of absence of the employee.
+ * @returns {{saldo: number, totalDepositos: number, totalRendimentos: number, meses: Array<object>}} - The projected
+ * balance, its composition and the month-by-month evolution.
+ */
+export function calculateProjecaoFgts(dataAdmissao, dataFim, historico, feriasGozadas = [], aliquota = FGTS_ALIQUOTA, afastamentos = []) {
+    const dtAdmissao = new Date(dataAdmissao + 'T00:00:00');
+    const dtFim = new Date(dataFim + 'T00:00:00');
+    if (isNaN(dtAdmissao) || isNaN(dtFim) || dtFim <= dtAdmissao || historico.length === 0) {
+        return { saldo: 0, totalDepositos: 0, totalRendimentos: 0, meses: [] };
+    }
+
+    const salarioEm = dia => historico.reduce((found, entry) => (entry.inicio <= dia ? entry : found), historico[0]).salario;
+    const mesesTerco = feriasGozadas.map(({ fim }) => {
+        const dtFimPeriodo = new Date(fim + 'T00:00:00');
+        return toISODate(new Date(dtFimPeriodo.getFullYear(), dtFimPeriodo.getMonth(), dtFimPeriodo.getDate() + 1)).slice(0, 7);
+    });
+    const jurosMensais = Math.pow(1 + FGTS_JUROS_ANUAIS, 1 / 12) - 1;
+    const licencas = normalizeAfastamentos(afastamentos);
+
+    // Deposits and yields are credited to the account in cents every month, so the balance carries no fractions.
+    const meses = [];
+    let saldo = 0;
+    const depositos = [];
+    const rendimentos = [];
+    const ultimaCompetencia = new Date(dtFim.getFullYear(), dtFim.getMonth(), 0);
+    for (let inicioMes = new Date(dtAdmissao.getFullYear(), dtAdmissao.getMonth(), 1); inicioMes <= ultimaCompetencia; inicioMes = addMonths(inicioMes, 1)) {
+        const fimMes = new Date(inicioMes.getFullYear(), inicioMes.getMonth() + 1, 0);
+        const mes = toISODate(inicioMes).slice(0, 7);
+        const salario = salarioEm(toISODate(fimMes));
+
+        const inicioContrato = new Date(Math.max(inicioMes, dtAdmissao));
+        const diasTrabalhados = countDays(inicioContrato, fimMes) - countDiasAfastado(licencas, inicioContrato, fimMes, 'fgts');
+        let remuneracao = (salario / fimMes.getDate()) * diasTrabalhados;
+        if (fimMes.getMonth() === 11) {
+            remuneracao += (salario / 12) * calculateAvos(dataAdmissao, toISODate(fimMes), afastamentos).decimoTerceiro.avos;
+        }
+        if (mesesTerco.includes(mes)) {
+            remuneracao += salario / 3;
+        }
+
+        remuneracao = roundMoney(remuneracao);
+
+        const tr = pickVersion(TR_TABLES, toISODate(inicioMes)).rate;
+        const rendimento = roundMoney(saldo * ((1 + jurosMensais) * (1 + tr) - 1));
+        const deposito = roundMoney(remuneracao * aliquota);
+        saldo = sumMoney([saldo, rendimento, deposito]);
+        depositos.push(deposito);
+        rendimentos.push(rendimento);
+        meses.push({ mes, remuneracao, deposito, rendimento, saldo });
+    }
+
+    return {
+        saldo,
+        totalDepositos: sumMoney(depositos),
+        totalRendimentos: sumMoney(rendimentos),
+        meses
     };
 }
 
 /**
  * Calculates severance pay based on the severance state.
+ * The contract type changes the verbas: the estagiário receives only the bolsa and the recesso, the
+ * intermitente was already paid the férias and 13º with each call, the doméstico withdraws the 3,2%
+ * compensatory deposits instead of the FGTS fine and the aprendiz's FGTS is of 2%.
  * @param {object} rescisaoState - The severance-specific slice of the application state.
+ * @param {object} [funcionario] - The employee data shared by the calculators, with the contract type.
  * @returns {object} - An object containing all calculated severance pay details.
  */
-export function calculateRescisao(rescisaoState) {
+export function calculateRescisao(rescisaoState, funcionario = {}) {
     const {
         motivo,
         dataAdmissao,
         dataDemissao,
         salarioBruto,
-        saldoFgts,
+        saldoFgts: saldoFgtsInformado,
+        fgtsOrigem = 'informado',
         avisoPrevio,
         feriasVencidas: hasFeriasVencidas,
+        periodosGozados = [],
+        faltasInjustificadas = 0,
+        pensaoTipo = 'nenhuma',
+        dataTerminoContrato,
+        dataInicioAviso,
+        estabilidade = 'nenhuma',
+        dataFimEstabilidade,
+        dataPagamento,
+        multa467 = false,
+        reducaoJornadaAviso,
         dependentes,
-        mediaHorasExtras,
-        mediaAdicionalNoturno,
         periculosidade,
         insalubridadeGrau,
         insalubridadeBase
     } = rescisaoState;
 
     if (!dataAdmissao || !dataDemissao || new Date(dataAdmissao) >= new Date(dataDemissao)) {
-        return { proventos: {}, descontos: {}, totalProventos: 0, totalDescontos: 0, valorLiquido: 0 };
+        return { proventos: {}, descontos: {}, totalProventos: 0, totalDescontos: 0, valorLiquido: 0, verbasExcluidas: [], observacoes: [], saqueFgts: 0, direitoSeguroDesemprego: false, avisoPrevio: null, avos: null, periodosAquisitivos: [], fgts: null, seguroDesemprego: null, estabilidade: null, pagamento: null, medias: null, contrato: getContractType(funcionario), tabelas: getTaxTables(dataDemissao) };
     }
 
+    // Tables in force on the dismissal date
+    const tabelas = getTaxTables(dataDemissao);
+    const contrato = getContractType(funcionario);
+
     // 1. Correct Base Calculation (Remuneração)
     const adicionalPericulosidade = periculosidade ? salarioBruto * 0.30 : 0;
     let adicionalInsalubridade = 0;
     if (insalubridadeGrau > 0) {
-        const baseInsalubridade = insalubridadeBase === 'salario_minimo' ? SALARIO_MINIMO_2025 : salarioBruto;
+        const baseInsalubridade = insalubridadeBase === 'salario_minimo' ? tabelas.salarioMinimo.value : salarioBruto;
         adicionalInsalubridade = baseInsalubridade * (insalubridadeGrau / 100);
     }
-    const adicionalRisco = Math.max(adicionalPericulosidade, adicionalInsalubridade);
-    const remuneracao = salarioBruto + (mediaHorasExtras || 0) + (mediaAdicionalNoturno || 0) + adicionalRisco;
+    const adicionalRisco = roundMoney(Math.max(adicionalPericulosidade, adicionalInsalubridade));
+    // The variable pay is averaged over the 12 months before the dismissal, updated by the salary adjustments.
+    const fimMedias = shiftCompetencia(dataDemissao.slice(0, 7), -1);
+    const medias = calculateMediasHistorico(funcionario.historico, shiftCompetencia(fimMedias, -11), fimMedias, salarioBruto);
+    const variaveis = listVariaveis(medias, rescisaoState);
+    const complementoMinimo = calculateGarantiaMinima(sumMoney([salarioBruto, ...variaveis]), medias ? medias.mediaComissoes : rescisaoState.mediaComissoes, tabelas);
+    const remuneracao = sumMoney([salarioBruto, ...variaveis, complementoMinimo, adicionalRisco]);
 
     // 2. Calculate Notice Period
     const dtAdmissao = new Date(dataAdmissao + 'T00:00:00');
     const dtDemissao = new Date(dataDemissao + 'T00:00:00');
     const yearsWorked = Math.floor((dtDemissao - dtAdmissao) / (1000 * 60 * 60 * 24 * 365.25));
-    const diasAvisoPrevio = (avisoPrevio === 'indenizado') ? 30 + (Math.min(yearsWorked, 20) * 3) : 0;
+    // The proportional notice of Lei 12.506/11 only benefits the employee; a resigning employee owes 30 days.
+    // The internship ends without notice on either side.
+    const avisoPeloEmpregador = contrato.empregado && (motivo === 'sem_justa_causa' || motivo === 'acordo_mutuo');
+    let diasAvisoPrevio = 0;
+    if (avisoPeloEmpregador) {
+        diasAvisoPrevio = 30 + (Math.min(yearsWorked, 20) * 3);
+    } else if (motivo === 'pedido_demissao' && contrato.empregado) {
+        diasAvisoPrevio = 30;
+    }
+    // Only the employee can waive the notice given by the employer, by proving a new job (Súmula 276 do TST); when the
+    // employer waives it, the notice is owed as indemnified.
+    const avisoDispensadoPeloEmpregado = avisoPeloEmpregador && avisoPrevio === 'dispensado_pelo_empregado';
+    const temAvisoIndenizado = avisoPeloEmpregador && (avisoPrevio === 'indenizado' || avisoPrevio === 'dispensado');
+    const temAvisoTrabalhado = diasAvisoPrevio > 0 && avisoPrevio === 'trabalhado';
+    // A worked notice ends on the dismissal date. It starts on the informed date or, when none is given, as many
+    // days before as the notice lasts. When the employer cuts it short, the missing days are owed as an
+    // indemnified notice (Art. 487, §1º).
+    const dtInicioAviso = temAvisoTrabalhado && dataInicioAviso && dataInicioAviso <= dataDemissao
+        ? new Date(dataInicioAviso + 'T00:00:00')
+        : addDays(dtDemissao, 1 - diasAvisoPrevio);
+    const diasAvisoFaltantes = temAvisoTrabalhado && avisoPeloEmpregador ? Math.max(diasAvisoPrevio - countDays(dtInicioAviso, dtDemissao), 0) : 0;
+    const diasAvisoIndenizado = temAvisoIndenizado ? diasAvisoPrevio : diasAvisoFaltantes;
+    // Only the indemnified days project the contract; the worked ones are already inside it.
+    const diasProjecao = diasAvisoIndenizado;
 
     // 3. Project contract end date
     const dtFinalProjetada = new Date(dtDemissao);
-    dtFinalProjetada.setDate(dtFinalProjetada.getDate() + diasAvisoPrevio);
+    dtFinalProjetada.setDate(dtFinalProjetada.getDate() + diasProjecao);
 
     // 4. Calculate Severance Payments based on new logic
-    // Saldo de Salário
+    // Saldo de Salário: the days of the last month before the notice starts; the worked notice days are paid on their own line
     const diasNoMesDemissao = new Date(dtDemissao.getFullYear(), dtDemissao.getMonth() + 1, 0).getDate();
-    const saldoDeSalario = (remuneracao / diasNoMesDemissao) * dtDemissao.getDate();
-
-    // Aviso Prévio Indenizado
-    const avisoPrevioIndenizado = (remuneracao / 30) * diasAvisoPrevio;
-
-    // 13º Salário Proporcional (based on projected end date)
-    const mesesTrabalhadosNoAno = dtFinalProjetada.getMonth() + 1;
-    const decimoTerceiroProporcional = (remuneracao / 12) * mesesTrabalhadosNoAno;
+    const inicioMesDemissao = new Date(dtDemissao.getFullYear(), dtDemissao.getMonth(), 1);
+    const diasAvisoTrabalhadoNoMes = temAvisoTrabalhado ? countDays(dtInicioAviso > inicioMesDemissao ? dtInicioAviso : inicioMesDemissao, dtDemissao) : 0;
+    const saldoDeSalario = roundMoney((remuneracao / diasNoMesDemissao) * (dtDemissao.getDate() - diasAvisoTrabalhadoNoMes));
+
+    // Aviso Prévio: indemnified notice is paid in full; worked notice is paid as salary of the days worked.
+    const avisoPrevioIndenizado = roundMoney((remuneracao / 30) * diasAvisoIndenizado);
+    const avisoPrevioTrabalhado = roundMoney((remuneracao / diasNoMesDemissao) * diasAvisoTrabalhadoNoMes);
+
+    // Art. 488: the employer-given notice shortens the workday by 2 hours or the notice by 7 days, without pay cuts.
+    const reducaoAviso = temAvisoTrabalhado && motivo === 'sem_justa_causa' ? (reducaoJornadaAviso || 'duas_horas') : null;
+    const avisoPrevioInfo = {
+        modalidade: diasAvisoPrevio > 0 ? avisoPrevio : null,
+        dias: diasAvisoPrevio,
+        diasProjecao,
+        inicio: temAvisoTrabalhado ? toISODate(dtInicioAviso) : null,
+        diasTrabalhados: temAvisoTrabalhado ? Math.max(diasAvisoPrevio - diasAvisoFaltantes - (reducaoAviso === 'sete_dias' ? 7 : 0), 0) : 0,
+        diasTrabalhadosNoMes: diasAvisoTrabalhadoNoMes,
+        diasIndenizados: diasAvisoIndenizado,
+        reducao: reducaoAviso
+    };
 
-    // Férias Proporcionais + 1/3 (based on projected end date)
-    let mesesPeriodoAquisitivo = (dtFinalProjetada.getMonth() - dtAdmissao.getMonth()) % 12;
-    if (dtFinalProjetada.getDate() > dtAdmissao.getDate()) {
-        mesesPeriodoAquisitivo += 1;
+    // Art. 487, §2º: a resigning employee who does not work the notice has its value deducted.
+    const descontoAvisoNaoCumprido = motivo === 'pedido_demissao' && contrato.empregado && avisoPrevio === 'indenizado' ? remuneracao : 0;
+
+    // 13º and férias avos, counted on the real calendar up to the projected end date. The 13º counts from
+    // January of the dismissal year, so a notice that crosses into the next year adds its avos of that year.
+    const avos = calculateAvos(dataAdmissao, toISODate(dtFinalProjetada), funcionario.afastamentos, dataDemissao);
+
+    // 13º Salário Proporcional
+    const decimoTerceiroProporcional = roundMoney((remuneracao / 12) * avos.decimoTerceiro.avos);
+
+    // Férias Proporcionais + 1/3, reduced by the unjustified absences of the current period (Arts. 130 and 146)
+    const diasFeriasDireito = calculateDiasFeriasPorFaltas(faltasInjustificadas);
+    const feriasProporcionais = roundMoney((remuneracao / 12) * avos.ferias.avos * (diasFeriasDireito / 30));
+    const tercoFeriasProporcionais = roundMoney(feriasProporcionais / 3);
+    const feriasProporcionaisComTerco = sumMoney([feriasProporcionais, tercoFeriasProporcionais]);
+
+    // Férias Vencidas: each complete period not yet enjoyed, in double when its concession window has passed
+    const periodosAquisitivos = (hasFeriasVencidas ? calculatePeriodosAquisitivos(dataAdmissao, toISODate(dtFinalProjetada), dataDemissao, funcionario.afastamentos) : [])
+        .filter(periodo => !periodo.perdido)
+        .map(periodo => {
+            const gozado = periodosGozados.includes(periodo.inicio);
+            const valor = gozado ? 0 : roundMoney(remuneracao * (periodo.emDobro ? 2 : 1));
+            return { ...periodo, gozado, valor, terco: roundMoney(valor / 3) };
+        });
+    const somarPeriodos = emDobro => sumMoney(periodosAquisitivos
+        .filter(periodo => periodo.emDobro === emDobro)
+        .flatMap(periodo => [periodo.valor, periodo.terco]));
+    const feriasVencidas = { 'Férias Vencidas + 1/3': somarPeriodos(false) };
+    const feriasVencidasEmDobro = somarPeriodos(true);
+    if (feriasVencidasEmDobro > 0) {
+        feriasVencidas['Férias Vencidas em Dobro + 1/3'] = feriasVencidasEmDobro;
     }
-    mesesPeriodoAquisitivo = mesesPeriodoAquisitivo <= 0 ? mesesPeriodoAquisitivo + 12 : mesesPeriodoAquisitivo;
-    const feriasProporcionais = (remuneracao / 12) * mesesPeriodoAquisitivo;
-    const tercoFeriasProporcionais = feriasProporcionais / 3;
 
-    // Férias Vencidas
-    const valorFeriasVencidas = hasFeriasVencidas ? remuneracao : 0;
-    const tercoFeriasVencidas = hasFeriasVencidas ? remuneracao / 3 : 0;
-
-    // Multa FGTS
-    const multaFgts = saldoFgts * 0.40;
+    // FGTS balance: the value informed by the user or the one projected from the contract history.
+    // Every complete period enjoyed had its 1/3 deposited; the ones paid in this rescisão had not.
+    const periodosContrato = calculatePeriodosAquisitivos(dataAdmissao, dataDemissao, dataDemissao, funcionario.afastamentos);
+    const feriasGozadas = periodosContrato
+        .filter(periodo => !periodo.perdido && (!hasFeriasVencidas || periodosGozados.includes(periodo.inicio)));
+    // The deposits follow the salary history when it has months of the contract, otherwise the current remuneration.
+    const remuneracoesHistorico = listRemuneracoesHistorico(funcionario.historico, dataAdmissao, dataDemissao);
+    const remuneracoesFgts = remuneracoesHistorico.length > 0 ? remuneracoesHistorico : [{ inicio: dataAdmissao, salario: remuneracao }];
+    const projecaoFgts = calculateProjecaoFgts(dataAdmissao, dataDemissao, remuneracoesFgts, feriasGozadas, contrato.fgts, funcionario.afastamentos);
+    const saldoFgts = fgtsOrigem === 'projetado' ? projecaoFgts.saldo : saldoFgtsInformado;
+
+    // The FGTS fines depend on the deposits due on the termination payments, so their values are set after the verbas are known.
+    // The doméstico has no fine: the 3,2% deposited every month is released instead, in full on a dismissal without
+    // cause and in half when the termination is shared (LC 150/2015, Art. 22). Those deposits keep the proportion of
+    // the 8% ones, so their balance is the same share of the FGTS balance.
+    const compensatorio = contrato.fgts > 0 ? contrato.fgtsCompensatorio / contrato.fgts : 0;
+    const verbasCompensatorio = { 'Multa de 40% do FGTS': 'Indenização Compensatória do FGTS', 'Multa de 20% do FGTS': 'Indenização Compensatória do FGTS (50%)' };
+    const multasFgts = compensatorio > 0
+        ? { 'Indenização Compensatória do FGTS': compensatorio, 'Indenização Compensatória do FGTS (50%)': compensatorio / 2 }
+        : { 'Multa de 40% do FGTS': 0.40, 'Multa de 20% do FGTS': 0.20 };
 
     let proventos = {};
     let descontos = {};
+    // Verbas that the chosen motivo does not pay, with the legal reason, so the user can see why they are missing.
+    const verbasExcluidas = [];
+    const excluir = (verba, justificativa) => verbasExcluidas.push({ verba, justificativa });
+    const observacoes = medias ? [describeMediasHistorico(medias)] : [];
+    if (complementoMinimo > 0) {
+        observacoes.push(describeGarantiaMinima(complementoMinimo, tabelas));
+    }
+    if (reducaoAviso) {
+        observacoes.push(reducaoAviso === 'sete_dias'
+            ? `Aviso prévio trabalhado com redução de 7 dias corridos (${avisoPrevioInfo.diasTrabalhados} dias trabalhados), sem prejuízo do salário (Art. 488, parágrafo único da CLT).`
+            : 'Aviso prévio trabalhado com redução de 2 horas diárias, sem prejuízo do salário (Art. 488 da CLT).');
+    }
+    if (avisoPeloEmpregador && avisoPrevio === 'dispensado') {
+        observacoes.push(`O empregador dispensou o cumprimento do aviso prévio; os ${diasAvisoPrevio} dias são pagos como aviso indenizado e projetados no contrato, pois só o empregado pode renunciar ao aviso (Súmula 276 do TST).`);
+    }
+    if (avisoDispensadoPeloEmpregado) {
+        excluir('Aviso Prévio Indenizado', 'O empregado pediu a dispensa do aviso prévio por ter obtido novo emprego; o aviso não é pago nem projetado no contrato (Súmula 276 do TST).');
+    }
+    if (diasAvisoFaltantes > 0) {
+        observacoes.push(`O aviso trabalhado começou em ${formatDate(avisoPrevioInfo.inicio)} e cobriu ${diasAvisoPrevio - diasAvisoFaltantes} dos ${diasAvisoPrevio} dias devidos; os ${diasAvisoFaltantes} dias restantes são pagos como aviso indenizado e projetados no contrato (Art. 487, §1º da CLT).`);
+    }
+    const mesesAfastado = avos.decimoTerceiro.meses.filter(mes => mes.diasAfastado > 0 && !mes.conta).map(mes => mes.mes);
+    if (mesesAfastado.length > 0) {
+        observacoes.push(describeAvosAfastamentos(mesesAfastado));
+    }
+    periodosContrato.map(describePeriodoAfastamentos).filter(Boolean).forEach(descricao => observacoes.push(descricao));
+    // Share of the FGTS balance the employee may withdraw and whether the dismissal allows unemployment insurance.
+    let percentualSaqueFgts = 0;
+    let direitoSeguroDesemprego = false;
+
+    // The recesso of the estagiário has neither the 1/3 nor the payment in double of the férias (Art. 137 da CLT).
+    const recessoVencido = roundMoney(remuneracao * periodosAquisitivos.filter(periodo => !periodo.gozado).length);
+    const recessoProporcional = roundMoney((remuneracao / 12) * avos.ferias.avos);
 
-    switch (motivo) {
+    switch (contrato.empregado ? motivo : 'estagio') {
         case 'sem_justa_causa':
             proventos = {
                 'Saldo de Salário': saldoDeSalario,
+                'Aviso Prévio Trabalhado': avisoPrevioTrabalhado,
                 'Aviso Prévio Indenizado': avisoPrevioIndenizado,
                 '13º Salário Proporcional': decimoTerceiroProporcional,
-                'Férias Vencidas + 1/3': valorFeriasVencidas + tercoFeriasVencidas,
-                'Férias Proporcionais + 1/3': feriasProporcionais + tercoFeriasProporcionais,
-                'Multa de 40% do FGTS': multaFgts,
+                ...feriasVencidas,
+                'Férias Proporcionais + 1/3': feriasProporcionaisComTerco,
+                'Multa de 40% do FGTS': 0,
             };
+            percentualSaqueFgts = 1;
+            direitoSeguroDesemprego = true;
             break;
-        // Other cases can be updated later, focus on the main one.
-        default:
-             proventos = {
+        case 'pedido_demissao':
+            proventos = {
+                'Saldo de Salário': saldoDeSalario,
+                'Aviso Prévio Trabalhado': avisoPrevioTrabalhado,
+                '13º Salário Proporcional': decimoTerceiroProporcional,
+                ...feriasVencidas,
+                'Férias Proporcionais + 1/3': feriasProporcionaisComTerco,
+            };
+            excluir('Aviso Prévio Indenizado', 'No pedido de demissão o aviso prévio é devido pelo empregado ao empregador (Art. 487, §2º da CLT).');
+            if (avisoPrevio === 'dispensado') {
+                observacoes.push('O empregador dispensou o cumprimento do aviso prévio; nenhum desconto é aplicado.');
+            }
+            excluir('Multa de 40% do FGTS', 'A multa rescisória só é devida na dispensa por iniciativa do empregador (Art. 18, §1º da Lei nº 8.036/90).');
+            break;
+        case 'com_justa_causa':
+            proventos = {
                 'Saldo de Salário': saldoDeSalario,
-                'Multa de 40% do FGTS': multaFgts
-             };
+                ...feriasVencidas,
+            };
+            excluir('Aviso Prévio Indenizado', 'Não há aviso prévio na dispensa por justa causa (Art. 482 da CLT).');
+            excluir('13º Salário Proporcional', 'O 13º proporcional não é devido na dispensa por justa causa (Art. 3º da Lei nº 4.090/62).');
+            excluir('Férias Proporcionais + 1/3', 'As férias proporcionais não são devidas na dispensa por justa causa (Súmula 171 do TST).');
+            excluir('Multa de 40% do FGTS', 'A multa rescisória não é devida na dispensa por justa causa (Art. 18 da Lei nº 8.036/90).');
             break;
+        case 'acordo_mutuo': {
+            proventos = {
+                'Saldo de Salário': saldoDeSalario,
+                'Aviso Prévio Trabalhado': avisoPrevioTrabalhado,
+                'Aviso Prévio Indenizado (50%)': roundMoney(avisoPrevioIndenizado / 2),
+                '13º Salário Proporcional': decimoTerceiroProporcional,
+                ...feriasVencidas,
+                'Férias Proporcionais + 1/3': feriasProporcionaisComTerco,
+                'Multa de 20% do FGTS': 0,
+            };
+            if (temAvisoIndenizado) {
+                excluir('50% do Aviso Prévio Indenizado', 'No acordo mútuo o aviso prévio indenizado é pago pela metade (Art. 484-A, I, "a" da CLT).');
+            }
+            excluir('Multa de 40% do FGTS', 'No acordo mútuo a multa do FGTS é reduzida para 20% (Art. 484-A, I, "b" da CLT).');
+            percentualSaqueFgts = 0.80;
+            observacoes.push('A rescisão por acordo não dá direito ao seguro-desemprego (Art. 484-A, §2º da CLT).');
+            break;
+        }
+        case 'termino_contrato_experiencia': {
+            const dtTermino = dataTerminoContrato ? new Date(dataTerminoContrato + 'T00:00:00') : null;
+            const rescisaoAntecipada = dtTermino && dtTermino > dtDemissao;
+            proventos = {
+                'Saldo de Salário': saldoDeSalario,
+                '13º Salário Proporcional': decimoTerceiroProporcional,
+                ...feriasVencidas,
+                'Férias Proporcionais + 1/3': feriasProporcionaisComTerco,
+            };
+            excluir('Aviso Prévio Indenizado', 'Contratos por prazo determinado não têm aviso prévio, pois a data de término já é conhecida (Art. 487 da CLT).');
+            if (rescisaoAntecipada) {
+                // Art. 479: half of the remuneration the employee would receive until the agreed end date.
+                const diasRestantes = Math.round((dtTermino - dtDemissao) / (1000 * 60 * 60 * 24));
+                proventos['Indenização Art. 479 da CLT'] = roundMoney(((remuneracao / 30) * diasRestantes) / 2);
+                proventos['Multa de 40% do FGTS'] = 0;
+                direitoSeguroDesemprego = true;
+            } else {
+                excluir('Indenização Art. 479 da CLT', 'O contrato chegou ao termo previsto; a indenização só é devida na rescisão antecipada pelo empregador.');
+                excluir('Multa de 40% do FGTS', 'No término normal do contrato por prazo determinado não há multa rescisória (Art. 14 do Decreto nº 99.684/90).');
+            }
+            percentualSaqueFgts = 1;
+            break;
+        }
+        case 'estagio':
+            // The internship creates no employment bond, so whatever the motivo only the bolsa of the month and
+            // the recesso not enjoyed are paid (Lei 11.788/2008, Arts. 3º and 13).
+            proventos = {
+                'Saldo de Salário': saldoDeSalario,
+                'Recesso Vencido': recessoVencido,
+                'Recesso Proporcional': recessoProporcional,
+            };
+            excluir('Aviso Prévio', 'O estágio não cria vínculo de emprego e termina sem aviso prévio (Art. 3º da Lei nº 11.788/2008).');
+            excluir('13º Salário Proporcional', 'O estagiário não tem direito ao 13º salário (Art. 3º da Lei nº 11.788/2008).');
+            excluir('FGTS e Multa de 40% do FGTS', 'Não há depósitos de FGTS sobre a bolsa de estágio, nem multa ou seguro-desemprego (Art. 3º da Lei nº 11.788/2008).');
+            break;
+        default:
+            proventos = {
+                'Saldo de Salário': saldoDeSalario
+            };
+            break;
+    }
+
+    if (contrato.pagamentoPorConvocacao) {
+        Object.keys(proventos)
+            .filter(verba => verba === '13º Salário Proporcional' || verba.startsWith('Férias'))
+            .forEach(verba => delete proventos[verba]);
+        excluir('13º Salário e Férias + 1/3', 'O intermitente recebe as férias + 1/3 e o 13º proporcionais ao fim de cada convocação, e o período de férias não é remunerado (Art. 452-A, §§6º e 9º da CLT).');
+    }
+
+    if (compensatorio > 0) {
+        proventos = Object.fromEntries(Object.entries(proventos).map(([verba, valor]) => [verbasCompensatorio[verba] || verba, valor]));
+        if ('Indenização Compensatória do FGTS' in proventos) {
+            observacoes.push('O empregado doméstico não recebe a multa de 40%: saca a indenização compensatória de 3,2% depositada todo mês (Art. 22 da LC nº 150/2015).');
+        } else if (!('Indenização Compensatória do FGTS (50%)' in proventos)) {
+            observacoes.push('A indenização compensatória de 3,2% depositada todo mês volta ao empregador (Art. 22, §1º da LC nº 150/2015).');
+        }
+    }
+
+    // Stability indemnity: the salaries from the end of the projected notice to the end of the stability, with their
+    // 13º, férias + 1/3 and FGTS + fine reflections (Súmula 396, I do TST). Being an indemnity, they stay out of the
+    // INSS, IRRF and FGTS deposit bases of the termination payments.
+    let estabilidadeInfo = null;
+    const tipoEstabilidade = ESTABILIDADE_TYPES[estabilidade];
+    if (tipoEstabilidade) {
+        const dtInicioEstabilidade = addDays(dtFinalProjetada, 1);
+        const dtFimEstabilidade = dataFimEstabilidade ? new Date(dataFimEstabilidade + 'T00:00:00') : null;
+        if (!contrato.empregado || motivo !== 'sem_justa_causa') {
+            excluir('Indenização da Estabilidade', `A estabilidade (${tipoEstabilidade.fundamento}) só impede a dispensa sem justa causa; não há indenização nesta modalidade de rescisão.`);
+        } else if (!dtFimEstabilidade || dtFimEstabilidade < dtInicioEstabilidade) {
+            excluir('Indenização da Estabilidade', dtFimEstabilidade
+                ? 'A estabilidade termina antes do fim do aviso prévio projetado; não há período restante a indenizar.'
+                : 'Informe a data de fim da estabilidade para calcular a indenização.');
+        } else {
+            const { meses, dias } = countMesesEDias(dtInicioEstabilidade, dtFimEstabilidade);
+            const avosEstabilidade = meses + (dias >= 15 ? 1 : 0);
+            const salarios = roundMoney(remuneracao * meses + (remuneracao / 30) * dias);
+            const decimoTerceiro = roundMoney((remuneracao / 12) * avosEstabilidade);
+            const ferias = roundMoney((remuneracao / 12) * avosEstabilidade);
+            const fgtsEstabilidade = roundMoney(sumMoney([salarios, decimoTerceiro]) * contrato.fgts);
+            const multaEstabilidade = roundMoney(fgtsEstabilidade * (compensatorio > 0 ? compensatorio : 0.40));
+            proventos['Indenização da Estabilidade (Salários)'] = salarios;
+            proventos['13º Salário da Estabilidade'] = decimoTerceiro;
+            proventos['Férias + 1/3 da Estabilidade'] = sumMoney([ferias, roundMoney(ferias / 3)]);
+            proventos[compensatorio > 0 ? 'FGTS + Indenização Compensatória da Estabilidade' : 'FGTS + 40% da Estabilidade'] = sumMoney([fgtsEstabilidade, multaEstabilidade]);
+            estabilidadeInfo = {
+                tipo: estabilidade,
+                descricao: tipoEstabilidade.descricao,
+                inicio: toISODate(dtInicioEstabilidade),
+                fim: dataFimEstabilidade,
+                meses,
+                dias,
+                avos: avosEstabilidade
+            };
+            observacoes.push(`Estabilidade provisória (${tipoEstabilidade.descricao}, ${tipoEstabilidade.fundamento}): o período de ${formatDate(estabilidadeInfo.inicio)} a ${formatDate(dataFimEstabilidade)} é indenizado com ${meses} ${meses === 1 ? 'mês' : 'meses'} e ${dias} dias de salário e ${avosEstabilidade}/12 de 13º e férias + 1/3, além do FGTS e da multa (Súmula 396 do TST).`);
+        }
+    }
+
+    if ('Férias Proporcionais + 1/3' in proventos && diasFeriasDireito < 30) {
+        if (diasFeriasDireito === 0) {
+            delete proventos['Férias Proporcionais + 1/3'];
+            excluir('Férias Proporcionais + 1/3', `Com ${faltasInjustificadas} faltas injustificadas no período aquisitivo não há direito a férias (Art. 130 da CLT).`);
+        } else {
+            observacoes.push(`Férias proporcionais calculadas sobre ${diasFeriasDireito} dias por causa de ${faltasInjustificadas} faltas injustificadas (Art. 130 da CLT).`);
+        }
+    }
+
+    // FGTS due on the termination payments themselves (Lei 8.036/90, Art. 15; Súmula 305 do TST for the
+    // indemnified notice). Indemnified férias are not part of the base (OJ 195 da SDI-1 do TST).
+    const depositosRescisorios = {};
+    Object.entries(proventos).forEach(([verba, valor]) => {
+        if (valor > 0 && contrato.fgts > 0 && (verba === 'Saldo de Salário' || verba.startsWith('Aviso Prévio') || verba === '13º Salário Proporcional')) {
+            depositosRescisorios[verba] = roundMoney(valor * contrato.fgts);
+        }
+    });
+    const totalDepositosRescisorios = sumMoney(Object.values(depositosRescisorios));
+    // The fine is calculated on the balance updated with those deposits (Art. 18, §1º).
+    const saldoAtualizadoFgts = sumMoney([saldoFgts, totalDepositosRescisorios]);
+    let multaFgts = null;
+    Object.entries(multasFgts).forEach(([verba, percentual]) => {
+        if (verba in proventos) {
+            proventos[verba] = roundMoney(saldoAtualizadoFgts * percentual);
+            multaFgts = { verba, value: proventos[verba] };
+        }
+    });
+    if (motivo === 'acordo_mutuo' && contrato.empregado) {
+        observacoes.push(`O saque do FGTS fica limitado a 80% do saldo: ${formatCurrency(roundMoney(saldoAtualizadoFgts * percentualSaqueFgts))} (Art. 484-A, §1º da CLT).`);
+    }
+    if (fgtsOrigem === 'projetado' && dataAdmissao < TR_TABLES[0].validFrom) {
+        observacoes.push(`A estimativa do FGTS não aplica a TR antes de ${formatDate(TR_TABLES[0].validFrom)}, início da tabela de TR; para contratos mais antigos o saldo projetado fica abaixo do real e o valor do extrato do FGTS deve ser preferido.`);
+    }
+    // The doméstico's compensatory deposits are already in the account, so the employer only adds the 3,2% on the
+    // termination payments instead of paying a fine.
+    const depositoCompensatorio = roundMoney(totalDepositosRescisorios * compensatorio);
+    const fgtsInfo = {
+        origem: fgtsOrigem,
+        saldo: saldoFgts,
+        saldoInformado: saldoFgtsInformado,
+        projecao: projecaoFgts,
+        mesesHistorico: remuneracoesHistorico.length,
+        aliquota: contrato.fgts,
+        depositosRescisorios,
+        totalDepositosRescisorios,
+        saldoAtualizado: saldoAtualizadoFgts,
+        multa: multaFgts,
+        depositoCompensatorio,
+        // What the employer pays through the GRRF / FGTS Digital: the deposits plus the fine.
+        totalGuia: sumMoney([totalDepositosRescisorios, compensatorio > 0 ? depositoCompensatorio : (multaFgts ? multaFgts.value : 0)])
+    };
+
+    // Payment deadline and the fines for paying late (Art. 477, §8º) or for leaving the undisputed verbas to the
+    // first hearing (Art. 467). Both are indemnities, outside the INSS, IRRF and FGTS bases. The internship is not
+    // ruled by the CLT, so neither applies to it.
+    const dtPrazoPagamento = addDays(dtDemissao, PRAZO_PAGAMENTO_RESCISAO_DIAS);
+    const diasAtraso = dataPagamento ? Math.max(countDays(dtPrazoPagamento, new Date(dataPagamento + 'T00:00:00')) - 1, 0) : 0;
+    const pagamentoInfo = { prazo: toISODate(dtPrazoPagamento), data: dataPagamento || null, atrasado: diasAtraso > 0, diasAtraso };
+    if (diasAtraso > 0) {
+        if (contrato.empregado) {
+            proventos['Multa do Art. 477, §8º da CLT'] = remuneracao;
+            observacoes.push(`As verbas foram pagas em ${formatDate(dataPagamento)}, ${diasAtraso} ${diasAtraso === 1 ? 'dia' : 'dias'} após o prazo de ${formatDate(pagamentoInfo.prazo)}: é devida a multa de um salário (Art. 477, §8º da CLT).`);
+        } else {
+            excluir('Multa do Art. 477, §8º da CLT', 'O estágio não é regido pela CLT, e o atraso no pagamento não gera a multa (Art. 3º da Lei nº 11.788/2008).');
+        }
+    }
+    if (multa467) {
+        if (contrato.empregado) {
+            // The stability indemnity is usually what the claim disputes, so it stays out of the undisputed verbas.
+            const verbasIncontroversas = sumMoney(Object.entries(proventos)
+                .filter(([verba]) => !verba.includes('Estabilidade') && !verba.startsWith('Multa do Art. 477'))
+                .map(([, valor]) => valor));
+            proventos['Multa do Art. 467 da CLT (50%)'] = roundMoney(verbasIncontroversas * MULTA_ART_467);
+            observacoes.push(`As verbas rescisórias incontroversas (${formatCurrency(verbasIncontroversas)}) não pagas até a primeira audiência são devidas com acréscimo de 50% (Art. 467 da CLT).`);
+        } else {
+            excluir('Multa do Art. 467 da CLT (50%)', 'O estágio não é regido pela CLT, e o acréscimo sobre as verbas incontroversas não se aplica (Art. 3º da Lei nº 11.788/2008).');
+        }
     }
 
-    const inssSobre13Result = calculateINSS(proventos['13º Salário Proporcional'] || 0);
-    const inssSobreSaldoResult = calculateINSS(proventos['Saldo de Salário'] || 0);
+    const inssSobre13Result = calculateINSS(proventos['13º Salário Proporcional'] || 0, tabelas);
+    // Worked notice days are salary of the final month, so they share the INSS base with the saldo.
+    // The estagiário's bolsa has no INSS.
+    const salarioDoMes = sumMoney([proventos['Saldo de Salário'] || 0, proventos['Aviso Prévio Trabalhado'] || 0]);
+    const inssSobreSaldoResult = calculateINSS(contrato.empregado ? salarioDoMes : 0, tabelas);
     if(inssSobre13Result.value > 0) descontos['INSS sobre 13º Salário'] = inssSobre13Result;
     if(inssSobreSaldoResult.value > 0) descontos['INSS sobre Saldo de Salário'] = inssSobreSaldoResult;
 
-    const baseIRRF = (proventos['Saldo de Salário'] || 0) + (proventos['Aviso Prévio Indenizado'] || 0) - (inssSobreSaldoResult.value || 0);
-    const irrfResult = calculateIRRF(baseIRRF, dependentes);
-    if(irrfResult.value > 0) descontos['IRRF sobre Verbas'] = irrfResult;
+    // IRRF is computed per income class: the salary of the month on its own, and the 13º exclusively.
+    // Indemnified notice and indemnified férias (+1/3) are not taxable income.
+    // The pension is drawn from each class and deducted from its IRRF base; a fixed or minimum-wage
+    // based pension is a monthly amount, so it only falls on the salary of the month.
+    const pensaoSobreSaldo = calculatePensaoAlimenticia(rescisaoState, { rendimento: salarioDoMes, descontoINSS: inssSobreSaldoResult.value, dependentes, tabelas });
+    const pensaoSobre13 = calculatePensaoAlimenticia(
+        pensaoTipo === 'percentual_bruto' || pensaoTipo === 'percentual_liquido' ? rescisaoState : {},
+        { rendimento: proventos['13º Salário Proporcional'] || 0, descontoINSS: inssSobre13Result.value, dependentes, tabelas, exclusiva: true }
+    );
+    const irrfSobreSaldoResult = pensaoSobreSaldo.irrfResult;
+    const irrfSobre13Result = pensaoSobre13.irrfResult;
+    if(irrfSobreSaldoResult.value > 0) descontos['IRRF sobre Saldo de Salário'] = irrfSobreSaldoResult;
+    if(irrfSobre13Result.value > 0) descontos['IRRF sobre 13º Salário'] = irrfSobre13Result;
+
+    const valorPensao = sumMoney([pensaoSobreSaldo.value, pensaoSobre13.value]);
+    if (valorPensao > 0) {
+        descontos['Pensão Alimentícia'] = { value: valorPensao, details: pensaoSobreSaldo.details || pensaoSobre13.details };
+    }
+
+    if (descontoAvisoNaoCumprido > 0) {
+        descontos['Aviso Prévio não Cumprido'] = { value: descontoAvisoNaoCumprido };
+    }
 
     const detailedDiscounts = calculateDetailedDiscounts(rescisaoState, remuneracao);
     if (detailedDiscounts.total > 0) {
         descontos['Outros Descontos'] = { value: detailedDiscounts.total, details: detailedDiscounts };
     }
 
-    const totalProventos = Object.values(proventos).reduce((sum, val) => sum + val, 0);
-    const totalDescontos = Object.values(descontos).reduce((sum, val) => sum + (val.value || 0), 0);
-    const valorLiquido = totalProventos - totalDescontos;
+    const totalProventos = sumMoney(Object.values(proventos));
+    const totalDescontos = sumMoney(Object.values(descontos).map(desconto => desconto.value || 0));
+    const valorLiquido = sumMoney([totalProventos, -totalDescontos]);
+
+    const saqueFgts = percentualSaqueFgts > 0
+        ? sumMoney([roundMoney(saldoAtualizadoFgts * percentualSaqueFgts), multaFgts ? multaFgts.value : 0])
+        : 0;
 
-    return { proventos, descontos, totalProventos, totalDescontos, valorLiquido };
+    // Inputs for the seguro-desemprego calculator when the motivo allows the benefit
+    const seguroDesemprego = direitoSeguroDesemprego
+        ? { dataDemissao, salario: remuneracao, mesesTrabalhados: countMesesTrabalhados(new Date(dataAdmissao + 'T00:00:00'), dtDemissao) }
+        : null;
+
+    return {
+        proventos,
+        descontos,
+        totalProventos,
+        totalDescontos,
+        valorLiquido,
+        verbasExcluidas,
+        observacoes,
+        saqueFgts,
+        direitoSeguroDesemprego,
+        avisoPrevio: avisoPrevioInfo,
+        avos,
+        periodosAquisitivos,
+        fgts: contrato.fgts > 0 ? fgtsInfo : null,
+        seguroDesemprego,
+        estabilidade: estabilidadeInfo,
+        pagamento: pagamentoInfo,
+        medias,
+        contrato,
+        tabelas
+    };
+}
+
+/**
+ * Calculates the seguro-desemprego: eligibility, number of installments and installment value
+ * (Lei 7.998/90, Arts. 3º to 5º).
+ * The installment comes from the average of the salaries of the last three months (or of the months
+ * informed, when fewer were worked), limited to the minimum wage and to the ceiling of the table in force
+ * on the dismissal date. The domestic employee gets the installments of SEGURO_DESEMPREGO_DOMESTICO instead,
+ * and the estagiário, who is not an employee, has no right to the benefit.
+ * @param {object} seguroState - The seguro-desemprego calculator state.
+ * @param {object} [funcionario] - The employee data shared by the calculators.
+ * @returns {object} - The eligibility, installments and how the installment value was reached.
+ */
+export function calculateSeguroDesemprego(seguroState, funcionario = {}) {
+    const {
+        dataDemissao = '',
+        salario1 = 0,
+        salario2 = 0,
+        salario3 = 0,
+        solicitacoesAnteriores = 0,
+        mesesTrabalhados = 0
+    } = seguroState;
+
+    const tabelas = getTaxTables(dataDemissao);
+    const contrato = getContractType(funcionario);
+    const domestico = contrato.tipo === 'domestico';
+    const salarios = [salario1, salario2, salario3].filter(salario => salario > 0);
+    const regra = domestico
+        ? { ...SEGURO_DESEMPREGO_DOMESTICO, parcelas: [{ minMeses: SEGURO_DESEMPREGO_DOMESTICO.carencia, parcelas: SEGURO_DESEMPREGO_DOMESTICO.parcelas }] }
+        : SEGURO_DESEMPREGO_REGRAS[Math.min(Math.max(Math.floor(solicitacoesAnteriores), 0), SEGURO_DESEMPREGO_REGRAS.length - 1)];
+    const solicitacao = Math.max(Math.floor(solicitacoesAnteriores), 0) + 1;
+
+    const elegivel = contrato.empregado && mesesTrabalhados >= regra.carencia;
+    let motivoInelegibilidade = null;
+    if (!contrato.empregado) {
+        motivoInelegibilidade = 'O estagiário não é empregado e não tem direito ao seguro-desemprego (Art. 3º da Lei nº 11.788/2008).';
+    } else if (!elegivel) {
+        motivoInelegibilidade = domestico
+            ? `O empregado doméstico precisa ter trabalhado ao menos ${regra.carencia} meses nos últimos ${regra.janela} meses antes da dispensa (Art. 3º, I da Resolução CODEFAT nº 754/2015).`
+            : regra.solicitacao < SEGURO_DESEMPREGO_REGRAS.length
+                ? `Na ${solicitacao}ª solicitação é preciso ter trabalhado ao menos ${regra.carencia} meses nos últimos ${regra.janela} meses antes da dispensa (Art. 3º, I da Lei nº 7.998/90).`
+                : `A partir da 3ª solicitação é preciso ter trabalhado em cada um dos ${regra.carencia} meses imediatamente anteriores à dispensa (Art. 3º, I da Lei nº 7.998/90).`;
+    }
+    const parcelas = elegivel
+        ? regra.parcelas.reduce((total, faixa) => (mesesTrabalhados >= faixa.minMeses ? faixa.parcelas : total), 0)
+        : 0;
+
+    const salarioMedio = salarios.length > 0 ? roundMoney(sumMoney(salarios) / salarios.length) : 0;
+
+    // Table tier: the last one whose previous limit is below the average; above every limit the ceiling applies.
+    // The domestic employee is paid the minimum wage whatever the average (LC 150/2015, Art. 26).
+    const { tiers, teto } = tabelas.seguroDesemprego;
+    const piso = tabelas.salarioMinimo.value;
+    const indiceFaixa = domestico ? -1 : tiers.findIndex(tier => salarioMedio <= tier.limit);
+    let valorCalculado = domestico ? piso : teto;
+    if (indiceFaixa >= 0) {
+        const { rate, parcelaFixa } = tiers[indiceFaixa];
+        const limiteAnterior = indiceFaixa > 0 ? tiers[indiceFaixa - 1].limit : 0;
+        valorCalculado = roundMoney(parcelaFixa + (salarioMedio - limiteAnterior) * rate);
+    }
+    const valorParcela = salarioMedio > 0 ? Math.min(Math.max(valorCalculado, piso), teto) : 0;
+
+    return {
+        contrato,
+        salarios,
+        salarioMedio,
+        solicitacao,
+        carencia: regra.carencia,
+        janela: regra.janela,
+        mesesTrabalhados,
+        elegivel,
+        motivoInelegibilidade,
+        parcelas,
+        faixa: indiceFaixa >= 0 ? indiceFaixa + 1 : null,
+        valorCalculado,
+        piso,
+        teto,
+        valorParcela,
+        valorTotal: elegivel ? roundMoney(valorParcela * parcelas) : 0,
+        tabelas
+    };
+}
+
+/**
+ * Calculates what an employee costs the employer: the remuneration of calculateSalarioLiquido, the
+ * contributions on it, the monthly provisions for 13º and férias + 1/3 with their own contributions,
+ * and the benefits paid by the company.
+ * The annual cost counts 11 months of remuneration, because the salary of the vacation month is paid
+ * out of the férias provision.
+ * The contract type changes the charges: the domestic employer pays ENCARGOS_DOMESTICO whatever the tax regime,
+ * the aprendiz has the FGTS of 2%, and the estagiário has no contributions, FGTS or 13º, only the recesso.
+ * @param {object} custoState - The employer cost state: the earnings of a salário líquido plus the
+ * tax regime, RAT, FAP, third-party rate and benefits.
+ * @param {object} [funcionario] - The employee data shared by the calculators.
+ * @returns {object} - The monthly cost lines, the totals and the annual cost.
+ */
+export function calculateCustoEmpregador(custoState, funcionario = {}) {
+    const {
+        regimeTributario = 'lucro',
+        rat = 1,
+        fap = 1,
+        terceiros = ENCARGOS_EMPREGADOR.terceiros * 100,
+        valeTransporte = 0,
+        beneficios = 0
+    } = custoState;
+
+    const salario = calculateSalarioLiquido(custoState, funcionario);
+    const remuneracao = salario.salarioBrutoTotal;
+    const contrato = getContractType(funcionario);
+    const domestico = contrato.tipo === 'domestico';
+    const regime = domestico
+        ? { descricao: ENCARGOS_DOMESTICO.descricao, cpp: true, rat: false, terceiros: false }
+        : REGIMES_TRIBUTARIOS[regimeTributario] || REGIMES_TRIBUTARIOS.lucro;
+    if (!remuneracao) {
+        return { salario, remuneracao: 0, regime, contrato, proventos: [], encargos: [], provisoes: [], beneficios: [], totalEncargos: 0, totalProvisoes: 0, totalBeneficios: 0, custoMensal: 0, custoAnual: 0, tabelas: salario.tabelas };
+    }
+
+    const proventos = [
+        { rubrica: 'Salário base', value: salario.salarioBruto },
+        { rubrica: 'Adicionais, horas extras e DSR', value: sumMoney([remuneracao, -salario.salarioBruto]) }
+    ].filter(provento => provento.value > 0);
+
+    const aliquotas = (domestico ? [
+        { rubrica: 'CPP (INSS patronal)', aliquota: ENCARGOS_DOMESTICO.cpp },
+        { rubrica: 'GILRAT (seguro contra acidentes de trabalho)', aliquota: ENCARGOS_DOMESTICO.gilrat },
+        { rubrica: 'FGTS', aliquota: contrato.fgts },
+        { rubrica: 'FGTS compensatório (indenização da dispensa)', aliquota: contrato.fgtsCompensatorio }
+    ] : [
+        { rubrica: 'CPP (INSS patronal)', aliquota: contrato.empregado && regime.cpp ? ENCARGOS_EMPREGADOR.cpp : 0 },
+        { rubrica: 'RAT × FAP', aliquota: contrato.empregado && regime.rat ? (Number(rat) / 100) * fap : 0 },
+        { rubrica: 'Terceiros (Sistema S, INCRA e salário-educação)', aliquota: contrato.empregado && regime.terceiros ? terceiros / 100 : 0 },
+        { rubrica: 'FGTS', aliquota: contrato.fgts },
+        { rubrica: 'Provisão da multa de 40% do FGTS', aliquota: contrato.fgts * ENCARGOS_EMPREGADOR.multaFgts }
+    ]).filter(({ aliquota }) => aliquota > 0);
+    const encargosSobre = base => aliquotas.map(({ rubrica, aliquota }) => ({ rubrica, aliquota, base, value: roundMoney(base * aliquota) }));
+
+    const encargos = encargosSobre(remuneracao);
+    const totalEncargos = sumMoney(encargos.map(encargo => encargo.value));
+
+    // 1/12 of the 13º and of the férias + 1/3 earned each month; both are salary for the contributions and the FGTS.
+    // The estagiário earns only the recesso, 1/12 of the stipend without the 1/3, and nothing is charged on it.
+    const decimoTerceiro = contrato.empregado ? roundMoney(remuneracao / 12) : 0;
+    const ferias = roundMoney(remuneracao / 12);
+    const tercoFerias = contrato.empregado ? roundMoney(ferias / 3) : 0;
+    const baseProvisoes = sumMoney([decimoTerceiro, ferias, tercoFerias]);
+    const encargosProvisoes = encargosSobre(baseProvisoes);
+    const provisoes = contrato.empregado ? [
+        { rubrica: '13º Salário', value: decimoTerceiro },
+        { rubrica: 'Férias + 1/3', value: sumMoney([ferias, tercoFerias]) },
+        { rubrica: 'Encargos sobre as provisões', value: sumMoney(encargosProvisoes.map(encargo => encargo.value)), detalhes: encargosProvisoes }
+    ] : [
+        { rubrica: 'Recesso remunerado', value: ferias }
+    ];
+    const totalProvisoes = sumMoney(provisoes.map(provisao => provisao.value));
+
+    // The employee pays up to 6% of the base salary for the transport voucher (Lei 7.418/85, Art. 4º).
+    // Voucher and meal benefits are not salary, so they carry no contributions.
+    const custoValeTransporte = Math.max(0, sumMoney([valeTransporte, -roundMoney(salario.salarioBruto * 0.06)]));
+    const listaBeneficios = [
+        { rubrica: 'Vale-Transporte (parte da empresa)', value: custoValeTransporte },
+        { rubrica: 'Outros benefícios', value: roundMoney(beneficios) }
+    ].filter(beneficio => beneficio.value > 0);
+    const totalBeneficios = sumMoney(listaBeneficios.map(beneficio => beneficio.value));
+
+    const custoMesTrabalhado = sumMoney([remuneracao, totalEncargos, totalBeneficios]);
+    const custoMensal = sumMoney([custoMesTrabalhado, totalProvisoes]);
+    const custoAnual = sumMoney([custoMesTrabalhado * 11, totalProvisoes * 12]);
+
+    return {
+        salario,
+        remuneracao,
+        regime,
+        contrato,
+        proventos,
+        encargos,
+        provisoes,
+        beneficios: listaBeneficios,
+        totalEncargos,
+        totalProvisoes,
+        totalBeneficios,
+        custoMensal,
+        custoAnual,
+        tabelas: salario.tabelas
+    };
+}
+
+/**
+ * Calculates the monthly taxes and the partner's net income of a PJ (pessoa jurídica) that invoices the given
+ * amount. In the Simples Nacional the pro-labore sets the Fator R, and with it annex III or V; in the lucro
+ * presumido the company also pays the CPP on the pro-labore. Profits paid to the partner are exempt from income
+ * tax (Lei 9.249/95, Art. 10), so the net income is the invoice less the company's taxes and costs and the INSS
+ * and IRRF withheld from the pro-labore.
+ * @param {number} faturamento - The monthly invoice.
+ * @param {object} pjState - The regime, pro-labore, ISS rate, monthly costs and dependents.
+ * @param {object} tabelas - The table versions from getTaxTables.
+ * @returns {object} - The taxes, the pro-labore withholdings and the monthly and annual net income.
+ */
+function calculatePj(faturamento, pjState, tabelas) {
+    const {
+        regimePj = 'simples',
+        proLabore = 0,
+        ajustarFatorR = true,
+        aliquotaIss = LUCRO_PRESUMIDO.iss * 100,
+        custosPj = 0,
+        dependentes = 0
+    } = pjState;
+    const simples = regimePj !== 'lucro_presumido';
+
+    // The pro-labore is at least the minimum wage, the floor of the contribution base. In the Simples Nacional
+    // it can be raised to 28% of the invoice to keep the company in annex III.
+    let valorProLabore = Math.max(roundMoney(proLabore), tabelas.salarioMinimo.value);
+    if (simples && ajustarFatorR) {
+        valorProLabore = Math.max(valorProLabore, roundMoney(faturamento * FATOR_R_MINIMO));
+    }
+
+    const tributos = [];
+    let anexo = null;
+    let fatorR = null;
+    let limiteExcedido;
+    if (simples) {
+        const receitaBruta12 = faturamento * 12;
+        fatorR = faturamento > 0 ? roundToPrecision(valorProLabore / faturamento, 4) : 0;
+        anexo = fatorR >= FATOR_R_MINIMO ? 'III' : 'V';
+        const tiers = SIMPLES_NACIONAL_ANEXOS[anexo];
+        const tier = tiers.find(({ limit }) => receitaBruta12 <= limit) || tiers[tiers.length - 1];
+        const aliquota = receitaBruta12 > 0 ? (receitaBruta12 * tier.rate - tier.deduction) / receitaBruta12 : 0;
+        tributos.push({ rubrica: 'DAS', aliquota, value: roundMoney(faturamento * aliquota) });
+        limiteExcedido = receitaBruta12 > tiers[tiers.length - 1].limit;
+    } else {
+        const { presuncao, irpj, adicionalIrpj, limiteAdicionalIrpj, csll, pis, cofins, limiteAnual } = LUCRO_PRESUMIDO;
+        const lucroPresumido = faturamento * presuncao;
+        tributos.push(
+            { rubrica: 'IRPJ', aliquota: presuncao * irpj, value: roundMoney(lucroPresumido * irpj) },
+            { rubrica: 'Adicional de IRPJ', aliquota: null, value: roundMoney(Math.max(0, lucroPresumido - limiteAdicionalIrpj) * adicionalIrpj) },
+            { rubrica: 'CSLL', aliquota: presuncao * csll, value: roundMoney(lucroPresumido * csll) },
+            { rubrica: 'PIS', aliquota: pis, value: roundMoney(faturamento * pis) },
+            { rubrica: 'COFINS', aliquota: cofins, value: roundMoney(faturamento * cofins) },
+            { rubrica: 'ISS', aliquota: aliquotaIss / 100, value: roundMoney(faturamento * aliquotaIss / 100) },
+            { rubrica: 'CPP sobre o pró-labore', aliquota: ENCARGOS_EMPREGADOR.cpp, value: roundMoney(valorProLabore * ENCARGOS_EMPREGADOR.cpp) }
+        );
+        limiteExcedido = faturamento * 12 > limiteAnual;
+    }
+
+    const tetoInss = tabelas.inss.tiers[tabelas.inss.tiers.length - 1].limit;
+    const inss = roundMoney(Math.min(valorProLabore, tetoInss) * PRO_LABORE_INSS);
+    const irrfResult = calculateIRRF(valorProLabore - inss, dependentes, tabelas, { deducoesLegais: inss });
+    const retencoes = [
+        { rubrica: 'INSS sobre o pró-labore', aliquota: PRO_LABORE_INSS, value: inss },
+        { rubrica: 'IRRF sobre o pró-labore', aliquota: null, value: irrfResult.value }
+    ];
+
+    const totalTributos = sumMoney(tributos.map(tributo => tributo.value));
+    const totalRetencoes = sumMoney(retencoes.map(retencao => retencao.value));
+    const custos = roundMoney(custosPj);
+    const liquidoMensal = sumMoney([faturamento, -totalTributos, -totalRetencoes, -custos]);
+
+    return {
+        faturamento: roundMoney(faturamento),
+        regime: simples ? 'simples' : 'lucro_presumido',
+        descricao: simples ? `Simples Nacional (Anexo ${anexo})` : 'Lucro Presumido',
+        anexo,
+        fatorR,
+        proLabore: valorProLabore,
+        tributos: tributos.filter(tributo => tributo.value > 0),
+        retencoes,
+        descontoIRRF: irrfResult,
+        totalTributos,
+        totalRetencoes,
+        custos,
+        liquidoMensal,
+        liquidoAnual: roundMoney(liquidoMensal * 12),
+        limiteExcedido
+    };
+}
+
+/**
+ * Finds the lowest monthly invoice, to the cent, whose annual net income reaches the target. The net income
+ * grows with the invoice inside each range, so the ranges are tried in order with a binary search.
+ * @param {number} alvo - The annual net income to reach.
+ * @param {function(number): number} liquidoAnual - The annual net income of a monthly invoice.
+ * @param {Array<[number, number]>} faixas - The invoice ranges, in increasing order.
+ * @returns {number|null} - The invoice, or null when no range reaches the target.
+ */
+function findFaturamentoEquivalente(alvo, liquidoAnual, faixas) {
+    for (const [minimo, maximo] of faixas) {
+        let low = toCents(minimo);
+        let high = toCents(maximo);
+        if (low > high || liquidoAnual(fromCents(high)) < alvo) continue;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (liquidoAnual(fromCents(mid)) >= alvo) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return fromCents(low);
+    }
+    return null;
+}
+
+/**
+ * Compares a CLT salary with a PJ contract. The CLT package is the net income of a year: 11 months of
+ * salário líquido, the month of férias + 1/3, the 13º and the FGTS deposits, plus the benefits. On the PJ
+ * side it finds the monthly invoice whose net income over 12 invoices matches that package and, when a
+ * proposal is informed, the net income of that invoice.
+ * @param {object} comparacaoState - The CLT salary, competência, dependents and benefits, and the PJ regime,
+ * pro-labore, ISS rate, monthly costs and proposed invoice.
+ * @returns {object} - The CLT package, the equivalent PJ invoice and the proposal compared with the package.
+ */
+export function calculateCltPj(comparacaoState) {
+    const {
+        salarioBruto = 0,
+        dependentes = 0,
+        competencia = '',
+        beneficiosClt = 0,
+        regimePj = 'simples',
+        proLabore = 0,
+        ajustarFatorR = true,
+        faturamentoPj = 0
+    } = comparacaoState;
+
+    const tabelas = getTaxTables(competencia);
+    if (!(salarioBruto > 0)) {
+        return { clt: null, faturamentoEquivalente: null, pjEquivalente: null, pjProposta: null, diferencaAnual: 0, tabelas };
+    }
+
+    const cltState = {
+        salarioBruto,
+        dependentes,
+        competencia,
+        cargaHorariaMensal: 220,
+        filhosSalarioFamilia: 0,
+        mediaHorasExtras: 0,
+        mediaAdicionalNoturno: 0,
+        diasFerias: 30,
+        mesesTrabalhados: 12,
+        adiantamentoRecebido: 0
+    };
+    const salario = calculateSalarioLiquido(cltState);
+    const ferias = calculateFerias(cltState);
+    const decimoTerceiro = calculateDecimoTerceiro(cltState);
+
+    // The FGTS is deposited on the salaries, on the férias + 1/3 and on the 13º (Lei 8.036/90, Art. 15).
+    const baseFgts = sumMoney([salario.salarioBrutoTotal * 11, ferias.valorFerias, ferias.tercoConstitucional, decimoTerceiro.valorBrutoDecimo]);
+    const componentes = [
+        { rubrica: '11 salários líquidos', value: roundMoney(salario.salarioLiquido * 11) },
+        { rubrica: 'Férias + 1/3 líquidas', value: ferias.valorLiquido },
+        { rubrica: '13º salário líquido', value: decimoTerceiro.valorLiquidoDecimo },
+        { rubrica: 'FGTS depositado', value: roundMoney(baseFgts * FGTS_ALIQUOTA) },
+        { rubrica: 'Benefícios (12 meses)', value: roundMoney(beneficiosClt * 12) }
+    ].filter(componente => componente.value > 0);
+    const pacoteAnual = sumMoney(componentes.map(componente => componente.value));
+    const clt = { salario, ferias, decimoTerceiro, componentes, pacoteAnual, pacoteMensal: roundMoney(pacoteAnual / 12) };
+
+    const pj = faturamento => calculatePj(faturamento, comparacaoState, tabelas);
+    const anexoIII = SIMPLES_NACIONAL_ANEXOS.III;
+    const limiteSimples = anexoIII[anexoIII.length - 1].limit / 12;
+    let faixas;
+    if (regimePj === 'lucro_presumido') {
+        faixas = [[0.01, LUCRO_PRESUMIDO.limiteAnual / 12]];
+    } else if (ajustarFatorR) {
+        faixas = [[0.01, limiteSimples]];
+    } else {
+        // With a fixed pro-labore the company moves to annex V once the invoice passes pro-labore / 28%, and the
+        // net income drops there, so each annex is searched on its own.
+        const proLaboreFixo = Math.max(roundMoney(proLabore), tabelas.salarioMinimo.value);
+        const limiteAnexoIII = Math.min(limiteSimples, fromCents(Math.floor(toCents(proLaboreFixo) / FATOR_R_MINIMO)));
+        faixas = [[0.01, limiteAnexoIII], [roundMoney(limiteAnexoIII + 0.01), limiteSimples]];
+    }
+    const faturamentoEquivalente = findFaturamentoEquivalente(pacoteAnual, faturamento => pj(faturamento).liquidoAnual, faixas);
+    const pjProposta = faturamentoPj > 0 ? pj(faturamentoPj) : null;
+
+    return {
+        clt,
+        faturamentoEquivalente,
+        pjEquivalente: faturamentoEquivalente === null ? null : pj(faturamentoEquivalente),
+        pjProposta,
+        diferencaAnual: pjProposta ? sumMoney([pjProposta.liquidoAnual, -pacoteAnual]) : 0,
+        tabelas
+    };
 }
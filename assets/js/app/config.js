@@ -5,31 +5,421 @@
  * By centralizing them here, we make it easy to update them in the future.
  */
 
-// Tax and social security contribution tables for 2025
-export const INSS_TABLE = [
-    { limit: 1518.00, rate: 0.075 },
-    { limit: 2793.88, rate: 0.09 },
-    { limit: 4190.83, rate: 0.12 },
-    { limit: 8157.41, rate: 0.14 }
+// Tax and social security tables, one entry per version ordered by the date it took effect (validFrom).
+// Calculators pick the last entry whose validFrom is on or before the competência or dismissal date.
+
+// INSS employee contribution. Until February 2020 a single rate applied to the whole salary;
+// from March 2020 (EC 103/2019) the rates are progressive. The last tier limit is the contribution ceiling.
+export const INSS_TABLES = [
+    {
+        validFrom: '2020-01-01',
+        progressive: false,
+        tiers: [
+            { limit: 1830.29, rate: 0.08 },
+            { limit: 3050.52, rate: 0.09 },
+            { limit: 6101.06, rate: 0.11 }
+        ]
+    },
+    {
+        validFrom: '2020-03-01',
+        progressive: true,
+        tiers: [
+            { limit: 1045.00, rate: 0.075 },
+            { limit: 2089.60, rate: 0.09 },
+            { limit: 3134.40, rate: 0.12 },
+            { limit: 6101.06, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2021-01-01',
+        progressive: true,
+        tiers: [
+            { limit: 1100.00, rate: 0.075 },
+            { limit: 2203.48, rate: 0.09 },
+            { limit: 3305.22, rate: 0.12 },
+            { limit: 6433.57, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2022-01-01',
+        progressive: true,
+        tiers: [
+            { limit: 1212.00, rate: 0.075 },
+            { limit: 2427.35, rate: 0.09 },
+            { limit: 3641.03, rate: 0.12 },
+            { limit: 7087.22, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2023-01-01',
+        progressive: true,
+        tiers: [
+            { limit: 1302.00, rate: 0.075 },
+            { limit: 2571.29, rate: 0.09 },
+            { limit: 3856.94, rate: 0.12 },
+            { limit: 7507.49, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2023-05-01',
+        progressive: true,
+        tiers: [
+            { limit: 1320.00, rate: 0.075 },
+            { limit: 2571.29, rate: 0.09 },
+            { limit: 3856.94, rate: 0.12 },
+            { limit: 7507.49, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2024-01-01',
+        progressive: true,
+        tiers: [
+            { limit: 1412.00, rate: 0.075 },
+            { limit: 2666.68, rate: 0.09 },
+            { limit: 4000.03, rate: 0.12 },
+            { limit: 7786.02, rate: 0.14 }
+        ]
+    },
+    {
+        validFrom: '2025-01-01',
+        progressive: true,
+        tiers: [
+            { limit: 1518.00, rate: 0.075 },
+            { limit: 2793.88, rate: 0.09 },
+            { limit: 4190.83, rate: 0.12 },
+            { limit: 8157.41, rate: 0.14 }
+        ]
+    }
+];
+
+// IRRF monthly table, deduction per dependent and the optional simplified discount (available from May 2023).
+export const IRRF_TABLES = [
+    {
+        validFrom: '2020-01-01',
+        dependentDeduction: 189.59,
+        simplifiedDiscount: null,
+        tiers: [
+            { limit: 1903.98, rate: 0, deduction: 0 },
+            { limit: 2826.65, rate: 0.075, deduction: 142.80 },
+            { limit: 3751.05, rate: 0.15, deduction: 354.80 },
+            { limit: 4664.68, rate: 0.225, deduction: 636.13 },
+            { limit: Infinity, rate: 0.275, deduction: 869.36 }
+        ]
+    },
+    {
+        validFrom: '2023-05-01',
+        dependentDeduction: 189.59,
+        simplifiedDiscount: 528.00,
+        tiers: [
+            { limit: 2112.00, rate: 0, deduction: 0 },
+            { limit: 2826.65, rate: 0.075, deduction: 158.40 },
+            { limit: 3751.05, rate: 0.15, deduction: 370.40 },
+            { limit: 4664.68, rate: 0.225, deduction: 651.73 },
+            { limit: Infinity, rate: 0.275, deduction: 884.96 }
+        ]
+    },
+    {
+        validFrom: '2024-02-01',
+        dependentDeduction: 189.59,
+        simplifiedDiscount: 564.80,
+        tiers: [
+            { limit: 2259.20, rate: 0, deduction: 0 },
+            { limit: 2826.65, rate: 0.075, deduction: 169.44 },
+            { limit: 3751.05, rate: 0.15, deduction: 381.44 },
+            { limit: 4664.68, rate: 0.225, deduction: 662.77 },
+            { limit: Infinity, rate: 0.275, deduction: 896.00 }
+        ]
+    },
+    {
+        validFrom: '2025-05-01',
+        dependentDeduction: 189.59,
+        simplifiedDiscount: 607.20,
+        tiers: [
+            { limit: 2428.80, rate: 0, deduction: 0 },
+            { limit: 2826.65, rate: 0.075, deduction: 182.16 },
+            { limit: 3751.05, rate: 0.15, deduction: 394.16 },
+            { limit: 4664.68, rate: 0.225, deduction: 675.49 },
+            { limit: Infinity, rate: 0.275, deduction: 908.73 }
+        ]
+    }
 ];
 
-// The maximum contribution value for INSS.
-export const INSS_CEILING = 908.85;
+// National minimum wage
+export const SALARIO_MINIMO_TABLES = [
+    { validFrom: '2020-01-01', value: 1039.00 },
+    { validFrom: '2020-02-01', value: 1045.00 },
+    { validFrom: '2021-01-01', value: 1100.00 },
+    { validFrom: '2022-01-01', value: 1212.00 },
+    { validFrom: '2023-01-01', value: 1302.00 },
+    { validFrom: '2023-05-01', value: 1320.00 },
+    { validFrom: '2024-01-01', value: 1412.00 },
+    { validFrom: '2025-01-01', value: 1518.00 }
+];
 
-export const IRRF_TABLE = [
-    { limit: 2428.80, rate: 0, deduction: 0 },
-    { limit: 2826.65, rate: 0.075, deduction: 182.16 },
-    { limit: 3751.05, rate: 0.15, deduction: 394.16 },
-    { limit: 4664.68, rate: 0.225, deduction: 675.49 },
-    { limit: Infinity, rate: 0.275, deduction: 908.73 }
+// Value per child and income limit for the "Salário Família" benefit
+export const SALARIO_FAMILIA_TABLES = [
+    { validFrom: '2020-01-01', value: 48.62, limit: 1425.56 },
+    { validFrom: '2021-01-01', value: 51.27, limit: 1503.25 },
+    { validFrom: '2022-01-01', value: 56.47, limit: 1655.98 },
+    { validFrom: '2023-01-01', value: 59.82, limit: 1754.18 },
+    { validFrom: '2024-01-01', value: 62.04, limit: 1819.26 },
+    { validFrom: '2025-01-01', value: 65.00, limit: 1906.04 }
 ];
 
-// Value of the deduction for each dependent for IRRF calculation
-export const IRRF_DEPENDENT_DEDUCTION = 189.59;
+// Seguro-desemprego installment value from the average of the last three salaries (Lei 7.998/90, Art. 5º).
+// Up to the first limit the installment is 80% of the average; in the second tier it is the fixed part plus
+// 50% of what exceeds the previous limit; above the last limit it is the ceiling (teto). The installment
+// can never be lower than the minimum wage in force.
+export const SEGURO_DESEMPREGO_TABLES = [
+    {
+        validFrom: '2020-01-01',
+        tiers: [
+            { limit: 1599.61, rate: 0.8, parcelaFixa: 0 },
+            { limit: 2666.29, rate: 0.5, parcelaFixa: 1279.69 }
+        ],
+        teto: 1813.03
+    },
+    {
+        validFrom: '2021-01-01',
+        tiers: [
+            { limit: 1686.79, rate: 0.8, parcelaFixa: 0 },
+            { limit: 2811.60, rate: 0.5, parcelaFixa: 1349.43 }
+        ],
+        teto: 1911.84
+    },
+    {
+        validFrom: '2022-01-01',
+        tiers: [
+            { limit: 1858.17, rate: 0.8, parcelaFixa: 0 },
+            { limit: 3097.26, rate: 0.5, parcelaFixa: 1486.53 }
+        ],
+        teto: 2106.08
+    },
+    {
+        validFrom: '2023-01-01',
+        tiers: [
+            { limit: 1968.36, rate: 0.8, parcelaFixa: 0 },
+            { limit: 3280.93, rate: 0.5, parcelaFixa: 1574.69 }
+        ],
+        teto: 2230.97
+    },
+    {
+        validFrom: '2024-01-01',
+        tiers: [
+            { limit: 2041.39, rate: 0.8, parcelaFixa: 0 },
+            { limit: 3402.65, rate: 0.5, parcelaFixa: 1633.10 }
+        ],
+        teto: 2313.74
+    },
+    {
+        validFrom: '2025-01-01',
+        tiers: [
+            { limit: 2138.76, rate: 0.8, parcelaFixa: 0 },
+            { limit: 3564.96, rate: 0.5, parcelaFixa: 1711.01 }
+        ],
+        teto: 2424.11
+    }
+];
+
+// Seguro-desemprego requirements per request (Lei 7.998/90, Arts. 3º and 4º): the months worked needed
+// in the window before the dismissal and the number of installments from the months worked in the
+// last 36 months. Requests after the third follow the last entry.
+export const SEGURO_DESEMPREGO_REGRAS = [
+    { solicitacao: 1, carencia: 12, janela: 18, parcelas: [{ minMeses: 12, parcelas: 4 }, { minMeses: 24, parcelas: 5 }] },
+    { solicitacao: 2, carencia: 9, janela: 12, parcelas: [{ minMeses: 9, parcelas: 3 }, { minMeses: 12, parcelas: 4 }, { minMeses: 24, parcelas: 5 }] },
+    { solicitacao: 3, carencia: 6, janela: 6, parcelas: [{ minMeses: 6, parcelas: 3 }, { minMeses: 12, parcelas: 4 }, { minMeses: 24, parcelas: 5 }] }
+];
+// The domestic employee has a rule of its own, whatever the number of earlier requests: at most 3 installments
+// of one minimum wage (LC 150/2015, Art. 26), after working as a domestic employee for at least 15 of the 24
+// months before the dismissal (Resolução CODEFAT nº 754/2015, Art. 3º, I).
+export const SEGURO_DESEMPREGO_DOMESTICO = { carencia: 15, janela: 24, parcelas: 3 };
+
+// FGTS: monthly deposit rate on the remuneration (Lei 8.036/90, Art. 15) and the yearly interest
+// credited to the balance besides the TR (Art. 13).
+export const FGTS_ALIQUOTA = 0.08;
+export const FGTS_JUROS_ANUAIS = 0.03;
+
+// Contract types with rules apart from the standard CLT employee:
+// - doméstico: besides the 8% FGTS, a monthly 3,2% compensatory deposit replaces the 40% fine and goes to the
+//   employee on a dismissal without cause (LC 150/2015, Art. 22);
+// - aprendiz: FGTS of 2% (Lei 8.036/90, Art. 15, §7º);
+// - estagiário: not an employee, so there is no INSS, FGTS, 13º or termination right, and a paid recesso of 30
+//   days a year, proportional under one year and without the 1/3, replaces the férias (Lei 11.788/2008, Arts. 3º and 13);
+// - intermitente: férias + 1/3 and 13º are paid in proportion at the end of each call (CLT Art. 452-A, §6º);
+// - tempo parcial: since Lei 13.467/2017 it follows the same férias rules as full-time work (CLT Art. 58-A, §7º).
+export const CONTRACT_TYPES = {
+    clt: { descricao: 'Empregado CLT', empregado: true, fgts: FGTS_ALIQUOTA, fgtsCompensatorio: 0, pagamentoPorConvocacao: false },
+    domestico: { descricao: 'Empregado doméstico', empregado: true, fgts: FGTS_ALIQUOTA, fgtsCompensatorio: 0.032, pagamentoPorConvocacao: false },
+    aprendiz: { descricao: 'Aprendiz', empregado: true, fgts: 0.02, fgtsCompensatorio: 0, pagamentoPorConvocacao: false },
+    estagiario: { descricao: 'Estagiário', empregado: false, fgts: 0, fgtsCompensatorio: 0, pagamentoPorConvocacao: false },
+    intermitente: { descricao: 'Intermitente', empregado: true, fgts: FGTS_ALIQUOTA, fgtsCompensatorio: 0, pagamentoPorConvocacao: true },
+    tempo_parcial: { descricao: 'Tempo parcial', empregado: true, fgts: FGTS_ALIQUOTA, fgtsCompensatorio: 0, pagamentoPorConvocacao: false }
+};
+
+// Leaves of absence (afastamentos) and how they change the 13º avos and the férias acquisition periods:
+// - licença-maternidade: counts as time worked for both (CLT Art. 131, II);
+// - auxílio-doença, acidentário or common: the employer pays the first 15 days and the INSS the rest, with its
+//   own abono anual, so the days paid by the INSS give no 13º avo (Lei 8.213/91, Arts. 40 and 60). For the férias
+//   they count as service (Art. 131, III), but more than 6 months of benefit in the acquisition period, even
+//   discontinuous, lose the period, and a new one starts on the return to work (Art. 133, IV and §2º);
+// - serviço militar and licença não remunerada suspend the contract: their days give no 13º avo and do not
+//   count in the acquisition period, which resumes after the return (Art. 132).
+// The FGTS keeps being deposited during the licença-maternidade, the accident leave and the military service
+// (Lei 8.036/90, Art. 15, §5º; Decreto 99.684/90, Art. 28), but not during the common auxílio-doença after the
+// first 15 days nor during an unpaid leave.
+export const AFASTAMENTO_TYPES = {
+    maternidade: { descricao: 'Licença-maternidade', diasEmpresa: 0, beneficioInss: false, suspendeContrato: false, depositaFgts: true },
+    acidente: { descricao: 'Auxílio-doença acidentário', diasEmpresa: 15, beneficioInss: true, suspendeContrato: false, depositaFgts: true },
+    doenca: { descricao: 'Auxílio-doença (doença comum)', diasEmpresa: 15, beneficioInss: true, suspendeContrato: false, depositaFgts: false },
+    servico_militar: { descricao: 'Serviço militar obrigatório', diasEmpresa: 0, beneficioInss: false, suspendeContrato: true, depositaFgts: true },
+    nao_remunerada: { descricao: 'Licença não remunerada', diasEmpresa: 0, beneficioInss: false, suspendeContrato: true, depositaFgts: false }
+};
+// Days of INSS benefit in an acquisition period above which the férias of the period are lost (6 months).
+export const AFASTAMENTO_LIMITE_FERIAS_DIAS = 180;
+
+// Provisional job stabilities (estabilidades). Dismissing the employee without cause before the end date turns
+// the remaining period into an indemnity of the salaries with their 13º, férias + 1/3 and FGTS reflections
+// (Súmula 396, I do TST). The end date depends on facts the calculator does not know (birth, term of office,
+// return from the benefit), so it is informed by the user:
+// - gestante: from the confirmation of the pregnancy to 5 months after the birth (ADCT Art. 10, II, "b"; Súmula 244 do TST);
+// - CIPA: elected member, from the candidacy to 1 year after the term (ADCT Art. 10, II, "a"; CLT Art. 165);
+// - dirigente sindical: from the candidacy to 1 year after the term (CF Art. 8º, VIII; CLT Art. 543, §3º);
+// - acidente de trabalho: 12 months after the end of the auxílio-doença acidentário (Lei 8.213/91, Art. 118).
+export const ESTABILIDADE_TYPES = {
+    gestante: { descricao: 'Gestante', fundamento: 'Art. 10, II, "b" do ADCT e Súmula 244 do TST' },
+    cipa: { descricao: 'Membro da CIPA', fundamento: 'Art. 10, II, "a" do ADCT e Art. 165 da CLT' },
+    dirigente_sindical: { descricao: 'Dirigente sindical', fundamento: 'Art. 8º, VIII da CF e Art. 543, §3º da CLT' },
+    acidente: { descricao: 'Retorno de acidente de trabalho', fundamento: 'Art. 118 da Lei nº 8.213/91' }
+};
+
+// Deadline of the termination payments: 10 days from the end of the contract, whatever the kind of notice
+// (CLT Art. 477, §6º, as of Lei 13.467/2017), counted excluding the first day (OJ 162 da SDI-1 do TST). Paying
+// later owes the employee a fine of one salary (§8º). The rescisórias left unpaid at the first hearing of a
+// claim, when their amount is not disputed, are owed with 50% more (Art. 467).
+export const PRAZO_PAGAMENTO_RESCISAO_DIAS = 10;
+export const MULTA_ART_467 = 0.50;
+
+// Employer contributions on the payroll (Lei 8.212/91, Art. 22): the CPP, the RAT of 1%, 2% or 3% by the
+// risk of the main activity, adjusted by the company's FAP (0.5 to 2.0), and the usual rate of the
+// contributions to third parties (salário-educação, INCRA and Sistema S), which depends on the FPAS code.
+// The termination fine is provisioned as 40% of every FGTS deposit.
+export const ENCARGOS_EMPREGADOR = {
+    cpp: 0.20,
+    terceiros: 0.058,
+    multaFgts: 0.40
+};
 
-// Value and income limit for the "Salário Família" benefit
-export const SALARIO_FAMILIA_VALUE = 65.00;
-export const SALARIO_FAMILIA_LIMIT = 1906.04;
+// Which employer contributions each tax regime pays apart from its taxes. In the Simples Nacional the CPP
+// is paid inside the DAS, except in annex IV, and third parties are never due (LC 123/2006, Arts. 13, §3º
+// and 18, §5º-C).
+export const REGIMES_TRIBUTARIOS = {
+    lucro: { descricao: 'Lucro Real ou Presumido', cpp: true, rat: true, terceiros: true },
+    simples: { descricao: 'Simples Nacional (Anexos I, II, III e V)', cpp: false, rat: false, terceiros: false },
+    simples_anexo_iv: { descricao: 'Simples Nacional (Anexo IV)', cpp: true, rat: true, terceiros: false }
+};
 
-// National minimum wage for the year 2025
-export const SALARIO_MINIMO_2025 = 1518.00;
+// The domestic employer is a household, so the tax regime does not apply: it pays, through the Simples Doméstico,
+// 8% of CPP and 0,8% of GILRAT for the accident insurance, with no RAT × FAP or third parties, and the 3,2%
+// compensatory FGTS of CONTRACT_TYPES takes the place of the provision for the 40% fine (LC 150/2015, Arts. 22 and 34).
+export const ENCARGOS_DOMESTICO = {
+    descricao: 'Simples Doméstico (LC 150/2015)',
+    cpp: 0.08,
+    gilrat: 0.008
+};
+
+// Simples Nacional tables for services (LC 123/2006, Annexes III and V, as of LC 155/2016). Each tier covers the
+// revenue of the last 12 months (RBT12) up to its limit, and the effective rate is (RBT12 × rate − deduction) / RBT12.
+// Services subject to the Fator R are taxed in annex III when the payroll of the last 12 months, pro-labore included,
+// is at least 28% of the revenue, and in annex V otherwise (Art. 18, §§ 5º-J and 5º-M). The regime is open to
+// revenues up to R$ 4,8 million a year (Art. 3º, II).
+export const SIMPLES_NACIONAL_ANEXOS = {
+    III: [
+        { limit: 180000, rate: 0.06, deduction: 0 },
+        { limit: 360000, rate: 0.112, deduction: 9360 },
+        { limit: 720000, rate: 0.135, deduction: 17640 },
+        { limit: 1800000, rate: 0.16, deduction: 35640 },
+        { limit: 3600000, rate: 0.21, deduction: 125640 },
+        { limit: 4800000, rate: 0.33, deduction: 648000 }
+    ],
+    V: [
+        { limit: 180000, rate: 0.155, deduction: 0 },
+        { limit: 360000, rate: 0.18, deduction: 4500 },
+        { limit: 720000, rate: 0.195, deduction: 9900 },
+        { limit: 1800000, rate: 0.205, deduction: 17100 },
+        { limit: 3600000, rate: 0.23, deduction: 62100 },
+        { limit: 4800000, rate: 0.305, deduction: 540000 }
+    ]
+};
+export const FATOR_R_MINIMO = 0.28;
+
+// Taxes of a service company in the lucro presumido: IRPJ and CSLL on a presumed profit of 32% of the revenue
+// (Lei 9.249/95, Arts. 15 and 20), with the 10% IRPJ surcharge on the presumed profit above R$ 20.000 a month
+// (Art. 3º, §1º), and PIS and COFINS in the cumulative regime (Lei 9.718/98). The ISS is the municipal rate,
+// between 2% and 5% (LC 116/2003, Arts. 8º and 8º-A); the ceiling is the default. The regime is open to
+// revenues up to R$ 78 million a year (Lei 9.718/98, Art. 13).
+export const LUCRO_PRESUMIDO = {
+    presuncao: 0.32,
+    irpj: 0.15,
+    adicionalIrpj: 0.10,
+    limiteAdicionalIrpj: 20000,
+    csll: 0.09,
+    pis: 0.0065,
+    cofins: 0.03,
+    iss: 0.05,
+    limiteAnual: 78000000
+};
+
+// INSS withheld from a partner's pro-labore up to the ceiling: the 20% of the contribuinte individual less the
+// 9% deducted when the paying company contributes on it (Lei 8.212/91, Arts. 21 and 30, §4º).
+export const PRO_LABORE_INSS = 0.11;
+
+// Monthly TR (Taxa Referencial) that corrects FGTS balances. It was zero from September 2017 to the end
+// of 2021; the later entries hold the approximate monthly average of each year and can be replaced by
+// the official monthly series (Banco Central, SGS 226) when more precision is needed. The months before the
+// first entry are projected without TR, and the rescisão says so in its observações.
+export const TR_TABLES = [
+    { validFrom: '2017-09-01', rate: 0 },
+    { validFrom: '2022-01-01', rate: 0.0013 },
+    { validFrom: '2023-01-01', rate: 0.0015 },
+    { validFrom: '2024-01-01', rate: 0.0007 },
+    { validFrom: '2025-01-01', rate: 0.0016 }
+];
+
+// Night work rules per regime: the night window, the premium and whether each clock hour counts as a
+// reduced 52'30" hour. Urban workers follow CLT Art. 73; rural workers follow Lei 5.889/73, Art. 7º.
+export const ADICIONAL_NOTURNO_REGRAS = {
+    urbano: { descricao: 'Urbano', inicio: '22:00', fim: '05:00', percentual: 0.20, horaReduzida: true },
+    rural_lavoura: { descricao: 'Rural (lavoura)', inicio: '21:00', fim: '05:00', percentual: 0.25, horaReduzida: false },
+    rural_pecuaria: { descricao: 'Rural (pecuária)', inicio: '20:00', fim: '04:00', percentual: 0.25, horaReduzida: false }
+};
+
+// Minutes of a reduced night hour (CLT Art. 73, §1º)
+export const HORA_NOTURNA_REDUZIDA_MINUTOS = 52.5;
+
+// Variations of the time clock markings that are not counted as overtime nor discounted (CLT Art. 58, §1º):
+// up to 5 minutes on each marking, observed the limit of 10 minutes a day
+export const TOLERANCIA_PONTO = { porMarcacao: 5, diaria: 10 };
+
+// Fixed-date national holidays (Lei 662/49, Lei 6.802/80 and Lei 14.759/2023), used to count the rest days
+// of a month for the DSR. Entries with validFrom only apply from that date on; movable and local holidays
+// are not listed and can be informed directly in the rest days.
+export const FERIADOS_NACIONAIS = [
+    { dia: '01-01', nome: 'Confraternização Universal' },
+    { dia: '04-21', nome: 'Tiradentes' },
+    { dia: '05-01', nome: 'Dia do Trabalho' },
+    { dia: '09-07', nome: 'Independência do Brasil' },
+    { dia: '10-12', nome: 'Nossa Senhora Aparecida' },
+    { dia: '11-02', nome: 'Finados' },
+    { dia: '11-15', nome: 'Proclamação da República' },
+    { dia: '11-20', nome: 'Dia Nacional de Zumbi e da Consciência Negra', validFrom: '2024-01-01' },
+    { dia: '12-25', nome: 'Natal' }
+];
+
+// Vacation days per number of unjustified absences in the acquisition period (CLT Art. 130).
+// More absences than the last tier remove the entitlement.
+export const FERIAS_FALTAS_TABLE = [
+    { maxFaltas: 5, dias: 30 },
+    { maxFaltas: 14, dias: 24 },
+    { maxFaltas: 23, dias: 18 },
+    { maxFaltas: 32, dias: 12 }
+];
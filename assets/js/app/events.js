@@ -64,15 +64,62 @@ function validateField(path, value) {
     const [calculator, field] = path.split('.');
     let errorMessage = null;
 
-    if (field === 'salarioBruto' && value <= 0) {
+    // A pure commission earner has no fixed salary
+    const comissoes = state[calculator].comissoes || state[calculator].mediaComissoes || 0;
+    if (field === 'salarioBruto' && (value < 0 || (value === 0 && comissoes <= 0))) {
         errorMessage = 'Salário deve ser maior que zero.';
     }
     if (field === 'diasFerias' && (value < 1 || value > 30)) {
         errorMessage = 'O valor deve ser entre 1 e 30.';
+    } else if (field === 'diasFerias') {
+        const faltas = state[calculator].faltasInjustificadas || 0;
+        const diasDireito = calculations.calculateDiasFeriasPorFaltas(faltas);
+        if (value > diasDireito) {
+            errorMessage = diasDireito === 0
+                ? `Com ${faltas} faltas injustificadas não há direito a férias (Art. 130 da CLT).`
+                : `Com ${faltas} faltas injustificadas o limite é de ${diasDireito} dias (Art. 130 da CLT).`;
+        }
+    }
+    if (field === 'faltasInjustificadas' && value < 0) {
+        errorMessage = 'O número de faltas não pode ser negativo.';
+    }
+    if (field === 'pensaoPercentual' && (value < 0 || value > 100)) {
+        errorMessage = 'O percentual deve ser entre 0 e 100.';
+    }
+    if (field === 'pensaoBeneficiarios' && value < 1) {
+        errorMessage = 'Informe ao menos um beneficiário.';
+    }
+    if (['horasExtras50', 'horasExtras100', 'horasExtrasOutras', 'diasUteis', 'diasDescanso', 'dsrDescontados', 'horasAtraso', 'intervaloMinutos', 'comissoes', 'mediaComissoes'].includes(field) && value < 0) {
+        errorMessage = 'O valor não pode ser negativo.';
+    }
+    if (field === 'percentualHorasExtrasOutras' && value !== 0 && value < 50) {
+        errorMessage = 'O adicional de horas extras é de no mínimo 50% (Art. 7º, XVI da CF).';
+    }
+    if (field === 'diasNoturnos' && (value < 0 || value > 31)) {
+        errorMessage = 'O valor deve ser entre 0 e 31.';
     }
-    if ((field === 'dataAdmissao' || field === 'dataDemissao') && !value) {
+    if (field === 'solicitacoesAnteriores' && value < 0) {
+        errorMessage = 'O número de solicitações não pode ser negativo.';
+    }
+    if (calculator === 'seguroDesemprego' && field === 'mesesTrabalhados' && (value < 0 || value > 36)) {
+        errorMessage = 'O valor deve ser entre 0 e 36.';
+    }
+    // The férias only use the admission date to find the acquisition period, so it may stay blank there
+    if (((field === 'dataAdmissao' && calculator !== 'ferias') || field === 'dataDemissao') && !value) {
         errorMessage = 'Data é obrigatória.';
     }
+    if (field === 'fap' && (value < 0.5 || value > 2)) {
+        errorMessage = 'O FAP deve ser entre 0,5 e 2,0.';
+    }
+    if (field === 'terceiros' && (value < 0 || value > 100)) {
+        errorMessage = 'O percentual deve ser entre 0 e 100.';
+    }
+    if (field === 'aliquotaIss' && (value < 2 || value > 5)) {
+        errorMessage = 'A alíquota do ISS deve ser entre 2% e 5%.';
+    }
+    if ((field === 'horarioEntrada' || field === 'horarioSaida') && !value) {
+        errorMessage = 'Horário é obrigatório.';
+    }
 
     // Clear previous error
     updateState(`${calculator}.errors.${field}`, null);
@@ -118,10 +165,157 @@ function handleInputChange(event) {
     validateField(path, value);
     updateState(path, value);
 
+    // The allowed vacation days depend on the absences, so re-check them whenever the absences change.
+    if (path === 'ferias.faltasInjustificadas') {
+        validateField('ferias.diasFerias', state.ferias.diasFerias);
+    }
+    // A zero salary is only accepted with commissions, so re-check it whenever they change.
+    if (path.endsWith('.comissoes') || path.endsWith('.mediaComissoes')) {
+        const calculator = path.split('.')[0];
+        validateField(`${calculator}.salarioBruto`, state[calculator].salarioBruto);
+    }
+
     if (path === 'salarioLiquido.recebeSalarioFamilia' && !value) {
         updateState('salarioLiquido.filhosSalarioFamilia', 0);
     }
 
+    if (path.startsWith('cartaoPonto.')) {
+        syncCartaoPontoToSalarioLiquido();
+    }
+
+    render();
+
+    if (localStorage.getItem('savePreference') === 'true') {
+        saveStateToLocalStorage();
+    }
+}
+
+/**
+ * Marks or unmarks an acquisition period of the rescisão as already enjoyed.
+ * The period checkboxes are generated from the dates, so they are not bound through data-state.
+ * @param {Event} event - The change event of a period checkbox.
+ */
+function handlePeriodoGozadoToggle(event) {
+    const inicio = event.target.value;
+    const outros = (state.rescisao.periodosGozados || []).filter(periodo => periodo !== inicio);
+    updateState('rescisao.periodosGozados', event.target.checked ? [...outros, inicio] : outros);
+
+    render();
+
+    if (localStorage.getItem('savePreference') === 'true') {
+        saveStateToLocalStorage();
+    }
+}
+
+/**
+ * Records a marking of the timesheet. The daily fields are generated for the competência,
+ * so they are not bound through data-state.
+ * @param {Event} event - The input event of a time field or of the excused checkbox.
+ */
+function handlePontoChange(event) {
+    const { pontoData, pontoCampo } = event.target.dataset;
+    const valor = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    updateState('cartaoPonto.registros', {
+        ...state.cartaoPonto.registros,
+        [pontoData]: { ...state.cartaoPonto.registros[pontoData], [pontoCampo]: valor }
+    });
+    syncCartaoPontoToSalarioLiquido();
+
+    render();
+
+    if (localStorage.getItem('savePreference') === 'true') {
+        saveStateToLocalStorage();
+    }
+}
+
+/**
+ * Records an amount of the salary history. The monthly fields are generated from the last month of the
+ * history, so they are not bound through data-state.
+ * @param {Event} event - The input event of a history field.
+ */
+function handleHistoricoChange(event) {
+    const { historicoMes, historicoCampo } = event.target.dataset;
+    const historico = state.funcionario.historico || {};
+    updateState('funcionario.historico', {
+        ...historico,
+        [historicoMes]: { ...historico[historicoMes], [historicoCampo]: Math.max(0, unmaskCurrency(event.target.value)) }
+    });
+
+    render();
+
+    if (localStorage.getItem('savePreference') === 'true') {
+        saveStateToLocalStorage();
+    }
+}
+
+/**
+ * Records a field of a leave of absence. The leave rows are generated from the list in the employee data,
+ * so they are not bound through data-state.
+ * @param {Event} event - The input event of a leave field.
+ */
+function handleAfastamentoChange(event) {
+    const { afastamentoIndex, afastamentoCampo } = event.target.dataset;
+    const afastamentos = (state.funcionario.afastamentos || []).map((afastamento, index) => (
+        index === Number(afastamentoIndex) ? { ...afastamento, [afastamentoCampo]: event.target.value } : afastamento
+    ));
+    updateAfastamentos(afastamentos);
+}
+
+/**
+ * Replaces the leaves of absence of the employee, re-rendering and saving them.
+ * @param {Array<object>} afastamentos - The new list of leaves.
+ */
+function updateAfastamentos(afastamentos) {
+    updateState('funcionario.afastamentos', afastamentos);
+
+    render();
+
+    if (localStorage.getItem('savePreference') === 'true') {
+        saveStateToLocalStorage();
+    }
+}
+
+/**
+ * Fills the overtime, night hours, absences and lateness of the salário líquido with the timesheet totals,
+ * so the month does not need to be summed up by hand.
+ */
+function syncCartaoPontoToSalarioLiquido() {
+    const { dias, totais } = calculations.calculateCartaoPonto(state.cartaoPonto);
+    if (dias.length === 0) return;
+
+    updateState('salarioLiquido', {
+        ...state.salarioLiquido,
+        competencia: state.cartaoPonto.competencia,
+        regimeNoturno: state.cartaoPonto.regimeNoturno,
+        horasExtras50: totais.horasExtras50,
+        horasExtras100: totais.horasExtras100,
+        noturnoEntrada: 'horas',
+        horasNoturnas: totais.horasNoturnas,
+        faltasInjustificadas: totais.faltas,
+        dsrDescontados: totais.dsrDescontados,
+        horasAtraso: totais.horasAtraso
+    });
+}
+
+/**
+ * Opens the seguro-desemprego calculator filled with the data of the current rescisão.
+ * The last three salaries are taken as the rescisão remuneration.
+ */
+function handleSimularSeguroDesemprego() {
+    const { seguroDesemprego } = calculations.calculateRescisao(state.rescisao, state.funcionario);
+    if (!seguroDesemprego) return;
+
+    const { dataDemissao, salario, mesesTrabalhados } = seguroDesemprego;
+    updateState('seguroDesemprego', {
+        ...state.seguroDesemprego,
+        dataDemissao,
+        salario1: salario,
+        salario2: salario,
+        salario3: salario,
+        mesesTrabalhados: Math.min(mesesTrabalhados, 36),
+        errors: {}
+    });
+    updateState('activeTab', 'seguroDesemprego');
     render();
 
     if (localStorage.getItem('savePreference') === 'true') {
@@ -159,9 +353,27 @@ export function initializeEventListeners() {
     }
 
     // Use event delegation for performance and simplicity
-    appContainer.addEventListener('input', handleInputChange);
+    appContainer.addEventListener('input', (event) => {
+        if (event.target.classList.contains('js-ponto')) {
+            handlePontoChange(event);
+            return;
+        }
+        if (event.target.classList.contains('js-historico')) {
+            handleHistoricoChange(event);
+            return;
+        }
+        if (event.target.classList.contains('js-afastamento')) {
+            handleAfastamentoChange(event);
+            return;
+        }
+        handleInputChange(event);
+    });
     appContainer.addEventListener('change', (event) => {
         const target = event.target;
+        if (target.classList.contains('js-periodo-gozado')) {
+            handlePeriodoGozadoToggle(event);
+            return;
+        }
         if (target.type === 'checkbox' || target.type === 'radio' || target.tagName.toLowerCase() === 'select') {
             handleInputChange(event); // Update state first
 
@@ -203,6 +415,27 @@ export function initializeEventListeners() {
             hideTooltip();
         }
 
+        if (target.classList.contains('js-simular-seguro-desemprego')) {
+            handleSimularSeguroDesemprego();
+            return;
+        }
+
+        if (target.classList.contains('js-adicionar-afastamento')) {
+            updateAfastamentos([...(state.funcionario.afastamentos || []), { tipo: 'doenca', inicio: '', fim: '' }]);
+            return;
+        }
+
+        if (target.classList.contains('js-remover-afastamento')) {
+            updateAfastamentos((state.funcionario.afastamentos || []).filter((_, index) => index !== Number(target.dataset.afastamentoIndex)));
+            return;
+        }
+
+        if (target.classList.contains('js-ver-salario-liquido')) {
+            updateState('activeTab', 'salarioLiquido');
+            render();
+            return;
+        }
+
         // Modal logic
         if (target.classList.contains('js-show-memory-modal')) {
             const calculatorName = state.activeTab;
@@ -212,16 +445,28 @@ export function initializeEventListeners() {
             let results;
             switch (calculatorName) {
                 case 'ferias': 
-                    results = calculations.calculateFerias(calculatorState); 
+                    results = calculations.calculateFerias(calculatorState, state.funcionario); 
                     break;
                 case 'decimoTerceiro': 
-                    results = calculations.calculateDecimoTerceiro(calculatorState); 
+                    results = calculations.calculateDecimoTerceiro(calculatorState, state.funcionario); 
                     break;
                 case 'salarioLiquido': 
-                    results = calculations.calculateSalarioLiquido(calculatorState); 
+                    results = calculations.calculateSalarioLiquido(calculatorState, state.funcionario); 
                     break;
                 case 'rescisao': 
-                    results = calculations.calculateRescisao(calculatorState); 
+                    results = calculations.calculateRescisao(calculatorState, state.funcionario); 
+                    break;
+                case 'seguroDesemprego': 
+                    results = calculations.calculateSeguroDesemprego(calculatorState, state.funcionario); 
+                    break;
+                case 'cartaoPonto': 
+                    results = calculations.calculateCartaoPonto(calculatorState); 
+                    break;
+                case 'custoEmpregador': 
+                    results = calculations.calculateCustoEmpregador(calculatorState, state.funcionario); 
+                    break;
+                case 'cltPj': 
+                    results = calculations.calculateCltPj(calculatorState); 
                     break;
                 default: 
                     console.error('Unknown calculator type:', calculatorName);
@@ -247,16 +492,28 @@ export function initializeEventListeners() {
             let results;
             switch (calculatorName) {
                 case 'ferias': 
-                    results = calculations.calculateFerias(calculatorState); 
+                    results = calculations.calculateFerias(calculatorState, state.funcionario); 
                     break;
                 case 'decimoTerceiro': 
-                    results = calculations.calculateDecimoTerceiro(calculatorState); 
+                    results = calculations.calculateDecimoTerceiro(calculatorState, state.funcionario); 
                     break;
                 case 'salarioLiquido': 
-                    results = calculations.calculateSalarioLiquido(calculatorState); 
+                    results = calculations.calculateSalarioLiquido(calculatorState, state.funcionario); 
                     break;
                 case 'rescisao': 
-                    results = calculations.calculateRescisao(calculatorState); 
+                    results = calculations.calculateRescisao(calculatorState, state.funcionario); 
+                    break;
+                case 'seguroDesemprego': 
+                    results = calculations.calculateSeguroDesemprego(calculatorState, state.funcionario); 
+                    break;
+                case 'cartaoPonto': 
+                    results = calculations.calculateCartaoPonto(calculatorState); 
+                    break;
+                case 'custoEmpregador': 
+                    results = calculations.calculateCustoEmpregador(calculatorState, state.funcionario); 
+                    break;
+                case 'cltPj': 
+                    results = calculations.calculateCltPj(calculatorState); 
                     break;
                 default: 
                     console.error('Unknown calculator type:', calculatorName);
@@ -315,16 +572,28 @@ export function initializeEventListeners() {
                 let results;
                 switch (calculatorName) {
                     case 'ferias': 
-                        results = calculations.calculateFerias(calculatorState); 
+                        results = calculations.calculateFerias(calculatorState, state.funcionario); 
                         break;
                     case 'decimoTerceiro': 
-                        results = calculations.calculateDecimoTerceiro(calculatorState); 
+                        results = calculations.calculateDecimoTerceiro(calculatorState, state.funcionario); 
                         break;
                     case 'salarioLiquido': 
-                        results = calculations.calculateSalarioLiquido(calculatorState); 
+                        results = calculations.calculateSalarioLiquido(calculatorState, state.funcionario); 
                         break;
                     case 'rescisao': 
-                        results = calculations.calculateRescisao(calculatorState); 
+                        results = calculations.calculateRescisao(calculatorState, state.funcionario); 
+                        break;
+                    case 'seguroDesemprego': 
+                        results = calculations.calculateSeguroDesemprego(calculatorState, state.funcionario); 
+                        break;
+                    case 'cartaoPonto': 
+                        results = calculations.calculateCartaoPonto(calculatorState); 
+                        break;
+                    case 'custoEmpregador': 
+                        results = calculations.calculateCustoEmpregador(calculatorState, state.funcionario); 
+                        break;
+                    case 'cltPj': 
+                        results = calculations.calculateCltPj(calculatorState); 
                         break;
                     default: 
                         console.error('Unknown calculator type:', calculatorName);
@@ -476,10 +745,15 @@ function handleSalarySimulation(event) {
  */
 function saveStateToLocalStorage() {
     const stateToSave = {
+        funcionario: state.funcionario,
         ferias: state.ferias,
         rescisao: state.rescisao,
         decimoTerceiro: state.decimoTerceiro,
         salarioLiquido: state.salarioLiquido,
+        seguroDesemprego: state.seguroDesemprego,
+        cartaoPonto: state.cartaoPonto,
+        custoEmpregador: state.custoEmpregador,
+        cltPj: state.cltPj,
         // We don't save activeTab or legalTexts
     };
     localStorage.setItem('appState', JSON.stringify(stateToSave));
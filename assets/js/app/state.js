@@ -1,16 +1,34 @@
 // The single source of truth for the entire application.
 const initialState = {
+    // Employee data shared by the férias, 13º, salário líquido and rescisão calculators.
+    funcionario: {
+        tipoContrato: 'clt',
+        // Monthly pay keyed by competência (YYYY-MM), shown as the 12 months that end on historicoFim.
+        historicoFim: '',
+        historico: {},
+        // Leaves of absence ({ tipo, inicio, fim }), with the type as a key of AFASTAMENTO_TYPES.
+        afastamentos: [],
+        errors: {}
+    },
     ferias: {
         salarioBruto: 0,
+        competencia: '',
+        dataAdmissao: '',
         diasFerias: 30,
         dependentes: 0,
         mediaHorasExtras: 0,
         mediaAdicionalNoturno: 0,
+        mediaComissoes: 0,
         periculosidade: false,
         insalubridadeGrau: '0',
         insalubridadeBase: 'salario_minimo',
         abonoPecuniario: false,
         adiantarDecimo: false,
+        faltasInjustificadas: 0,
+        pensaoTipo: 'nenhuma',
+        pensaoPercentual: 0,
+        pensaoValor: 0,
+        pensaoBeneficiarios: 1,
         errors: {}
     },
     rescisao: {
@@ -19,47 +37,136 @@ const initialState = {
         dataDemissao: '',
         salarioBruto: 0,
         saldoFgts: 0,
+        fgtsOrigem: 'informado',
         avisoPrevio: 'indenizado',
         dependentes: 0,
         mediaHorasExtras: 0,
         mediaAdicionalNoturno: 0,
+        mediaComissoes: 0,
         periculosidade: false,
         insalubridadeGrau: '0',
         insalubridadeBase: 'salario_minimo',
         feriasVencidas: false,
+        periodosGozados: [],
+        faltasInjustificadas: 0,
+        dataTerminoContrato: '',
+        dataInicioAviso: '',
+        estabilidade: 'nenhuma',
+        dataFimEstabilidade: '',
+        dataPagamento: '',
+        multa467: false,
+        reducaoJornadaAviso: 'duas_horas',
         descontoVt: 0,
         descontoVr: 0,
         descontoSaude: 0,
         descontoAdiantamentos: 0,
+        pensaoTipo: 'nenhuma',
+        pensaoPercentual: 0,
+        pensaoValor: 0,
+        pensaoBeneficiarios: 1,
         errors: {}
     },
     decimoTerceiro: {
         salarioBruto: 0,
+        competencia: '',
         mesesTrabalhados: 12,
         dependentes: 0,
         adiantamentoRecebido: 0,
         mediaHorasExtras: 0,
         mediaAdicionalNoturno: 0,
+        mediaComissoes: 0,
         periculosidade: false,
         insalubridadeGrau: '0',
         insalubridadeBase: 'salario_minimo',
+        pensaoTipo: 'nenhuma',
+        pensaoPercentual: 0,
+        pensaoValor: 0,
+        pensaoBeneficiarios: 1,
         errors: {}
     },
     salarioLiquido: {
         salarioBruto: 0,
-        horasExtras: 0,
+        competencia: '',
+        comissoes: 0,
+        horasExtras50: 0,
+        horasExtras100: 0,
+        horasExtrasOutras: 0,
+        percentualHorasExtrasOutras: 0,
         dependentes: 0,
         periculosidade: false,
         insalubridadeGrau: '0',
         insalubridadeBase: 'salario_minimo',
         horasNoturnas: 0,
+        noturnoEntrada: 'horas',
+        regimeNoturno: 'urbano',
+        horarioInicio: '22:00',
+        horarioFim: '05:00',
+        diasNoturnos: 0,
         cargaHorariaMensal: 220,
+        diasUteis: 0,
+        diasDescanso: 0,
+        faltasInjustificadas: 0,
+        dsrDescontados: 0,
+        horasAtraso: 0,
         descontoVt: 0,
         descontoVr: 0,
         descontoSaude: 0,
         descontoAdiantamentos: 0,
         recebeSalarioFamilia: false,
         filhosSalarioFamilia: 0,
+        pensaoTipo: 'nenhuma',
+        pensaoPercentual: 0,
+        pensaoValor: 0,
+        pensaoBeneficiarios: 1,
+        errors: {}
+    },
+    seguroDesemprego: {
+        dataDemissao: '',
+        salario1: 0,
+        salario2: 0,
+        salario3: 0,
+        solicitacoesAnteriores: 0,
+        mesesTrabalhados: 0,
+        errors: {}
+    },
+    cartaoPonto: {
+        competencia: '',
+        horarioEntrada: '08:00',
+        horarioSaida: '17:00',
+        intervaloMinutos: 60,
+        regimeNoturno: 'urbano',
+        registros: {},
+        errors: {}
+    },
+    custoEmpregador: {
+        salarioBruto: 0,
+        competencia: '',
+        horasExtras50: 0,
+        horasExtras100: 0,
+        horasNoturnas: 0,
+        cargaHorariaMensal: 220,
+        periculosidade: false,
+        insalubridadeGrau: '0',
+        insalubridadeBase: 'salario_minimo',
+        regimeTributario: 'lucro',
+        rat: '1',
+        fap: 1,
+        terceiros: 5.8,
+        valeTransporte: 0,
+        beneficios: 0,
+        errors: {}
+    },
+    cltPj: {
+        salarioBruto: 0,
+        competencia: '',
+        dependentes: 0,
+        beneficiosClt: 0,
+        regimePj: 'simples',
+        proLabore: 0,
+        ajustarFatorR: true,
+        aliquotaIss: 5,
+        custosPj: 0,
+        faturamentoPj: 0,
         errors: {}
     }
 };
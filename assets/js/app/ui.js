@@ -7,30 +7,46 @@
 
 import { state } from './state.js';
 import * as calculations from './calculations.js';
-import { formatCurrency } from './utils.js';
+import { formatCurrency, formatDate } from './utils.js';
+import { AFASTAMENTO_TYPES } from './config.js';
 
 // --- DOM Element Selectors ---
 const resultContainers = {
     ferias: document.getElementById('ferias-results'),
     rescisao: document.getElementById('rescisao-results'),
     decimoTerceiro: document.getElementById('decimo-terceiro-results'),
-    salarioLiquido: document.getElementById('salario-liquido-results')
+    salarioLiquido: document.getElementById('salario-liquido-results'),
+    seguroDesemprego: document.getElementById('seguro-desemprego-results'),
+    cartaoPonto: document.getElementById('cartao-ponto-results'),
+    custoEmpregador: document.getElementById('custo-empregador-results'),
+    cltPj: document.getElementById('clt-pj-results')
 };
 
 const tabTriggers = {
     ferias: document.getElementById('tab-ferias'),
     rescisao: document.getElementById('tab-rescisao'),
     decimoTerceiro: document.getElementById('tab-decimo-terceiro'),
-    salarioLiquido: document.getElementById('tab-salario-liquido')
+    salarioLiquido: document.getElementById('tab-salario-liquido'),
+    seguroDesemprego: document.getElementById('tab-seguro-desemprego'),
+    cartaoPonto: document.getElementById('tab-cartao-ponto'),
+    custoEmpregador: document.getElementById('tab-custo-empregador'),
+    cltPj: document.getElementById('tab-clt-pj')
 };
 
 const calculatorPanels = {
     ferias: document.getElementById('calculator-ferias'),
     rescisao: document.getElementById('calculator-rescisao'),
     decimoTerceiro: document.getElementById('calculator-decimo-terceiro'),
-    salarioLiquido: document.getElementById('calculator-salario-liquido')
+    salarioLiquido: document.getElementById('calculator-salario-liquido'),
+    seguroDesemprego: document.getElementById('calculator-seguro-desemprego'),
+    cartaoPonto: document.getElementById('calculator-cartao-ponto'),
+    custoEmpregador: document.getElementById('calculator-custo-empregador'),
+    cltPj: document.getElementById('calculator-clt-pj')
 };
 
+// Calculators whose verbas depend on the contract type informed in the employee data.
+const CALCULADORAS_COM_CONTRATO = ['ferias', 'decimoTerceiro', 'salarioLiquido', 'rescisao', 'seguroDesemprego', 'custoEmpregador'];
+
 
 // --- Tooltip UI Functions ---
 let currentTooltip = null;
@@ -340,6 +356,22 @@ function generateModalContent(data) {
             calculatorTitle = 'Cálculo de Rescisão';
             contentHTML += generateRescisaoModalContent(results, inputState);
             break;
+        case 'seguroDesemprego':
+            calculatorTitle = 'Cálculo do Seguro-Desemprego';
+            contentHTML += generateSeguroDesempregoModalContent(results, inputState);
+            break;
+        case 'cartaoPonto':
+            calculatorTitle = 'Cartão de Ponto';
+            contentHTML += generateCartaoPontoModalContent(results, inputState);
+            break;
+        case 'custoEmpregador':
+            calculatorTitle = 'Custo do Funcionário';
+            contentHTML += generateCustoEmpregadorModalContent(results, inputState);
+            break;
+        case 'cltPj':
+            calculatorTitle = 'Comparação CLT × PJ';
+            contentHTML += generateCltPjModalContent(results, inputState);
+            break;
         default:
             return '<p class="text-red-500">Erro: Tipo de cálculo não reconhecido.</p>';
     }
@@ -360,7 +392,7 @@ function generateModalContent(data) {
  * Generates modal content for Ferias calculation
  */
 function generateFeriasModalContent(results, inputState) {
-    const { baseDeCalculo, valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, valorLiquido, venderFerias, adiantarDecimo, diasFerias } = results;
+    const { baseDeCalculo, valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquido, venderFerias, adiantarDecimo, diasFerias, diasDireito = 30, contrato, observacoes } = results;
     
     let html = `
         <div class="mt-4">
@@ -372,7 +404,11 @@ function generateFeriasModalContent(results, inputState) {
                 <div class="flex justify-between">
                     <span>Dias de Férias:</span>
                     <span class="font-medium">${diasFerias} dias</span>
-                </div>
+                </div>${diasDireito < 30 ? `
+                <div class="flex justify-between text-gray-600">
+                    <span>Limite por Faltas Injustificadas (Art. 130):</span>
+                    <span class="font-medium">${diasDireito} dias</span>
+                </div>` : ''}
             </div>
         </div>
         
@@ -382,11 +418,15 @@ function generateFeriasModalContent(results, inputState) {
                 <div class="flex justify-between">
                     <span>Valor das Férias (${venderFerias ? (diasFerias - (diasFerias/3)) : diasFerias} dias):</span>
                     <span class="font-medium text-green-600">${formatCurrency(valorFerias)}</span>
-                </div>
+                </div>`;
+
+    if (contrato.empregado) {
+        html += `
                 <div class="flex justify-between">
                     <span>1/3 Constitucional sobre Férias:</span>
                     <span class="font-medium text-green-600">${formatCurrency(tercoConstitucional)}</span>
                 </div>`;
+    }
     
     if (venderFerias && valorAbono > 0) {
         html += `
@@ -422,7 +462,7 @@ function generateFeriasModalContent(results, inputState) {
                 <div class="flex justify-between">
                     <span>IRRF:</span>
                     <span class="font-medium text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-                </div>
+                </div>${createIRRFMethodNote(descontoIRRF)}${createPensaoLineHTML(descontoPensao, true)}
             </div>
         </div>
 
@@ -432,7 +472,7 @@ function generateFeriasModalContent(results, inputState) {
                 <div class="flex justify-between font-semibold border-t pt-2 mt-2">
                     <span>Total Líquido a Receber:</span>
                     <span class="font-bold text-blue-600">${formatCurrency(valorLiquido)}</span>
-                </div>
+                </div>${createObservacoesHTML(observacoes, true)}
             </div>
         </div>`;
         
@@ -443,7 +483,7 @@ function generateFeriasModalContent(results, inputState) {
  * Generates modal content for Decimo Terceiro calculation
  */
 function generateDecimoTerceiroModalContent(results, inputState) {
-    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber } = results;
+    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber, observacoes } = results;
     
     let html = `
         <div class="mt-4">
@@ -459,7 +499,7 @@ function generateDecimoTerceiroModalContent(results, inputState) {
                 <div class="flex justify-between font-semibold border-t pt-2 mt-2">
                     <span>13º Salário Bruto:</span>
                     <span class="font-medium">${formatCurrency(valorBrutoDecimo)}</span>
-                </div>
+                </div>${createObservacoesHTML(observacoes, true)}
             </div>
         </div>
         
@@ -473,7 +513,7 @@ function generateDecimoTerceiroModalContent(results, inputState) {
                 <div class="flex justify-between">
                     <span>IRRF:</span>
                     <span class="font-medium text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-                </div>
+                </div>${createIRRFMethodNote(descontoIRRF)}${createPensaoLineHTML(descontoPensao, true)}
             </div>
         </div>
         
@@ -511,7 +551,7 @@ function generateDecimoTerceiroModalContent(results, inputState) {
  * Generates modal content for Salario Liquido calculation
  */
 function generateSalarioLiquidoModalContent(results, inputState) {
-    const { salarioBruto, horasExtras, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, salarioFamilia, descontoINSS, descontoIRRF, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, totalProventos, totalDescontos, salarioLiquido } = results;
+    const { salarioBruto, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, noturno = null, salarioFamilia, descontoINSS, descontoIRRF, descontoPensao = null, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, descontoFaltas = null, convocacao, totalProventos, totalDescontos, salarioLiquido, fgts, observacoes } = results;
     
     let html = `
         <div class="mt-4">
@@ -522,13 +562,8 @@ function generateSalarioLiquidoModalContent(results, inputState) {
                     <span class="font-medium text-green-600">${formatCurrency(salarioBruto)}</span>
                 </div>`;
     
-    if (horasExtras > 0) {
-        html += `
-                <div class="flex justify-between">
-                    <span>Horas Extras:</span>
-                    <span class="font-medium text-green-600">${formatCurrency(horasExtras)}</span>
-                </div>`;
-    }
+    html += createHorasExtrasLinesHTML(results, true);
+    html += createComissoesLinesHTML(results, true);
     
     if (adicionalPericulosidade > 0) {
         html += `
@@ -549,9 +584,10 @@ function generateSalarioLiquidoModalContent(results, inputState) {
     if (adicionalNoturno > 0) {
         html += `
                 <div class="flex justify-between">
-                    <span>Adicional Noturno:</span>
+                    <span>${labelAdicionalNoturno(noturno)}:</span>
                     <span class="font-medium text-green-600">${formatCurrency(adicionalNoturno)}</span>
-                </div>`;
+                </div>${noturno ? `
+                <p class="text-xs text-gray-600">${describeNoturno(noturno)} × ${formatCurrency(results.horasExtrasHoras.valorHora)} × ${Math.round(noturno.percentual * 100)}%</p>` : ''}`;
     }
     
     if (salarioFamilia > 0) {
@@ -561,6 +597,7 @@ function generateSalarioLiquidoModalContent(results, inputState) {
                     <span class="font-medium text-green-600">${formatCurrency(salarioFamilia)}</span>
                 </div>`;
     }
+    html += createConvocacaoLinesHTML(convocacao, 'proventos', true);
     
     html += `
                 <div class="flex justify-between font-semibold border-t pt-2 mt-2">
@@ -580,7 +617,7 @@ function generateSalarioLiquidoModalContent(results, inputState) {
                 <div class="flex justify-between">
                     <span>IRRF:</span>
                     <span class="font-medium text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-                </div>`;
+                </div>${createIRRFMethodNote(descontoIRRF)}${createConvocacaoLinesHTML(convocacao, 'descontos', true)}${createPensaoLineHTML(descontoPensao, true)}`;
     
     if (descontoVT > 0) {
         html += `
@@ -613,6 +650,14 @@ function generateSalarioLiquidoModalContent(results, inputState) {
                     <span class="font-medium text-red-600">-${formatCurrency(descontoAdiantamentos)}</span>
                 </div>`;
     }
+
+    if (descontoFaltas && descontoFaltas.value > 0) {
+        html += `
+                <div class="flex justify-between">
+                    <span>Faltas e Atrasos (${describeFaltas(descontoFaltas)}):</span>
+                    <span class="font-medium text-red-600">-${formatCurrency(descontoFaltas.value)}</span>
+                </div>`;
+    }
     
     html += `
                 <div class="flex justify-between font-semibold border-t pt-2 mt-2">
@@ -628,21 +673,206 @@ function generateSalarioLiquidoModalContent(results, inputState) {
                 <span class="font-bold text-blue-600">${formatCurrency(salarioLiquido)}</span>
             </div>
         </div>`;
+
+    if (fgts.value > 0) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">FGTS (depositado pelo empregador)</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>FGTS do Mês (${formatAliquota(fgts.aliquota)} de ${formatCurrency(fgts.base)}):</span>
+                    <span class="font-medium">${formatCurrency(fgts.value)}</span>
+                </div>${fgts.compensatorio > 0 ? `
+                <div class="flex justify-between">
+                    <span>Indenização Compensatória (${formatAliquota(fgts.aliquotaCompensatorio)}):</span>
+                    <span class="font-medium">${formatCurrency(fgts.compensatorio)}</span>
+                </div>` : ''}
+                <p class="text-xs text-gray-600">O FGTS não é descontado do salário.</p>
+            </div>
+        </div>`;
+    }
+    html += createObservacoesHTML(observacoes, true);
     
     return html;
 }
 
+/**
+ * Describes the notice period mode used in a severance calculation.
+ * @param {object|null} avisoPrevio - The notice details returned by calculateRescisao.
+ * @returns {string} - A readable description, or an empty string when no notice applies.
+ */
+function describeAvisoPrevio(avisoPrevio) {
+    if (!avisoPrevio || !avisoPrevio.modalidade) return '';
+    const { modalidade, dias, diasProjecao, diasTrabalhados, diasIndenizados = 0, reducao } = avisoPrevio;
+
+    if (modalidade === 'dispensado' && diasProjecao > 0) {
+        return `Dispensado pelo empregador, pago como indenizado (${dias} dias) e projetado no tempo de serviço`;
+    }
+    if (modalidade === 'dispensado_pelo_empregado') {
+        return 'Dispensado a pedido do empregado (novo emprego), sem pagamento nem projeção';
+    }
+    if (modalidade === 'indenizado') {
+        return diasProjecao > 0
+            ? `Indenizado (${dias} dias), projetado no tempo de serviço`
+            : `Não cumprido pelo empregado (${dias} dias descontados)`;
+    }
+    if (modalidade === 'trabalhado') {
+        if (diasIndenizados > 0) return `Trabalhado (${dias - diasIndenizados} de ${dias} dias), com ${diasIndenizados} dias indenizados`;
+        if (reducao === 'sete_dias') return `Trabalhado (${dias} dias), com redução de 7 dias (${diasTrabalhados} dias trabalhados)`;
+        if (reducao === 'duas_horas') return `Trabalhado (${dias} dias), com redução de 2 horas diárias`;
+        return `Trabalhado (${dias} dias)`;
+    }
+    return 'Dispensado, sem pagamento nem desconto';
+}
+
+/**
+ * Describes the indemnified stability period of a severance calculation.
+ * @param {object|null} estabilidade - The stability details returned by calculateRescisao.
+ * @returns {string} - A readable description, or an empty string when no stability is indemnified.
+ */
+function describeEstabilidade(estabilidade) {
+    if (!estabilidade) return '';
+    const { descricao, inicio, fim, meses, dias } = estabilidade;
+    return `${descricao}, ${formatDate(inicio)} a ${formatDate(fim)} (${meses} ${meses === 1 ? 'mês' : 'meses'} e ${dias} dias)`;
+}
+
+/**
+ * Describes the payment deadline of the termination payments and whether it was met.
+ * @param {object|null} pagamento - The payment details returned by calculateRescisao.
+ * @returns {string} - A readable description, or an empty string when there is no calculation.
+ */
+function describePagamento(pagamento) {
+    if (!pagamento) return '';
+    const { prazo, data, atrasado, diasAtraso } = pagamento;
+    if (!data) return `Até ${formatDate(prazo)}`;
+    return atrasado
+        ? `Até ${formatDate(prazo)}, pago em ${formatDate(data)} com ${diasAtraso} ${diasAtraso === 1 ? 'dia' : 'dias'} de atraso`
+        : `Até ${formatDate(prazo)}, pago em ${formatDate(data)} no prazo`;
+}
+
+/**
+ * Describes an acquisition period as "DD/MM/YYYY a DD/MM/YYYY", flagging the ones paid in double.
+ * @param {object} periodo - A period returned by calculateRescisao.
+ * @returns {string} - The description.
+ */
+function describePeriodoAquisitivo({ inicio, fim, emDobro }) {
+    return `${formatDate(inicio)} a ${formatDate(fim)}${emDobro ? ' (em dobro)' : ''}`;
+}
+
+/**
+ * Builds the rows of the 13º and férias avos breakdown for the rescisão memory and report.
+ * @param {object|null} avos - The avos returned by calculateRescisao.
+ * @returns {Array<{label: string, value: string, header: boolean}>} - The rows to render.
+ */
+function buildAvosRows(avos) {
+    if (!avos) return [];
+    // A notice projected into the next year gives avos of two years, each counted against its own 13º
+    const anos = [...new Set(avos.decimoTerceiro.meses.map(mes => mes.mes.slice(0, 4)))];
+    const avosDecimo = anos.length > 1
+        ? anos.map(ano => `${avos.decimoTerceiro.meses.filter(mes => mes.conta && mes.mes.startsWith(ano)).length}/12 de ${ano}`).join(' + ')
+        : `${avos.decimoTerceiro.avos}/12`;
+    const rows = [{ label: '13º Salário', value: avosDecimo, header: true }];
+    const describeDias = ({ dias, diasAfastado = 0, conta }) => `${dias} dias${diasAfastado > 0 ? ` (${diasAfastado} de afastamento)` : ''}${conta ? '' : ' (não conta)'}`;
+    avos.decimoTerceiro.meses.forEach(mes => {
+        const [ano, numeroMes] = mes.mes.split('-');
+        rows.push({ label: `${numeroMes}/${ano}`, value: describeDias(mes), header: false });
+    });
+    rows.push({ label: `Férias (período iniciado em ${formatDate(avos.ferias.inicioPeriodo)})`, value: avos.ferias.perdido ? 'perdido por afastamento' : `${avos.ferias.avos}/12`, header: true });
+    avos.ferias.meses.forEach(fracao => {
+        rows.push({ label: `${formatDate(fracao.inicio)} a ${formatDate(fracao.fim)}`, value: describeDias(fracao), header: false });
+    });
+    return rows;
+}
+
+/**
+ * Lists the FGTS of the rescisão: the balance used (next to the alternative, so the estimate and the informed
+ * value can be compared), the deposits on the termination payments, the fine and the total of the guide.
+ * @param {object|null} fgts - The FGTS information returned by calculateRescisao.
+ * @returns {Array<{label: string, value: string, total: boolean}>} - The rows to render.
+ */
+function buildFgtsRows(fgts) {
+    if (!fgts) return [];
+    const { origem, saldo, saldoInformado, projecao, aliquota, depositosRescisorios, saldoAtualizado, multa, depositoCompensatorio, totalGuia } = fgts;
+    const rows = [{ label: 'Saldo do FGTS usado no cálculo', value: `${formatCurrency(saldo)} (${origem === 'projetado' ? 'estimado' : 'informado'})`, total: false }];
+    if (projecao.meses.length > 0) {
+        rows.push({ label: 'Saldo estimado pelo histórico do contrato', value: formatCurrency(projecao.saldo), total: false });
+        rows.push({ label: 'Saldo informado (extrato)', value: saldoInformado > 0 ? formatCurrency(saldoInformado) : 'Não informado', total: false });
+        if (saldoInformado > 0) {
+            const diferenca = projecao.saldo - saldoInformado;
+            rows.push({ label: 'Diferença (estimado - informado)', value: `${diferenca < 0 ? '-' : ''}${formatCurrency(Math.abs(diferenca))}`, total: false });
+        }
+    }
+    Object.entries(depositosRescisorios).forEach(([verba, valor]) => {
+        rows.push({ label: `Depósito de ${formatAliquota(aliquota)} sobre ${verba}`, value: formatCurrency(valor), total: false });
+    });
+    rows.push({ label: 'Saldo para fins rescisórios', value: formatCurrency(saldoAtualizado), total: false });
+    if (multa) {
+        rows.push({ label: multa.verba, value: formatCurrency(multa.value), total: false });
+    }
+    if (depositoCompensatorio > 0) {
+        rows.push({ label: 'Depósito compensatório sobre as verbas rescisórias', value: formatCurrency(depositoCompensatorio), total: false });
+    }
+    rows.push({ label: 'Total a recolher (GRRF / FGTS Digital)', value: formatCurrency(totalGuia), total: true });
+    return rows;
+}
+
+/**
+ * Groups the month-by-month FGTS projection by year.
+ * @param {object} projecao - The projection returned by calculateProjecaoFgts.
+ * @returns {Array<{ano: string, depositos: number, rendimentos: number, saldo: number}>} - One entry per calendar year.
+ */
+function groupProjecaoFgtsPorAno(projecao) {
+    const anos = [];
+    projecao.meses.forEach(({ mes, deposito, rendimento, saldo }) => {
+        const ano = mes.slice(0, 4);
+        let atual = anos[anos.length - 1];
+        if (!atual || atual.ano !== ano) {
+            atual = { ano, depositos: 0, rendimentos: 0, saldo: 0 };
+            anos.push(atual);
+        }
+        atual.depositos += deposito;
+        atual.rendimentos += rendimento;
+        atual.saldo = saldo;
+    });
+    return anos;
+}
+
 /**
  * Generates modal content for Rescisao calculation
  */
 function generateRescisaoModalContent(results, inputState) {
-    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido } = results;
+    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido, verbasExcluidas = [], observacoes = [], saqueFgts = 0, direitoSeguroDesemprego = false, avisoPrevio = null, estabilidade = null, pagamento = null, avos = null, periodosAquisitivos = [], fgts = null } = results;
+    const descricaoAviso = describeAvisoPrevio(avisoPrevio);
+    const descricaoEstabilidade = describeEstabilidade(estabilidade);
+    const descricaoPagamento = describePagamento(pagamento);
     
     let html = `
         <div class="mt-4">
             <h4 class="font-semibold text-gray-800">Verbas Rescisórias (Ganhos)</h4>
             <div class="mt-2 space-y-1 text-sm">`;
     
+    if (descricaoAviso) {
+        html += `
+                <div class="flex justify-between text-gray-600">
+                    <span>Aviso Prévio:</span>
+                    <span class="font-medium">${descricaoAviso}</span>
+                </div>`;
+    }
+    if (descricaoEstabilidade) {
+        html += `
+                <div class="flex justify-between text-gray-600">
+                    <span>Estabilidade Indenizada:</span>
+                    <span class="font-medium">${descricaoEstabilidade}</span>
+                </div>`;
+    }
+    if (descricaoPagamento) {
+        html += `
+                <div class="flex justify-between ${pagamento.atrasado ? 'text-red-600' : 'text-gray-600'}">
+                    <span>Prazo de Pagamento:</span>
+                    <span class="font-medium">${descricaoPagamento}</span>
+                </div>`;
+    }
+    
     // Add provento items
     Object.entries(proventos).forEach(([key, value]) => {
         if (value > 0) {
@@ -675,6 +905,14 @@ function generateRescisaoModalContent(results, inputState) {
                     <span>${key}:</span>
                     <span class="font-medium text-red-600">-${formatCurrency(value)}</span>
                 </div>`;
+            if (key.startsWith('IRRF') && result.details) {
+                html += `
+                <p class="text-xs text-gray-600">${result.details.methodLabel}: base de ${result.details.irrfBase}, alíquota de ${result.details.rate}.</p>`;
+            }
+            if (key === 'Pensão Alimentícia' && result.details) {
+                html += `
+                <p class="text-xs text-gray-600">${describePensao(result.details)}, deduzida da base do IRRF.</p>`;
+            }
         }
     });
     
@@ -684,8 +922,117 @@ function generateRescisaoModalContent(results, inputState) {
                     <span class="font-medium text-red-600">-${formatCurrency(totalDescontos)}</span>
                 </div>
             </div>
-        </div>
+        </div>`;
+
+    // The estagiário has no FGTS.
+    if (fgts) {
+        html += `
+        
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">FGTS da Rescisão</h4>
+            <div class="mt-2 space-y-1 text-sm">${buildFgtsRows(fgts).map(({ label, value, total }) => `
+                <div class="flex justify-between${total ? ' font-semibold border-t pt-2 mt-2' : ''}">
+                    <span>${label}:</span>
+                    <span class="font-medium">${value}</span>
+                </div>`).join('')}
+            </div>
+        </div>`;
+    }
+
+    html += `
         
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">FGTS e Seguro-Desemprego</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Saque do FGTS:</span>
+                    <span class="font-medium">${saqueFgts > 0 ? formatCurrency(saqueFgts) : 'Não permitido'}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Seguro-Desemprego:</span>
+                    <span class="font-medium">${direitoSeguroDesemprego ? 'Sim, se cumpridos os requisitos' : 'Não'}</span>
+                </div>`;
+    
+    observacoes.forEach(texto => {
+        html += `
+                <p class="text-xs text-gray-600">${texto}</p>`;
+    });
+    
+    html += `
+            </div>
+        </div>`;
+    
+    if (periodosAquisitivos.length > 0) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Férias Vencidas por Período Aquisitivo</h4>
+            <div class="mt-2 space-y-1 text-sm">`;
+        periodosAquisitivos.forEach(periodo => {
+            html += `
+                <div class="flex justify-between">
+                    <span>${describePeriodoAquisitivo(periodo)}:</span>
+                    <span class="font-medium">${periodo.gozado ? 'Já gozado' : `${formatCurrency(periodo.valor)} + 1/3 ${formatCurrency(periodo.terco)}`}</span>
+                </div>`;
+        });
+        html += `
+            </div>
+        </div>`;
+    }
+    
+    if (fgts && fgts.projecao.meses.length > 0) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Estimativa do Saldo do FGTS</h4>
+            <p class="text-xs text-gray-600">Depósitos de ${formatAliquota(fgts.aliquota)} sobre salários, 13º e 1/3 de férias gozadas, com juros de 3% ao ano e TR.</p>
+            <div class="mt-2 space-y-1 text-sm">`;
+        groupProjecaoFgtsPorAno(fgts.projecao).forEach(({ ano, depositos, rendimentos, saldo }) => {
+            html += `
+                <div class="flex justify-between">
+                    <span>${ano}: depósitos ${formatCurrency(depositos)} + rendimentos ${formatCurrency(rendimentos)}</span>
+                    <span class="font-medium">${formatCurrency(saldo)}</span>
+                </div>`;
+        });
+        html += `
+            </div>
+        </div>`;
+    }
+    
+    const avosRows = buildAvosRows(avos);
+    if (avosRows.length > 0) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Contagem de Avos (mínimo de 15 dias no mês)</h4>
+            <div class="mt-2 space-y-1 text-sm">`;
+        avosRows.forEach(({ label, value, header }) => {
+            html += `
+                <div class="flex justify-between${header ? ' font-semibold mt-2' : ' text-xs text-gray-600 pl-4'}">
+                    <span>${label}:</span>
+                    <span>${value}</span>
+                </div>`;
+        });
+        html += `
+            </div>
+        </div>`;
+    }
+    
+    if (verbasExcluidas.length > 0) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Verbas Não Devidas</h4>
+            <div class="mt-2 space-y-2 text-sm">`;
+        verbasExcluidas.forEach(({ verba, justificativa }) => {
+            html += `
+                <div>
+                    <span class="font-medium">${verba}</span>
+                    <p class="text-xs text-gray-600">${justificativa}</p>
+                </div>`;
+        });
+        html += `
+            </div>
+        </div>`;
+    }
+    
+    html += `
         <div class="mt-4 pt-4 border-t border-gray-200">
             <div class="flex justify-between items-center text-lg">
                 <span class="font-bold text-gray-900">Total Líquido a Receber:</span>
@@ -700,79 +1047,511 @@ function generateRescisaoModalContent(results, inputState) {
  * Legacy function for backward compatibility - now delegates to updateAndShowModal
  * @deprecated Use updateAndShowModal instead
  */
-export function renderCalculationMemory(results) {
-    const calculatorName = state.activeTab;
-    const data = {
-        type: calculatorName,
-        results: results,
-        state: state[calculatorName]
-    };
-    updateAndShowModal(data);
-}
-
-export function showCalculationMemoryModal() {
-    const modal = document.getElementById('calculation-memory-modal');
-    if (modal) {
-        modal.classList.remove('hidden');
-        modal.classList.add('flex');
-        modal.setAttribute('data-state', 'open');
-        // Prevent body scroll when modal is open
-        document.body.style.overflow = 'hidden';
-    }
-}
-
-export function hideCalculationMemoryModal() {
-    const modal = document.getElementById('calculation-memory-modal');
-    if (modal) {
-        modal.classList.add('hidden');
-        modal.classList.remove('flex');
-        modal.setAttribute('data-state', 'closed');
-        // Restore body scroll when modal is closed
-        document.body.style.overflow = '';
-    }
-}
-
+/**
+ * Generates modal content for Cartão de Ponto calculation
+ */
+function generateCartaoPontoModalContent(results, inputState) {
+    const { jornada, dias, totais } = results;
+    const diasHTML = dias.filter(linha => describeDiaPonto(linha) && (linha.tipo === 'util' || linha.minutosTrabalhados > 0)).map(linha => `
+                <div class="flex justify-between">
+                    <span>${formatDate(linha.data)} (${DIAS_SEMANA[linha.diaSemana]}), ${formatHoras(linha.minutosTrabalhados / 60)}:</span>
+                    <span class="font-medium">${describeDiaPonto(linha)}</span>
+                </div>`).join('');
+    const totaisHTML = listTotaisPonto(totais).map(([label, valor]) => `
+                <div class="flex justify-between">
+                    <span>${label}:</span>
+                    <span class="font-medium">${valor}</span>
+                </div>`).join('');
 
-// --- RESULT TEMPLATE FUNCTIONS ---
+    return `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Jornada Contratual</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Horário:</span>
+                    <span class="font-medium">${inputState.horarioEntrada} às ${inputState.horarioSaida}, ${inputState.intervaloMinutos} min de intervalo</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Jornada diária:</span>
+                    <span class="font-medium">${formatHoras(jornada / 60)}</span>
+                </div>
+            </div>
+        </div>
 
-function createFeriasResultHTML(results) {
-    if (Object.keys(state.ferias.errors).some(k => state.ferias.errors[k])) {
-        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
-    }
-    if (!results || !results.salarioBruto) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Ocorrências do Mês</h4>
+            <div class="mt-2 space-y-1 text-sm">${diasHTML || `
+                <p class="text-gray-600">Nenhuma ocorrência: todos os dias dentro da jornada.</p>`}
+            </div>
+            <p class="text-xs text-gray-600 mt-2">Variações de até 5 minutos por marcação, no máximo 10 por dia, são desconsideradas (Art. 58, §1º da CLT); acima disso, conta-se todo o tempo (Súmula 366 do TST).</p>
+        </div>
 
-    const { baseDeCalculo, valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, valorLiquido, venderFerias, adiantarDecimo, diasFerias } = results;
-    const inssDetailsHTML = descontoINSS.details.map(d => `<p class="text-xs">${d.range}: ${d.base} x ${d.rate} = <strong>${d.value}</strong></p>`).join('');
-    const irrfDetailsHTML = `<p class="text-xs">Base de Cálculo: ${descontoIRRF.details.base}</p><p class="text-xs">Dedução por Dependentes: ${descontoIRRF.details.dependentsDeduction}</p><p class="text-xs">Base p/ IRRF: ${descontoIRRF.details.irrfBase}</p><p class="text-xs">Alíquota: ${descontoIRRF.details.rate}</p><p class="text-xs">Parcela a Deduzir: ${descontoIRRF.details.deduction}</p>`;
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Totais</h4>
+            <div class="mt-2 space-y-1 text-sm">${totaisHTML}
+            </div>
+        </div>
 
-    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo</h3><p class="text-sm text-muted-foreground">Resumo do seu cálculo de férias.</p></div><div class="p-6 pt-0"><div class="space-y-1"><div class="flex justify-between result-row py-2"><span>Base de Cálculo para Férias:</span> <span class="font-mono">${formatCurrency(baseDeCalculo)}</span></div><h4 class="text-lg font-semibold text-primary mt-4">Proventos (Ganhos)</h4><div class="flex justify-between result-row py-2"><span>Valor das Férias (${venderFerias ? (diasFerias - (diasFerias/3)) : diasFerias} dias):</span> <span class="font-mono text-green-600">${formatCurrency(valorFerias)}</span></div><div class="flex justify-between result-row py-2"><span>1/3 Constitucional sobre Férias:</span> <span class="font-mono text-green-600">${formatCurrency(tercoConstitucional)}</span></div>${venderFerias ? `<div class="flex justify-between result-row py-2"><span>Abono Pecuniário (Venda 1/3):</span> <span class="font-mono text-green-600">${formatCurrency(valorAbono)}</span></div><div class="flex justify-between result-row py-2"><span>1/3 sobre Abono Pecuniário:</span> <span class="font-mono text-green-600">${formatCurrency(tercoAbono)}</span></div>` : ''}${adiantarDecimo ? `<div class="flex justify-between result-row py-2"><span>Adiantamento 13º Salário:</span> <span class="font-mono text-green-600">${formatCurrency(adiantamento13)}</span></div>` : ''}<h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS sobre Férias: <button class="details-btn text-primary text-xs" data-details-for="inss-details-ferias">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-ferias" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF sobre Férias: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-ferias">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-ferias" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorLiquido)}</span></div><div class="flex gap-2 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+        <div class="mt-4 pt-4 border-t border-gray-200">
+            <div class="flex justify-between items-center text-lg">
+                <span class="font-bold text-gray-900">Total de Horas Extras:</span>
+                <span class="font-bold text-blue-600">${formatHoras(totais.horasExtras50 + totais.horasExtras100)}</span>
+            </div>
+        </div>`;
 }
 
-function createDecimoTerceiroResultHTML(results) {
-    if (Object.keys(state.decimoTerceiro.errors).some(k => state.decimoTerceiro.errors[k])) {
-        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
-    }
-    if (!results || !results.salarioBruto) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+/**
+ * Generates modal content for the employer cost calculation
+ */
+function generateCustoEmpregadorModalContent(results, inputState) {
+    const { regime, custoMensal, custoAnual } = results;
+    const secoesHTML = listSecoesCustoEmpregador(results).map(({ titulo, linhas, total }) => `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">${titulo}</h4>
+            <div class="mt-2 space-y-1 text-sm">${linhas.map(([label, valor]) => `
+                <div class="flex justify-between">
+                    <span>${label}:</span>
+                    <span class="font-medium">${formatCurrency(valor)}</span>
+                </div>`).join('')}
+                <div class="flex justify-between font-semibold border-t pt-2 mt-2">
+                    <span>Total:</span>
+                    <span class="font-medium">${formatCurrency(total)}</span>
+                </div>
+            </div>
+        </div>`).join('');
 
-    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber } = results;
-    const inssDetailsHTML = descontoINSS.details.map(d => `<p class="text-xs">${d.range}: ${d.base} x ${d.rate} = <strong>${d.value}</strong></p>`).join('');
-    const irrfDetailsHTML = `<p class="text-xs">Base de Cálculo: ${descontoIRRF.details.base}</p><p class="text-xs">Dedução por Dependentes: ${descontoIRRF.details.dependentsDeduction}</p><p class="text-xs">Base p/ IRRF: ${descontoIRRF.details.irrfBase}</p><p class="text-xs">Alíquota: ${descontoIRRF.details.rate}</p><p class="text-xs">Parcela a Deduzir: ${descontoIRRF.details.deduction}</p>`;
+    return `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Empregador</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Regime tributário:</span>
+                    <span class="font-medium">${regime.descricao}</span>
+                </div>
+                ${regime.rat ? `<div class="flex justify-between">
+                    <span>RAT × FAP:</span>
+                    <span class="font-medium">${inputState.rat}% × ${Number(inputState.fap).toLocaleString('pt-BR')}</span>
+                </div>` : ''}
+            </div>
+        </div>
+        ${secoesHTML}
 
-    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo do 13º Salário</h3><p class="text-sm text-muted-foreground">Resumo do seu cálculo de 13º salário.</p></div><div class="p-6 pt-0"><div class="space-y-1"><div class="flex justify-between result-row py-2"><span>Base de Cálculo:</span> <span class="font-mono">${formatCurrency(baseDeCalculo)}</span></div><div class="flex justify-between result-row py-2"><span>Meses trabalhados:</span> <span class="font-mono">${mesesTrabalhados} meses</span></div><div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>13º Salário Bruto:</span> <span class="font-mono">${formatCurrency(valorBrutoDecimo)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS: <button class="details-btn text-primary text-xs" data-details-for="inss-details-13">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-13" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-13">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-13" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div><h4 class="text-lg font-semibold text-primary mt-4">Valores Finais</h4><div class="flex justify-between result-row py-2"><span>13º Salário Líquido:</span> <span class="font-mono text-green-600">${formatCurrency(valorLiquidoDecimo)}</span></div>${adiantamentoRecebido > 0 ? `<div class="flex justify-between result-row py-2"><span>(-) Adiantamento já recebido:</span> <span class="font-mono text-red-600">-${formatCurrency(adiantamentoRecebido)}</span></div>` : ''}</div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Valor a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorAReceber)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+        <div class="mt-4 pt-4 border-t border-gray-200">
+            <div class="flex justify-between items-center text-lg">
+                <span class="font-bold text-gray-900">Custo Mensal:</span>
+                <span class="font-bold text-blue-600">${formatCurrency(custoMensal)}</span>
+            </div>
+            <div class="flex justify-between items-center text-sm mt-1">
+                <span class="text-gray-800">Custo Anual:</span>
+                <span class="font-medium">${formatCurrency(custoAnual)}</span>
+            </div>
+            <p class="text-xs text-gray-600 mt-2">${NOTA_CUSTO_ANUAL}</p>
+        </div>`;
 }
 
-function renderSalarioLiquidoChart(results) {
-    const chartContainer = document.getElementById('salario-liquido-chart-container');
-    if (!chartContainer) return;
-
-    const {
-        salarioLiquido, descontoINSS, descontoIRRF,
-        descontoVT, descontoVR, descontoSaude, descontoAdiantamentos
-    } = results;
+/**
+ * Generates modal content for the CLT × PJ comparison
+ */
+function generateCltPjModalContent(results, inputState) {
+    const { clt, faturamentoEquivalente, pjProposta, diferencaAnual } = results;
+    const secoesHTML = listSecoesCltPj(results).map(({ titulo, linhas, rotuloTotal, total, nota }) => `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">${titulo}</h4>
+            <div class="mt-2 space-y-1 text-sm">${linhas.map(([label, valor]) => `
+                <div class="flex justify-between">
+                    <span>${label}:</span>
+                    <span class="font-medium">${formatCurrency(valor)}</span>
+                </div>`).join('')}
+                <div class="flex justify-between font-semibold border-t pt-2 mt-2">
+                    <span>${rotuloTotal}:</span>
+                    <span class="font-medium">${formatCurrency(total)}</span>
+                </div>
+            </div>
+            ${nota ? `<p class="text-xs text-gray-600 mt-1">${nota}</p>` : ''}
+        </div>`).join('');
 
-    const totalImpostos = (descontoINSS.value || 0) + (descontoIRRF.value || 0);
-    const totalOutrosDescontos = (descontoVT || 0) + (descontoVR || 0) + (descontoSaude || 0) + (descontoAdiantamentos || 0);
-    const total = salarioLiquido + totalImpostos + totalOutrosDescontos;
+    return `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Contrato CLT</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Salário bruto:</span>
+                    <span class="font-medium">${formatCurrency(clt.salario.salarioBruto)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Salário líquido mensal:</span>
+                    <span class="font-medium">${formatCurrency(clt.salario.salarioLiquido)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Dependentes:</span>
+                    <span class="font-medium">${inputState.dependentes || 0}</span>
+                </div>
+            </div>
+        </div>
+        ${secoesHTML}
+
+        <div class="mt-4 pt-4 border-t border-gray-200">
+            <div class="flex justify-between items-center text-lg">
+                <span class="font-bold text-gray-900">Faturamento PJ Equivalente:</span>
+                <span class="font-bold text-blue-600">${faturamentoEquivalente !== null ? `${formatCurrency(faturamentoEquivalente)}/mês` : 'Acima do limite do regime'}</span>
+            </div>
+            ${pjProposta ? `<div class="flex justify-between items-center text-sm mt-1">
+                <span class="text-gray-800">Diferença anual da proposta:</span>
+                <span class="font-medium">${formatCurrency(diferencaAnual)}</span>
+            </div>` : ''}
+            <p class="text-xs text-gray-600 mt-2">${NOTA_CLT_PJ}</p>
+        </div>`;
+}
+
+/**
+ * Generates modal content for Seguro-Desemprego calculation
+ */
+function generateSeguroDesempregoModalContent(results, inputState) {
+    const { salarioMedio, solicitacao, carencia, janela, mesesTrabalhados, elegivel, motivoInelegibilidade, parcelas, valorCalculado, piso, teto, valorParcela, valorTotal } = results;
+    const salariosHTML = [inputState.salario1, inputState.salario2, inputState.salario3]
+        .map((salario, index) => salario > 0 ? `
+                <div class="flex justify-between">
+                    <span>${SALARIOS_SEGURO_LABELS[index]}:</span>
+                    <span class="font-medium">${formatCurrency(salario)}</span>
+                </div>` : '').join('');
+
+    let html = `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Salário Médio</h4>
+            <div class="mt-2 space-y-1 text-sm">${salariosHTML}
+                <div class="flex justify-between font-semibold border-t pt-2 mt-2">
+                    <span>Média dos salários:</span>
+                    <span class="font-medium">${formatCurrency(salarioMedio)}</span>
+                </div>
+            </div>
+        </div>
+
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Requisitos</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Solicitação:</span>
+                    <span class="font-medium">${solicitacao}ª</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Carência:</span>
+                    <span class="font-medium">${carencia} meses nos últimos ${janela}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Meses trabalhados:</span>
+                    <span class="font-medium">${mesesTrabalhados}</span>
+                </div>
+            </div>
+            ${elegivel ? '' : `<p class="text-xs text-red-600 mt-2">${motivoInelegibilidade}</p>`}
+        </div>`;
+
+    if (elegivel) {
+        html += `
+        <div class="mt-4">
+            <h4 class="font-semibold text-gray-800">Valor da Parcela</h4>
+            <div class="mt-2 space-y-1 text-sm">
+                <div class="flex justify-between">
+                    <span>Valor pela tabela:</span>
+                    <span class="font-medium">${formatCurrency(valorCalculado)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span>Piso (salário mínimo) / Teto:</span>
+                    <span class="font-medium">${formatCurrency(piso)} / ${formatCurrency(teto)}</span>
+                </div>
+                <div class="flex justify-between font-semibold border-t pt-2 mt-2">
+                    <span>Parcela (${parcelas}x):</span>
+                    <span class="font-medium text-green-600">${formatCurrency(valorParcela)}</span>
+                </div>
+            </div>
+            <p class="text-xs text-gray-600 mt-2">${describeParcelaSeguro(results)}.</p>
+        </div>`;
+    }
+
+    html += `
+        <div class="mt-4 pt-4 border-t border-gray-200">
+            <div class="flex justify-between items-center text-lg">
+                <span class="font-bold text-gray-900">Total do Benefício:</span>
+                <span class="font-bold text-blue-600">${formatCurrency(valorTotal)}</span>
+            </div>
+        </div>`;
+
+    return html;
+}
+
+export function renderCalculationMemory(results) {
+    const calculatorName = state.activeTab;
+    const data = {
+        type: calculatorName,
+        results: results,
+        state: state[calculatorName]
+    };
+    updateAndShowModal(data);
+}
+
+export function showCalculationMemoryModal() {
+    const modal = document.getElementById('calculation-memory-modal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        modal.setAttribute('data-state', 'open');
+        // Prevent body scroll when modal is open
+        document.body.style.overflow = 'hidden';
+    }
+}
+
+export function hideCalculationMemoryModal() {
+    const modal = document.getElementById('calculation-memory-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+        modal.setAttribute('data-state', 'closed');
+        // Restore body scroll when modal is closed
+        document.body.style.overflow = '';
+    }
+}
+
+
+// --- RESULT TEMPLATE FUNCTIONS ---
+
+/**
+ * Builds the "(Ver Detalhes)" breakdown of an IRRF result, including the method used and its alternative.
+ * @param {object} details - The details returned by calculateIRRF.
+ * @returns {string} - The HTML of the breakdown.
+ */
+function createIRRFDetailsHTML(details) {
+    const deducaoHTML = details.simplifiedDiscount
+        ? `<p class="text-xs">Desconto Simplificado: ${details.simplifiedDiscount}</p>`
+        : `<p class="text-xs">Dedução por Dependentes: ${details.dependentsDeduction}</p>`;
+    const alternativaHTML = details.alternative
+        ? `<p class="text-xs text-muted-foreground">${details.alternative.methodLabel} resultaria em ${details.alternative.value}</p>`
+        : '';
+    const pensaoHTML = details.pensionDeduction
+        ? `<p class="text-xs">Dedução de Pensão Alimentícia: ${details.pensionDeduction}</p>`
+        : '';
+    return `<p class="text-xs">Método: <strong>${details.methodLabel}</strong></p><p class="text-xs">Base de Cálculo: ${details.base}</p>${deducaoHTML}${pensaoHTML}<p class="text-xs">Base p/ IRRF: ${details.irrfBase}</p><p class="text-xs">Alíquota: ${details.rate}</p><p class="text-xs">Parcela a Deduzir: ${details.deduction}</p>${alternativaHTML}`;
+}
+
+/**
+ * Describes the IRRF method chosen, for the calculation memory modal.
+ * @param {object} irrfResult - The result returned by calculateIRRF.
+ * @returns {string} - The HTML line, or an empty string when only the legal deductions were available.
+ */
+function createIRRFMethodNote(irrfResult) {
+    const { details } = irrfResult;
+    if (details && details.method === 'exclusiva') {
+        return `
+                <p class="text-xs text-gray-600">IRRF com tributação exclusiva na fonte, calculado separadamente dos demais rendimentos do mês.</p>`;
+    }
+    if (!details || !details.alternative) return '';
+    return `
+                <p class="text-xs text-gray-600">IRRF por ${details.methodLabel.toLowerCase()} (${details.alternative.methodLabel.toLowerCase()}: ${details.alternative.value}).</p>`;
+}
+
+const PENSAO_BASE_LABELS = {
+    percentual_bruto: 'do rendimento bruto',
+    percentual_liquido: 'do rendimento líquido',
+    percentual_salario_minimo: 'do salário mínimo'
+};
+
+/**
+ * Describes how the pension was obtained, e.g. "15% do rendimento líquido (R$ 2.500,00) × 2 beneficiários".
+ * @param {object} details - The details returned by calculatePensaoAlimenticia.
+ * @returns {string} - The description.
+ */
+function describePensao({ tipo, percentual, beneficiarios, base }) {
+    const porBeneficiario = tipo === 'valor_fixo'
+        ? `${formatCurrency(base)} fixos`
+        : `${percentual}% ${PENSAO_BASE_LABELS[tipo]} (${formatCurrency(base)})`;
+    return beneficiarios > 1 ? `${porBeneficiario} × ${beneficiarios} beneficiários` : porBeneficiario;
+}
+
+/**
+ * Builds the "Pensão Alimentícia" discount line.
+ * @param {object|null} pensaoResult - The result returned by calculatePensaoAlimenticia.
+ * @param {boolean} [modal] - Whether the line goes in the calculation memory modal, which also explains the value.
+ * @returns {string} - The HTML line, or an empty string when no pension is withheld.
+ */
+function createPensaoLineHTML(pensaoResult, modal = false) {
+    if (!pensaoResult || !pensaoResult.details || pensaoResult.value <= 0) return '';
+    if (modal) {
+        return `
+                <div class="flex justify-between">
+                    <span>Pensão Alimentícia:</span>
+                    <span class="font-medium text-red-600">-${formatCurrency(pensaoResult.value)}</span>
+                </div>
+                <p class="text-xs text-gray-600">${describePensao(pensaoResult.details)}, deduzida da base do IRRF.</p>`;
+    }
+    return `
+            <div class="flex justify-between result-row py-2">
+                <span>Pensão Alimentícia:</span>
+                <span class="font-mono text-red-600">-${formatCurrency(pensaoResult.value)}</span>
+            </div>`;
+}
+
+/**
+ * Builds the hour-based overtime lines of the salário líquido and their DSR reflection.
+ * @param {object} results - The result returned by calculateSalarioLiquido.
+ * @param {boolean} [modal] - Whether the lines go in the calculation memory modal, which also explains the values.
+ * @returns {string} - The HTML lines, or an empty string when no overtime hours or night premium were informed.
+ */
+function createHorasExtrasLinesHTML({ horasExtrasHoras = null, dsr = null }, modal = false) {
+    const rowClass = modal ? 'flex justify-between' : 'flex justify-between result-row py-2';
+    const valueClass = modal ? 'font-medium text-green-600' : 'font-mono text-green-600';
+    const noteClass = modal ? 'text-xs text-gray-600' : 'text-xs text-muted-foreground py-1';
+    const linhas = horasExtrasHoras ? horasExtrasHoras.linhas : [];
+
+    let html = linhas.map(({ descricao, horas, percentual, valor }) => `
+                <div class="${rowClass}">
+                    <span>${descricao} (${horas}h):</span>
+                    <span class="${valueClass}">${formatCurrency(valor)}</span>
+                </div>${modal ? `
+                <p class="${noteClass}">${horas}h × ${formatCurrency(horasExtrasHoras.valorHora)} × ${(1 + percentual / 100).toLocaleString('pt-BR')}</p>` : ''}`).join('');
+
+    if (!dsr || dsr.base <= 0) return html;
+    if (dsr.value > 0) {
+        html += `
+                <div class="${rowClass}">
+                    <span>DSR sobre Horas Extras e Adicional Noturno:</span>
+                    <span class="${valueClass}">${formatCurrency(dsr.value)}</span>
+                </div>${modal ? `
+                <p class="${noteClass}">${formatCurrency(dsr.base)} ÷ ${dsr.diasUteis} dias úteis × ${dsr.diasDescanso} domingos e feriados${dsr.informado ? '' : ' (calendário da competência)'}</p>` : ''}`;
+    } else {
+        html += `
+                <p class="${noteClass}">Informe a competência ou os dias úteis do mês para calcular o DSR sobre as horas extras e o adicional noturno.</p>`;
+    }
+    return html;
+}
+
+/**
+ * Builds the commission lines of the salário líquido: the commissions, their DSR and the minimum wage complement.
+ * @param {object} results - The result returned by calculateSalarioLiquido.
+ * @param {boolean} [modal] - Whether the lines go in the calculation memory modal, which also explains the values.
+ * @returns {string} - The HTML lines, or an empty string when no commissions were informed.
+ */
+function createComissoesLinesHTML({ comissoes = null }, modal = false) {
+    if (!comissoes || comissoes.value <= 0) return '';
+    const rowClass = modal ? 'flex justify-between' : 'flex justify-between result-row py-2';
+    const valueClass = modal ? 'font-medium text-green-600' : 'font-mono text-green-600';
+    const noteClass = modal ? 'text-xs text-gray-600' : 'text-xs text-muted-foreground py-1';
+    const linha = (label, valor) => `
+                <div class="${rowClass}">
+                    <span>${label}:</span>
+                    <span class="${valueClass}">${formatCurrency(valor)}</span>
+                </div>`;
+
+    let html = linha('Comissões', comissoes.value);
+    if (comissoes.dsr > 0) {
+        html += linha('DSR sobre Comissões', comissoes.dsr) + (modal ? `
+                <p class="${noteClass}">${formatCurrency(comissoes.value)} ÷ ${comissoes.diasUteis} dias úteis × ${comissoes.diasDescanso} domingos e feriados${comissoes.informado ? '' : ' (calendário da competência)'} (Súmula 27 do TST)</p>` : '');
+    } else {
+        html += `
+                <p class="${noteClass}">Informe a competência ou os dias úteis do mês para calcular o DSR sobre as comissões.</p>`;
+    }
+    if (comissoes.complementoMinimo > 0) {
+        html += linha('Complemento do Salário Mínimo', comissoes.complementoMinimo) + (modal ? `
+                <p class="${noteClass}">Garantia do salário mínimo a quem recebe remuneração variável (Lei nº 8.716/1993).</p>` : '');
+    }
+    return html;
+}
+
+/**
+ * Describes the night hours paid with the premium, e.g. "7h de relógio + 2h prorrogadas = 10,2857h noturnas".
+ * @param {object} noturno - The night work details returned by calculateSalarioLiquido.
+ * @returns {string} - The description.
+ */
+function describeNoturno({ horasRelogio, horasProrrogadas, horasComputadas, horaReduzida }) {
+    const horas = valor => `${valor.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}h`;
+    let descricao = `${horas(horasRelogio)} de relógio`;
+    if (horasProrrogadas > 0) descricao += ` + ${horas(horasProrrogadas)} prorrogadas`;
+    return horaReduzida ? `${descricao} = ${horas(horasComputadas)} noturnas (hora reduzida de 52'30")` : descricao;
+}
+
+/**
+ * Labels the night premium with its rate, e.g. "Adicional Noturno (20%)".
+ * @param {object|null} noturno - The night work details returned by calculateSalarioLiquido.
+ * @returns {string} - The label.
+ */
+function labelAdicionalNoturno(noturno) {
+    return noturno ? `Adicional Noturno (${Math.round(noturno.percentual * 100)}%)` : 'Adicional Noturno';
+}
+
+/**
+ * Builds the notes that explain how the contract type changed a calculation.
+ * @param {Array<string>} observacoes - The notes returned by the calculation.
+ * @param {boolean} [modal] - Whether the notes go in the calculation memory modal.
+ * @returns {string} - The HTML paragraphs, or an empty string when there are no notes.
+ */
+function createObservacoesHTML(observacoes = [], modal = false) {
+    const noteClass = modal ? 'text-xs text-gray-600' : 'text-xs text-muted-foreground py-1';
+    return observacoes.map(texto => `
+                <p class="${noteClass}">${texto}</p>`).join('');
+}
+
+/**
+ * Builds the lines of the férias and 13º the intermitente receives with the pay of each call, or of the taxes on that 13º.
+ * @param {object|null} convocacao - The convocação returned by calculateSalarioLiquido.
+ * @param {'proventos'|'descontos'} grupo - Which lines to build.
+ * @param {boolean} [modal] - Whether the lines go in the calculation memory modal.
+ * @returns {string} - The HTML lines, or an empty string for the other contract types.
+ */
+function createConvocacaoLinesHTML(convocacao, grupo, modal = false) {
+    if (!convocacao) return '';
+    const rowClass = modal ? 'flex justify-between' : 'flex justify-between result-row py-2';
+    const valueClass = `${modal ? 'font-medium' : 'font-mono'} ${grupo === 'proventos' ? 'text-green-600' : 'text-red-600'}`;
+    const linhas = grupo === 'proventos'
+        ? [['Férias Proporcionais (1/12)', convocacao.ferias], ['1/3 sobre Férias Proporcionais', convocacao.tercoFerias], ['13º Salário Proporcional (1/12)', convocacao.decimoTerceiro]]
+        : [['INSS sobre 13º Salário', convocacao.descontoINSS.value], ['IRRF sobre 13º Salário', convocacao.descontoIRRF.value]];
+
+    return linhas.filter(([, valor]) => valor > 0).map(([rotulo, valor]) => `
+                <div class="${rowClass}">
+                    <span>${rotulo}:</span>
+                    <span class="${valueClass}">${grupo === 'descontos' ? '-' : ''}${formatCurrency(valor)}</span>
+                </div>`).join('');
+}
+
+function createFeriasResultHTML(results) {
+    if (Object.keys(state.ferias.errors).some(k => state.ferias.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || !results.baseDeCalculo) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { baseDeCalculo, valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquido, venderFerias, adiantarDecimo, diasFerias, contrato, observacoes } = results;
+    const inssDetailsHTML = descontoINSS.details.map(d => `<p class="text-xs">${d.range}: ${d.base} x ${d.rate} = <strong>${d.value}</strong></p>`).join('');
+    const irrfDetailsHTML = createIRRFDetailsHTML(descontoIRRF.details);
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo</h3><p class="text-sm text-muted-foreground">Resumo do seu cálculo de férias.</p></div><div class="p-6 pt-0"><div class="space-y-1"><div class="flex justify-between result-row py-2"><span>Base de Cálculo para Férias:</span> <span class="font-mono">${formatCurrency(baseDeCalculo)}</span></div><h4 class="text-lg font-semibold text-primary mt-4">Proventos (Ganhos)</h4><div class="flex justify-between result-row py-2"><span>Valor das Férias (${venderFerias ? (diasFerias - (diasFerias/3)) : diasFerias} dias):</span> <span class="font-mono text-green-600">${formatCurrency(valorFerias)}</span></div>${contrato.empregado ? `<div class="flex justify-between result-row py-2"><span>1/3 Constitucional sobre Férias:</span> <span class="font-mono text-green-600">${formatCurrency(tercoConstitucional)}</span></div>` : ''}${venderFerias ? `<div class="flex justify-between result-row py-2"><span>Abono Pecuniário (Venda 1/3):</span> <span class="font-mono text-green-600">${formatCurrency(valorAbono)}</span></div><div class="flex justify-between result-row py-2"><span>1/3 sobre Abono Pecuniário:</span> <span class="font-mono text-green-600">${formatCurrency(tercoAbono)}</span></div>` : ''}${adiantarDecimo ? `<div class="flex justify-between result-row py-2"><span>Adiantamento 13º Salário:</span> <span class="font-mono text-green-600">${formatCurrency(adiantamento13)}</span></div>` : ''}<h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS sobre Férias: <button class="details-btn text-primary text-xs" data-details-for="inss-details-ferias">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-ferias" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF sobre Férias: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-ferias">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-ferias" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div>${createPensaoLineHTML(descontoPensao)}${createObservacoesHTML(observacoes)}</div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorLiquido)}</span></div><div class="flex gap-2 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+function createDecimoTerceiroResultHTML(results) {
+    if (Object.keys(state.decimoTerceiro.errors).some(k => state.decimoTerceiro.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || !results.baseDeCalculo) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber, observacoes } = results;
+    const inssDetailsHTML = descontoINSS.details.map(d => `<p class="text-xs">${d.range}: ${d.base} x ${d.rate} = <strong>${d.value}</strong></p>`).join('');
+    const irrfDetailsHTML = createIRRFDetailsHTML(descontoIRRF.details);
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo do 13º Salário</h3><p class="text-sm text-muted-foreground">Resumo do seu cálculo de 13º salário.</p></div><div class="p-6 pt-0"><div class="space-y-1"><div class="flex justify-between result-row py-2"><span>Base de Cálculo:</span> <span class="font-mono">${formatCurrency(baseDeCalculo)}</span></div><div class="flex justify-between result-row py-2"><span>Meses trabalhados:</span> <span class="font-mono">${mesesTrabalhados} meses</span></div><div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>13º Salário Bruto:</span> <span class="font-mono">${formatCurrency(valorBrutoDecimo)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS: <button class="details-btn text-primary text-xs" data-details-for="inss-details-13">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-13" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-13">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-13" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div>${createPensaoLineHTML(descontoPensao)}<h4 class="text-lg font-semibold text-primary mt-4">Valores Finais</h4><div class="flex justify-between result-row py-2"><span>13º Salário Líquido:</span> <span class="font-mono text-green-600">${formatCurrency(valorLiquidoDecimo)}</span></div>${adiantamentoRecebido > 0 ? `<div class="flex justify-between result-row py-2"><span>(-) Adiantamento já recebido:</span> <span class="font-mono text-red-600">-${formatCurrency(adiantamentoRecebido)}</span></div>` : ''}${createObservacoesHTML(observacoes)}</div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Valor a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorAReceber)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+function renderSalarioLiquidoChart(results) {
+    const chartContainer = document.getElementById('salario-liquido-chart-container');
+    if (!chartContainer) return;
+
+    const {
+        salarioLiquido, descontoINSS, descontoIRRF, descontoPensao,
+        descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, descontoFaltas = null, convocacao = null
+    } = results;
+
+    // The intermitente's 13º has its own INSS and IRRF.
+    const inss = (descontoINSS.value || 0) + (convocacao ? convocacao.descontoINSS.value : 0);
+    const irrf = (descontoIRRF.value || 0) + (convocacao ? convocacao.descontoIRRF.value : 0);
+    const totalImpostos = inss + irrf;
+    const totalPensao = descontoPensao ? descontoPensao.value : 0;
+    const totalFaltas = descontoFaltas ? descontoFaltas.value : 0;
+    const totalOutrosDescontos = (descontoVT || 0) + (descontoVR || 0) + (descontoSaude || 0) + (descontoAdiantamentos || 0) + totalFaltas;
+    const total = salarioLiquido + totalImpostos + totalPensao + totalOutrosDescontos;
 
     // Calculate percentages and angles
     const segments = [
@@ -788,14 +1567,21 @@ function renderSalarioLiquidoChart(results) {
             value: totalImpostos,
             percentage: (totalImpostos / total) * 100,
             color: '#dc2626',
-            details: `INSS: ${formatCurrency(descontoINSS.value || 0)}<br>IRRF: ${formatCurrency(descontoIRRF.value || 0)}`
+            details: `INSS: ${formatCurrency(inss)}<br>IRRF: ${formatCurrency(irrf)}`
+        },
+        {
+            label: 'Pensão Alimentícia',
+            value: totalPensao,
+            percentage: (totalPensao / total) * 100,
+            color: '#7c3aed',
+            details: totalPensao > 0 ? describePensao(descontoPensao.details) : ''
         },
         {
             label: 'Outros Descontos',
             value: totalOutrosDescontos,
             percentage: (totalOutrosDescontos / total) * 100,
             color: '#f59e0b',
-            details: getOtherDiscountsDetails(descontoVT, descontoVR, descontoSaude, descontoAdiantamentos)
+            details: getOtherDiscountsDetails(descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, totalFaltas)
         }
     ].filter(segment => segment.value > 0); // Only show segments with values > 0
 
@@ -809,12 +1595,13 @@ function renderSalarioLiquidoChart(results) {
     addChartTooltipListeners(chartContainer, segments);
 }
 
-function getOtherDiscountsDetails(vt, vr, saude, adiantamentos) {
+function getOtherDiscountsDetails(vt, vr, saude, adiantamentos, faltas = 0) {
     const details = [];
     if (vt > 0) details.push(`Vale-Transporte: ${formatCurrency(vt)}`);
     if (vr > 0) details.push(`Vale-Refeição: ${formatCurrency(vr)}`);
     if (saude > 0) details.push(`Plano de Saúde: ${formatCurrency(saude)}`);
     if (adiantamentos > 0) details.push(`Adiantamentos: ${formatCurrency(adiantamentos)}`);
+    if (faltas > 0) details.push(`Faltas e Atrasos: ${formatCurrency(faltas)}`);
     return details.length > 0 ? details.join('<br>') : 'Nenhum desconto adicional';
 }
 
@@ -974,33 +1761,291 @@ function createSalarioLiquidoResultHTML(results) {
     if (Object.keys(state.salarioLiquido.errors).some(k => state.salarioLiquido.errors[k])) {
         return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
     }
-    if (!results || !results.salarioBruto) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+    if (!results || !results.salarioBrutoTotal) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
 
-    const { salarioBruto, horasExtras, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, salarioBrutoTotal, salarioFamilia, descontoINSS, descontoIRRF, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, totalProventos, totalDescontos, salarioLiquido } = results;
+    const { salarioBruto, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, salarioBrutoTotal, salarioFamilia, descontoINSS, descontoIRRF, descontoPensao = null, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, descontoFaltas = null, convocacao, totalProventos, totalDescontos, salarioLiquido, observacoes } = results;
     const inssDetailsHTML = descontoINSS.details.map(d => `<p class="text-xs">${d.range}: ${d.base} x ${d.rate} = <strong>${d.value}</strong></p>`).join('');
-    const irrfDetailsHTML = `<p class="text-xs">Base de Cálculo: ${descontoIRRF.details.base}</p><p class="text-xs">Dedução por Dependentes: ${descontoIRRF.details.dependentsDeduction}</p><p class="text-xs">Base p/ IRRF: ${descontoIRRF.details.irrfBase}</p><p class="text-xs">Alíquota: ${descontoIRRF.details.rate}</p><p class="text-xs">Parcela a Deduzir: ${descontoIRRF.details.deduction}</p>`;
+    const irrfDetailsHTML = createIRRFDetailsHTML(descontoIRRF.details);
 
     // setTimeout to ensure the canvas is in the DOM before rendering the chart
     setTimeout(() => renderSalarioLiquidoChart(results), 0);
 
-    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo do Salário Líquido</h3><p class="text-sm text-muted-foreground">Resumo detalhado do seu salário líquido mensal.</p></div><div class="p-6 pt-0 grid grid-cols-1 md:grid-cols-2 gap-8 items-center"><div class="space-y-1 md:col-span-1"><h4 class="text-lg font-semibold text-primary mt-4">Proventos (Ganhos)</h4><div class="flex justify-between result-row py-2"><span>Salário Base:</span> <span class="font-mono text-green-600">${formatCurrency(salarioBruto)}</span></div>${horasExtras > 0 ? `<div class="flex justify-between result-row py-2"><span>Horas Extras:</span> <span class="font-mono text-green-600">${formatCurrency(horasExtras)}</span></div>` : ''}${adicionalPericulosidade > 0 ? `<div class="flex justify-between result-row py-2"><span>Adicional de Periculosidade:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalPericulosidade)}</span></div>` : ''}${adicionalInsalubridade > 0 ? `<div class="flex justify-between result-row py-2"><span>Adicional de Insalubridade:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalInsalubridade)}</span></div>` : ''}${adicionalNoturno > 0 ? `<div class="flex justify-between result-row py-2"><span>Adicional Noturno:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalNoturno)}</span></div>` : ''}${salarioFamilia > 0 ? `<div class="flex justify-between result-row py-2"><span>Salário Família:</span> <span class="font-mono text-green-600">${formatCurrency(salarioFamilia)}</span></div>` : ''}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total Bruto:</span> <span class="font-mono text-green-600">${formatCurrency(totalProventos)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS: <button class="details-btn text-primary text-xs" data-details-for="inss-details-salario">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-salario" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-salario">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-salario" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div>${descontoVT > 0 ? `<div class="flex justify-between result-row py-2"><span>Vale-Transporte (6%):</span> <span class="font-mono text-red-600">-${formatCurrency(descontoVT)}</span></div>` : ''}${descontoVR > 0 ? `<div class="flex justify-between result-row py-2"><span>Vale-Refeição/Alimentação:</span> <span class="font-mono text-red-600">-${formatCurrency(descontoVR)}</span></div>` : ''}${descontoSaude > 0 ? `<div class="flex justify-between result-row py-2"><span>Plano de Saúde / Odontológico:</span> <span class="font-mono text-red-600">-${formatCurrency(descontoSaude)}</span></div>` : ''}${descontoAdiantamentos > 0 ? `<div class="flex justify-between result-row py-2"><span>Adiantamentos (Vale):</span> <span class="font-mono text-red-600">-${formatCurrency(descontoAdiantamentos)}</span></div>` : ''}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Descontos:</span> <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span></div></div><div class="md:col-span-1 flex flex-col items-center justify-center p-4"><div class="w-full max-w-[300px] mx-auto"><div id="salario-liquido-chart-container"></div></div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Salário Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(salarioLiquido)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo do Salário Líquido</h3><p class="text-sm text-muted-foreground">Resumo detalhado do seu salário líquido mensal.</p></div><div class="p-6 pt-0 grid grid-cols-1 md:grid-cols-2 gap-8 items-center"><div class="space-y-1 md:col-span-1"><h4 class="text-lg font-semibold text-primary mt-4">Proventos (Ganhos)</h4><div class="flex justify-between result-row py-2"><span>Salário Base:</span> <span class="font-mono text-green-600">${formatCurrency(salarioBruto)}</span></div>${createHorasExtrasLinesHTML(results)}${createComissoesLinesHTML(results)}${adicionalPericulosidade > 0 ? `<div class="flex justify-between result-row py-2"><span>Adicional de Periculosidade:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalPericulosidade)}</span></div>` : ''}${adicionalInsalubridade > 0 ? `<div class="flex justify-between result-row py-2"><span>Adicional de Insalubridade:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalInsalubridade)}</span></div>` : ''}${adicionalNoturno > 0 ? `<div class="flex justify-between result-row py-2"><span>${labelAdicionalNoturno(results.noturno)}:</span> <span class="font-mono text-green-600">${formatCurrency(adicionalNoturno)}</span></div>` : ''}${salarioFamilia > 0 ? `<div class="flex justify-between result-row py-2"><span>Salário Família:</span> <span class="font-mono text-green-600">${formatCurrency(salarioFamilia)}</span></div>` : ''}${createConvocacaoLinesHTML(convocacao, 'proventos')}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total Bruto:</span> <span class="font-mono text-green-600">${formatCurrency(totalProventos)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4><div class="flex justify-between result-row py-2"><span>INSS: <button class="details-btn text-primary text-xs" data-details-for="inss-details-salario">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoINSS.value)}</span></div><div id="inss-details-salario" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${inssDetailsHTML}</div><div class="flex justify-between result-row py-2"><span>IRRF: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-salario">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span></div><div id="irrf-details-salario" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${irrfDetailsHTML}</div>${createConvocacaoLinesHTML(convocacao, 'descontos')}${createPensaoLineHTML(descontoPensao)}${descontoVT > 0 ? `<div class="flex justify-between result-row py-2"><span>Vale-Transporte (6%):</span> <span class="font-mono text-red-600">-${formatCurrency(descontoVT)}</span></div>` : ''}${descontoVR > 0 ? `<div class="flex justify-between result-row py-2"><span>Vale-Refeição/Alimentação:</span> <span class="font-mono text-red-600">-${formatCurrency(descontoVR)}</span></div>` : ''}${descontoSaude > 0 ? `<div class="flex justify-between result-row py-2"><span>Plano de Saúde / Odontológico:</span> <span class="font-mono text-red-600">-${formatCurrency(descontoSaude)}</span></div>` : ''}${descontoAdiantamentos > 0 ? `<div class="flex justify-between result-row py-2"><span>Adiantamentos (Vale):</span> <span class="font-mono text-red-600">-${formatCurrency(descontoAdiantamentos)}</span></div>` : ''}${descontoFaltas && descontoFaltas.value > 0 ? `<div class="flex justify-between result-row py-2"><span>Faltas e Atrasos (${describeFaltas(descontoFaltas)}):</span> <span class="font-mono text-red-600">-${formatCurrency(descontoFaltas.value)}</span></div>` : ''}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Descontos:</span> <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span></div>${createObservacoesHTML(observacoes)}</div><div class="md:col-span-1 flex flex-col items-center justify-center p-4"><div class="w-full max-w-[300px] mx-auto"><div id="salario-liquido-chart-container"></div></div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Salário Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(salarioLiquido)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+function createRescisaoResultHTML(results) {
+    if (Object.keys(state.rescisao.errors).some(k => state.rescisao.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || !results.totalProventos) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido, verbasExcluidas = [], observacoes = [], saqueFgts = 0, direitoSeguroDesemprego = false, fgts = null, seguroDesemprego = null, pagamento = null, avisoPrevio = null } = results;
+    const descricaoAviso = describeAvisoPrevio(avisoPrevio);
+    const proventosHTML = Object.entries(proventos).map(([key, value]) => value > 0 ? `<div class="flex justify-between result-row py-2"><span>${key}:</span> <span class="font-mono text-green-600">${formatCurrency(value)}</span></div>` : '').join('');
+    const descontosHTML = Object.entries(descontos).map(([key, result], index) => {
+        if (!result || (result.hasOwnProperty('value') && result.value === 0)) return '';
+        const value = result.value || result;
+        // Each IRRF line has its own base, so it gets its own breakdown.
+        if (key.startsWith('IRRF') && result.details) {
+            return `<div class="flex justify-between result-row py-2"><span>${key}: <button class="details-btn text-primary text-xs" data-details-for="irrf-details-rescisao-${index}">(Ver Detalhes)</button></span><span class="font-mono text-red-600">-${formatCurrency(value)}</span></div><div id="irrf-details-rescisao-${index}" class="hidden text-xs space-y-1 pl-4 border-l-2 py-2 my-2 bg-gray-50">${createIRRFDetailsHTML(result.details)}</div>`;
+        }
+        return `<div class="flex justify-between result-row py-2"><span>${key}:</span> <span class="font-mono text-red-600">-${formatCurrency(value)}</span></div>`;
+    }).join('');
+    const fgtsRows = buildFgtsRows(fgts);
+    const fgtsHTML = fgtsRows.length > 0 ? `<h4 class="text-lg font-semibold text-primary mt-4">FGTS da Rescisão</h4>${fgtsRows.map(({ label, value, total }) => `<div class="flex justify-between${total ? ' font-semibold border-t pt-2 mt-2' : ''} result-row py-2"><span>${label}:</span> <span class="font-mono">${value}</span></div>`).join('')}` : '';
+    // A late payment is flagged next to the totals, as it owes the Art. 477 fine.
+    const pagamentoHTML = pagamento ? `<div class="flex justify-between result-row py-2${pagamento.atrasado ? ' text-red-600 font-semibold' : ''}"><span>Prazo de Pagamento:</span> <span class="font-mono">${describePagamento(pagamento)}</span></div>` : '';
+    const informacoesHTML = `${pagamentoHTML}${fgtsHTML}<h4 class="text-lg font-semibold text-primary mt-4">FGTS e Seguro-Desemprego</h4><div class="flex justify-between result-row py-2"><span>Saque do FGTS:</span> <span class="font-mono">${saqueFgts > 0 ? formatCurrency(saqueFgts) : 'Não permitido'}</span></div><div class="flex justify-between result-row py-2"><span>Seguro-Desemprego:</span> <span class="font-mono">${direitoSeguroDesemprego ? 'Sim, se cumpridos os requisitos' : 'Não'}</span></div>${seguroDesemprego ? '<div class="py-2"><button type="button" class="js-simular-seguro-desemprego text-primary text-sm font-medium hover:underline">Calcular as parcelas do Seguro-Desemprego</button></div>' : ''}${observacoes.map(texto => `<p class="text-xs text-muted-foreground py-1">${texto}</p>`).join('')}`;
+    const verbasExcluidasHTML = verbasExcluidas.length > 0 ? `<h4 class="text-lg font-semibold text-muted-foreground mt-4">Verbas Não Devidas</h4>${verbasExcluidas.map(({ verba, justificativa }) => `<div class="result-row py-2"><span class="font-medium">${verba}</span><p class="text-xs text-muted-foreground">${justificativa}</p></div>`).join('')}` : '';
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo de Rescisão</h3><p class="text-sm text-muted-foreground">Resumo das suas verbas rescisórias.</p></div><div class="p-6 pt-0"><div class="space-y-1"><h4 class="text-lg font-semibold text-primary mt-4">Verbas Rescisórias (Ganhos)</h4>${descricaoAviso ? `<div class="flex justify-between result-row py-2 text-muted-foreground"><span>Aviso Prévio:</span> <span>${descricaoAviso}</span></div>` : ''}${proventosHTML}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Proventos:</span> <span class="font-mono text-green-600">${formatCurrency(totalProventos)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4>${descontosHTML}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Descontos:</span> <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span></div>${informacoesHTML}${verbasExcluidasHTML}</div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorLiquido)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+
+// --- Seguro-Desemprego ---
+
+const SALARIOS_SEGURO_LABELS = ['Último salário', 'Penúltimo salário', 'Antepenúltimo salário'];
+
+/**
+ * Explains how the seguro-desemprego installment was reached from the average salary.
+ * @param {object} results - The result of calculateSeguroDesemprego.
+ * @returns {string} - The description of the table tier and of the floor or ceiling applied.
+ */
+function describeParcelaSeguro({ contrato, faixa, valorCalculado, piso, tabelas }) {
+    if (contrato.tipo === 'domestico') {
+        return `Empregado doméstico: parcela de um salário mínimo (${formatCurrency(piso)}), em até 3 parcelas, qualquer que seja o salário médio (Art. 26 da LC nº 150/2015)`;
+    }
+    const tiers = tabelas.seguroDesemprego.tiers;
+    let descricao;
+    if (faixa === null) {
+        descricao = `Salário médio acima de ${formatCurrency(tiers[tiers.length - 1].limit)}: valor do teto`;
+    } else {
+        const { limit, rate, parcelaFixa } = tiers[faixa - 1];
+        const percentual = `${Math.round(rate * 100)}%`;
+        descricao = faixa === 1
+            ? `Salário médio até ${formatCurrency(limit)}: ${percentual} do salário médio`
+            : `Salário médio até ${formatCurrency(limit)}: ${formatCurrency(parcelaFixa)} + ${percentual} do que exceder ${formatCurrency(tiers[faixa - 2].limit)}`;
+    }
+    if (valorCalculado < piso) descricao += `, elevado ao salário mínimo (${formatCurrency(piso)})`;
+    return descricao;
+}
+
+function createSeguroDesempregoResultHTML(results) {
+    if (Object.keys(state.seguroDesemprego.errors).some(k => state.seguroDesemprego.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || !results.salarioMedio) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { salarios, salarioMedio, solicitacao, carencia, mesesTrabalhados, elegivel, motivoInelegibilidade, parcelas, valorParcela, valorTotal } = results;
+    const requisitosHTML = `<div class="flex justify-between result-row py-2"><span>Solicitação:</span> <span class="font-mono">${solicitacao}ª</span></div><div class="flex justify-between result-row py-2"><span>Meses trabalhados:</span> <span class="font-mono">${mesesTrabalhados} (mínimo de ${carencia})</span></div>`;
+    const beneficioHTML = elegivel
+        ? `<h4 class="text-lg font-semibold text-primary mt-4">Benefício</h4><div class="flex justify-between result-row py-2"><span>Número de parcelas:</span> <span class="font-mono">${parcelas}</span></div><div class="flex justify-between result-row py-2"><span>Valor de cada parcela:</span> <span class="font-mono text-green-600">${formatCurrency(valorParcela)}</span></div><p class="text-xs text-muted-foreground py-1">${describeParcelaSeguro(results)}.</p>`
+        : `<p class="text-sm text-red-600 font-medium py-2">Sem direito ao benefício. ${motivoInelegibilidade}</p>`;
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Seguro-Desemprego</h3><p class="text-sm text-muted-foreground">Requisitos, parcelas e valor do benefício.</p></div><div class="p-6 pt-0"><div class="space-y-1"><div class="flex justify-between result-row py-2"><span>Salário médio (${salarios.length} ${salarios.length === 1 ? 'mês' : 'meses'}):</span> <span class="font-mono">${formatCurrency(salarioMedio)}</span></div><h4 class="text-lg font-semibold text-primary mt-4">Requisitos</h4>${requisitosHTML}${beneficioHTML}</div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total do Benefício:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorTotal)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+
+// --- Cartão de Ponto ---
+
+const DIAS_SEMANA = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+const CAMPOS_PONTO = [
+    ['entrada', 'Entrada'],
+    ['intervaloInicio', 'Saída almoço'],
+    ['intervaloFim', 'Retorno almoço'],
+    ['saida', 'Saída']
+];
+
+/**
+ * Formats a duration as hours and minutes, e.g. 8h05.
+ * @param {number} horas - The duration in hours.
+ * @returns {string} - The formatted duration.
+ */
+function formatHoras(horas) {
+    const minutos = Math.round(horas * 60);
+    return `${Math.floor(minutos / 60)}h${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describes what a timesheet day produced: an absence, overtime, lateness or a rest day.
+ * @param {object} linha - A day returned by calculateCartaoPonto.
+ * @returns {string} - The situation of the day, empty for a regular one.
+ */
+function describeDiaPonto({ tipo, feriado, abonado, minutosTrabalhados, minutosExtras, percentualExtra, minutosNoturnos, minutosAtraso, falta, tolerancia }) {
+    const partes = [];
+    if (falta) partes.push('Falta');
+    if (abonado && minutosTrabalhados === 0) partes.push('Abonado');
+    if (minutosTrabalhados === 0 && tipo !== 'util') partes.push(feriado ? 'Feriado' : tipo === 'sabado' ? 'Sábado' : 'Descanso');
+    if (minutosExtras > 0) partes.push(`Extra ${formatHoras(minutosExtras / 60)} (${percentualExtra}%)`);
+    if (minutosAtraso > 0) partes.push(`Atraso ${formatHoras(minutosAtraso / 60)}`);
+    if (minutosNoturnos > 0) partes.push(`Noturno ${formatHoras(minutosNoturnos / 60)}`);
+    if (tolerancia) partes.push('Dentro da tolerância');
+    return partes.join(' · ');
+}
+
+/**
+ * Summarizes the absences, lost DSR and lateness discounted from the salary, e.g. "2 faltas, 1 DSR, 1h30 de atraso".
+ * @param {object} descontoFaltas - The descontoFaltas returned by calculateSalarioLiquido.
+ * @returns {string} - The summary.
+ */
+function describeFaltas({ faltas, dsrDescontados, horasAtraso }) {
+    const partes = [];
+    if (faltas > 0) partes.push(`${faltas} ${faltas === 1 ? 'falta' : 'faltas'}`);
+    if (dsrDescontados > 0) partes.push(`${dsrDescontados} DSR`);
+    if (horasAtraso > 0) partes.push(`${formatHoras(horasAtraso)} de atraso`);
+    return partes.join(', ');
+}
+
+/**
+ * Lists the month totals of the timesheet as label and value pairs.
+ * @param {object} totais - The totals returned by calculateCartaoPonto.
+ * @returns {Array<[string, string]>} - The rows shown in the result, the modal and the report.
+ */
+function listTotaisPonto(totais) {
+    return [
+        ['Dias trabalhados', String(totais.diasTrabalhados)],
+        ['Horas normais', formatHoras(totais.horasNormais)],
+        ['Horas extras a 50%', formatHoras(totais.horasExtras50)],
+        ['Horas extras a 100%', formatHoras(totais.horasExtras100)],
+        ['Horas noturnas (relógio)', formatHoras(totais.horasNoturnas)],
+        ['Faltas injustificadas', `${totais.faltas} ${totais.faltas === 1 ? 'dia' : 'dias'}`],
+        ['DSR perdidos', String(totais.dsrDescontados)],
+        ['Atrasos e saídas antecipadas', formatHoras(totais.horasAtraso)]
+    ];
+}
+
+function createCartaoPontoResultHTML(results) {
+    if (Object.keys(state.cartaoPonto.errors).some(k => state.cartaoPonto.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || results.dias.length === 0) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { jornada, totais } = results;
+    const totaisHTML = listTotaisPonto(totais).map(([label, valor]) => `<div class="flex justify-between result-row py-2"><span>${label}:</span> <span class="font-mono">${valor}</span></div>`).join('');
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cartão de Ponto</h3><p class="text-sm text-muted-foreground">Totais do mês com jornada diária de ${formatHoras(jornada / 60)}.</p></div><div class="p-6 pt-0"><div class="space-y-1">${totaisHTML}<p class="text-xs text-muted-foreground py-2">As horas extras, as horas noturnas, as faltas e os atrasos são levados automaticamente ao cálculo do Salário Líquido.</p><div class="py-2"><button type="button" class="js-ver-salario-liquido text-primary text-sm font-medium hover:underline">Ver o Salário Líquido com estes totais</button></div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total de Horas Extras:</span><span class="font-mono text-green-600 total-liquido-valor">${formatHoras(totais.horasExtras50 + totais.horasExtras100)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+
+// --- Custo do Funcionário ---
+
+const NOTA_CUSTO_ANUAL = 'O custo anual considera 11 meses de remuneração, pois o salário do mês de férias é pago pela provisão de férias, além de 12 meses de provisões.';
+
+/**
+ * Formats a contribution rate as a percentage, e.g. 0.058 as 5,8%.
+ * @param {number} aliquota - The rate as a fraction.
+ * @returns {string} - The formatted percentage.
+ */
+function formatAliquota(aliquota) {
+    return `${(aliquota * 100).toLocaleString('pt-BR', { maximumFractionDigits: 4 })}%`;
+}
+
+/**
+ * Groups the employer cost lines in the sections shown in the result, the modal and the report.
+ * @param {object} results - The result of calculateCustoEmpregador.
+ * @returns {Array<{titulo: string, linhas: Array<[string, number]>, total: number}>} - The sections with lines.
+ */
+function listSecoesCustoEmpregador({ proventos, remuneracao, encargos, provisoes, beneficios, totalEncargos, totalProvisoes, totalBeneficios }) {
+    return [
+        { titulo: 'Remuneração', linhas: proventos.map(({ rubrica, value }) => [rubrica, value]), total: remuneracao },
+        { titulo: 'Encargos sobre a Remuneração', linhas: encargos.map(({ rubrica, aliquota, value }) => [`${rubrica} (${formatAliquota(aliquota)})`, value]), total: totalEncargos },
+        { titulo: 'Provisões Mensais', linhas: provisoes.map(({ rubrica, value }) => [rubrica, value]), total: totalProvisoes },
+        { titulo: 'Benefícios', linhas: beneficios.map(({ rubrica, value }) => [rubrica, value]), total: totalBeneficios }
+    ].filter(secao => secao.linhas.length > 0);
+}
+
+function renderCustoEmpregadorChart(results) {
+    const chartContainer = document.getElementById('custo-empregador-chart-container');
+    if (!chartContainer) return;
+
+    const { custoMensal } = results;
+    const cores = ['#2563eb', '#dc2626', '#7c3aed', '#f59e0b'];
+    const segments = listSecoesCustoEmpregador(results)
+        .map(({ titulo, linhas, total }, index) => ({
+            label: titulo,
+            value: total,
+            percentage: (total / custoMensal) * 100,
+            color: cores[index],
+            details: linhas.map(([label, valor]) => `${label}: ${formatCurrency(valor)}`).join('<br>')
+        }))
+        .filter(segment => segment.value > 0);
+
+    chartContainer.innerHTML = generateSVGChart(segments);
+    addChartTooltipListeners(chartContainer, segments);
+}
+
+function createCustoEmpregadorResultHTML(results) {
+    if (Object.keys(state.custoEmpregador.errors).some(k => state.custoEmpregador.errors[k])) {
+        return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
+    }
+    if (!results || !results.remuneracao) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { regime, remuneracao, custoMensal, custoAnual } = results;
+    const secoesHTML = listSecoesCustoEmpregador(results).map(({ titulo, linhas, total }) => `<h4 class="text-lg font-semibold text-primary mt-4">${titulo}</h4>${linhas.map(([label, valor]) => `<div class="flex justify-between result-row py-2"><span>${label}:</span> <span class="font-mono">${formatCurrency(valor)}</span></div>`).join('')}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total:</span> <span class="font-mono">${formatCurrency(total)}</span></div>`).join('');
+
+    // setTimeout to ensure the container is in the DOM before rendering the chart
+    setTimeout(() => renderCustoEmpregadorChart(results), 0);
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Custo do Funcionário</h3><p class="text-sm text-muted-foreground">Custo mensal e anual para o empregador no regime ${regime.descricao}.</p></div><div class="p-6 pt-0 grid grid-cols-1 md:grid-cols-2 gap-8 items-center"><div class="space-y-1 md:col-span-1">${secoesHTML}</div><div class="md:col-span-1 flex flex-col items-center justify-center p-4"><div class="w-full max-w-[300px] mx-auto"><div id="custo-empregador-chart-container"></div></div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Custo Mensal:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(custoMensal)}</span></div><div class="w-full flex justify-between items-center"><span>Custo Anual:</span><span class="font-mono">${formatCurrency(custoAnual)}</span></div><p class="w-full text-xs text-muted-foreground">${NOTA_CUSTO_ANUAL} O custo mensal equivale a ${((custoMensal / remuneracao) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}% da remuneração.</p><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+}
+
+const NOTA_CLT_PJ = 'O PJ não tem férias remuneradas, 13º salário nem FGTS, por isso o pacote CLT é comparado com 12 faturas. Os lucros distribuídos ao sócio são isentos de imposto de renda.';
+
+/**
+ * Describes the pro-labore of a PJ result and, in the Simples Nacional, the Fator R it gives.
+ * @param {object} pj - A PJ result of calculateCltPj.
+ * @returns {string} - The description, with a warning when the revenue passes the limit of the regime.
+ */
+function describeProLabore({ proLabore, fatorR, limiteExcedido }) {
+    const fator = fatorR !== null ? `, Fator R de ${formatAliquota(fatorR)}` : '';
+    const limite = limiteExcedido ? ' O faturamento anual passa do limite do regime.' : '';
+    return `Pró-labore de ${formatCurrency(proLabore)}${fator}.${limite}`;
+}
+
+/**
+ * Groups the CLT package and the PJ invoices in the sections shown in the result, the modal and the report.
+ * Taxes and withholdings are negative lines under the invoice, so each PJ section totals its net income.
+ * @param {object} results - The result of calculateCltPj.
+ * @returns {Array<{titulo: string, linhas: Array<[string, number]>, rotuloTotal: string, total: number, nota: string|null}>} - The sections with lines.
+ */
+function listSecoesCltPj({ clt, pjEquivalente, pjProposta }) {
+    const secaoPj = (titulo, pj) => ({
+        titulo: `${titulo} – ${pj.descricao}`,
+        linhas: [
+            ['Faturamento mensal', pj.faturamento],
+            ...[...pj.tributos, ...pj.retencoes]
+                .filter(({ value }) => value > 0)
+                .map(({ rubrica, aliquota, value }) => [aliquota ? `${rubrica} (${formatAliquota(aliquota)})` : rubrica, -value]),
+            ...(pj.custos > 0 ? [['Custos da empresa', -pj.custos]] : [])
+        ],
+        rotuloTotal: 'Líquido mensal',
+        total: pj.liquidoMensal,
+        nota: describeProLabore(pj)
+    });
+    return [
+        { titulo: 'Pacote CLT Anual', linhas: clt.componentes.map(({ rubrica, value }) => [rubrica, value]), rotuloTotal: 'Total anual', total: clt.pacoteAnual, nota: null },
+        pjEquivalente && secaoPj('PJ Equivalente', pjEquivalente),
+        pjProposta && secaoPj('Proposta PJ', pjProposta)
+    ].filter(Boolean);
 }
 
-function createRescisaoResultHTML(results) {
-    if (Object.keys(state.rescisao.errors).some(k => state.rescisao.errors[k])) {
+function createCltPjResultHTML(results) {
+    if (Object.keys(state.cltPj.errors).some(k => state.cltPj.errors[k])) {
         return '<p class="text-center text-red-500 font-semibold">Por favor, corrija os campos destacados acima para ver o seu cálculo.</p>';
     }
-    if (!results || !results.totalProventos) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
-
-    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido } = results;
-    const proventosHTML = Object.entries(proventos).map(([key, value]) => value > 0 ? `<div class="flex justify-between result-row py-2"><span>${key}:</span> <span class="font-mono text-green-600">${formatCurrency(value)}</span></div>` : '').join('');
-    const descontosHTML = Object.entries(descontos).map(([key, result]) => {
-        if (!result || (result.hasOwnProperty('value') && result.value === 0)) return '';
-        const value = result.value || result;
-        return `<div class="flex justify-between result-row py-2"><span>${key}:</span> <span class="font-mono text-red-600">-${formatCurrency(value)}</span></div>`;
-    }).join('');
-
-    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado do Cálculo de Rescisão</h3><p class="text-sm text-muted-foreground">Resumo das suas verbas rescisórias.</p></div><div class="p-6 pt-0"><div class="space-y-1"><h4 class="text-lg font-semibold text-primary mt-4">Verbas Rescisórias (Ganhos)</h4>${proventosHTML}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Proventos:</span> <span class="font-mono text-green-600">${formatCurrency(totalProventos)}</span></div><h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4>${descontosHTML}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>Total de Descontos:</span> <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span></div></div></div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Total Líquido a Receber:</span><span class="font-mono text-green-600 total-liquido-valor">${formatCurrency(valorLiquido)}</span></div><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
+    if (!results || !results.clt) return '<p class="text-center text-muted-foreground">Preencha os campos para calcular.</p>';
+
+    const { clt, faturamentoEquivalente, pjProposta, diferencaAnual } = results;
+    const secoesHTML = listSecoesCltPj(results).map(({ titulo, linhas, rotuloTotal, total, nota }) => `<h4 class="text-lg font-semibold text-primary mt-4">${titulo}</h4>${linhas.map(([label, valor]) => `<div class="flex justify-between result-row py-2"><span>${label}:</span> <span class="font-mono">${formatCurrency(valor)}</span></div>`).join('')}<div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2"><span>${rotuloTotal}:</span> <span class="font-mono">${formatCurrency(total)}</span></div>${nota ? `<p class="text-xs text-muted-foreground">${nota}</p>` : ''}`).join('');
+    const equivalenteHTML = faturamentoEquivalente !== null
+        ? `${formatCurrency(faturamentoEquivalente)}/mês`
+        : 'Acima do limite do regime';
+    const propostaHTML = pjProposta
+        ? `<div class="w-full flex justify-between items-center"><span>Diferença anual da proposta PJ:</span><span class="font-mono ${diferencaAnual >= 0 ? 'text-green-600' : 'text-red-600'}">${formatCurrency(diferencaAnual)}</span></div>`
+        : '';
+
+    return `<div class="rounded-lg border bg-card text-card-foreground shadow-sm mt-6 animate-fade-in"><div class="flex flex-col space-y-1.5 p-6"><h3 class="text-2xl font-semibold leading-none tracking-tight">Resultado da Comparação CLT × PJ</h3><p class="text-sm text-muted-foreground">Pacote anual líquido da CLT e o faturamento PJ mensal que o iguala.</p></div><div class="p-6 pt-0 space-y-1">${secoesHTML}</div><div class="flex items-center p-6 pt-0 flex-col gap-4"><div class="w-full border-t border-border pt-4 flex justify-between items-center"><span class="total-liquido-label">Faturamento PJ Equivalente:</span><span class="font-mono text-green-600 total-liquido-valor">${equivalenteHTML}</span></div><div class="w-full flex justify-between items-center"><span>Pacote CLT por mês (÷ 12):</span><span class="font-mono">${formatCurrency(clt.pacoteMensal)}</span></div>${propostaHTML}<p class="w-full text-xs text-muted-foreground">${NOTA_CLT_PJ}</p><div class="flex gap-3 w-full"><button class="js-show-memory-modal inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 h-10 px-4 py-2 flex-1">Ver Memória de Cálculo</button><button class="js-print-result inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 h-10 px-4 py-2 flex-1">Imprimir</button></div></div></div>`;
 }
 
 
@@ -1010,7 +2055,7 @@ function createRescisaoResultHTML(results) {
  * Centralized function to generate report HTML for any calculation type.
  * This function serves as the single source of truth for PDF/print report generation.
  * @param {Object} data - The calculation data object
- * @param {string} data.type - The type of calculation ('ferias', 'decimoTerceiro', 'salarioLiquido', 'rescisao')
+ * @param {string} data.type - The type of calculation ('ferias', 'decimoTerceiro', 'salarioLiquido', 'rescisao', 'seguroDesemprego', 'cartaoPonto', 'custoEmpregador', 'cltPj')
  * @param {Object} data.results - The calculation results
  * @param {Object} data.state - The current state/input data for the calculation
  * @returns {string} Complete HTML string ready for printing
@@ -1045,6 +2090,22 @@ export function generateReportHTML(data) {
             calculatorTitle = 'Cálculo de Rescisão';
             contentHTML = generateRescisaoReportContent(results, inputState);
             break;
+        case 'seguroDesemprego':
+            calculatorTitle = 'Cálculo do Seguro-Desemprego';
+            contentHTML = generateSeguroDesempregoReportContent(results, inputState);
+            break;
+        case 'cartaoPonto':
+            calculatorTitle = 'Cartão de Ponto';
+            contentHTML = generateCartaoPontoReportContent(results, inputState);
+            break;
+        case 'custoEmpregador':
+            calculatorTitle = 'Custo do Funcionário';
+            contentHTML = generateCustoEmpregadorReportContent(results, inputState);
+            break;
+        case 'cltPj':
+            calculatorTitle = 'Comparação CLT × PJ';
+            contentHTML = generateCltPjReportContent(results, inputState);
+            break;
         default:
             return '<p>Erro: Tipo de cálculo não reconhecido.</p>';
     }
@@ -1066,16 +2127,38 @@ export function generateReportHTML(data) {
             </div>
             <div class="p-6 pt-0">
                 ${contentHTML}
+                ${generateTaxTablesReportContent(results.tabelas)}
             </div>
         </div>
     `;
 }
 
+/**
+ * Describes the table versions used in a calculation, for the printed report.
+ * @param {object} tabelas - The table versions returned by the calculation.
+ * @returns {string} - The HTML block, or an empty string when no tables were returned.
+ */
+function generateTaxTablesReportContent(tabelas) {
+    if (!tabelas) return '';
+    const { inss, irrf, salarioMinimo, salarioFamilia, referencia } = tabelas;
+    const desde = entry => formatDate(entry.validFrom);
+    // The reference is either a competência (YYYY-MM) or a full date
+    const referenciaFormatada = referencia && referencia.length === 7 ? referencia.split('-').reverse().join('/') : formatDate(referencia);
+    return `
+        <div class="mt-6 pt-4 border-t border-border text-xs text-gray-600 space-y-1">
+            <p class="font-semibold">Tabelas utilizadas ${referencia ? `(referência ${referenciaFormatada})` : '(vigentes mais recentes)'}:</p>
+            <p>INSS: tabela vigente desde ${desde(inss)}${inss.progressive ? '' : ' (alíquota única)'}</p>
+            <p>IRRF: tabela vigente desde ${desde(irrf)}</p>
+            <p>Salário mínimo: ${formatCurrency(salarioMinimo.value)} (desde ${desde(salarioMinimo)})</p>
+            <p>Salário-família: ${formatCurrency(salarioFamilia.value)} por filho até ${formatCurrency(salarioFamilia.limit)} (desde ${desde(salarioFamilia)})</p>
+        </div>`;
+}
+
 /**
  * Generates the content HTML for Ferias calculation report
  */
 function generateFeriasReportContent(results, inputState) {
-    const { valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, valorLiquido, venderFerias, adiantarDecimo, diasFerias } = results;
+    const { valorFerias, tercoConstitucional, valorAbono, tercoAbono, adiantamento13, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquido, venderFerias, adiantarDecimo, diasFerias, contrato, observacoes } = results;
     
     let html = `
         <div class="space-y-1">
@@ -1083,11 +2166,15 @@ function generateFeriasReportContent(results, inputState) {
             <div class="flex justify-between result-row py-2">
                 <span>Valor das Férias (${venderFerias ? (diasFerias - (diasFerias/3)) : diasFerias} dias):</span>
                 <span class="font-mono text-green-600">${formatCurrency(valorFerias)}</span>
-            </div>
+            </div>`;
+
+    if (contrato.empregado) {
+        html += `
             <div class="flex justify-between result-row py-2">
                 <span>1/3 Constitucional sobre Férias:</span>
                 <span class="font-mono text-green-600">${formatCurrency(tercoConstitucional)}</span>
             </div>`;
+    }
     
     if (venderFerias && valorAbono > 0) {
         html += `
@@ -1118,7 +2205,7 @@ function generateFeriasReportContent(results, inputState) {
             <div class="flex justify-between result-row py-2">
                 <span>IRRF sobre Férias:</span>
                 <span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-            </div>
+            </div>${createPensaoLineHTML(descontoPensao)}${createObservacoesHTML(observacoes)}
         </div>
         
         <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
@@ -1133,7 +2220,7 @@ function generateFeriasReportContent(results, inputState) {
  * Generates the content HTML for Decimo Terceiro calculation report
  */
 function generateDecimoTerceiroReportContent(results, inputState) {
-    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber } = results;
+    const { baseDeCalculo, mesesTrabalhados, valorBrutoDecimo, descontoINSS, descontoIRRF, descontoPensao = null, valorLiquidoDecimo, adiantamentoRecebido, valorAReceber, observacoes } = results;
     
     let html = `
         <div class="space-y-1">
@@ -1148,7 +2235,7 @@ function generateDecimoTerceiroReportContent(results, inputState) {
             <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
                 <span>13º Salário Bruto:</span>
                 <span class="font-mono">${formatCurrency(valorBrutoDecimo)}</span>
-            </div>
+            </div>${createObservacoesHTML(observacoes)}
             
             <h4 class="text-lg font-semibold text-red-600 mt-4">Descontos</h4>
             <div class="flex justify-between result-row py-2">
@@ -1158,7 +2245,7 @@ function generateDecimoTerceiroReportContent(results, inputState) {
             <div class="flex justify-between result-row py-2">
                 <span>IRRF:</span>
                 <span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-            </div>
+            </div>${createPensaoLineHTML(descontoPensao)}
             
             <h4 class="text-lg font-semibold text-primary mt-4">Valores Finais</h4>
             <div class="flex justify-between result-row py-2">
@@ -1189,7 +2276,7 @@ function generateDecimoTerceiroReportContent(results, inputState) {
  * Generates the content HTML for Salario Liquido calculation report
  */
 function generateSalarioLiquidoReportContent(results, inputState) {
-    const { salarioBruto, horasExtras, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, salarioFamilia, descontoINSS, descontoIRRF, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, totalProventos, totalDescontos, salarioLiquido } = results;
+    const { salarioBruto, adicionalPericulosidade, adicionalInsalubridade, adicionalNoturno, salarioFamilia, descontoINSS, descontoIRRF, descontoPensao = null, descontoVT, descontoVR, descontoSaude, descontoAdiantamentos, descontoFaltas = null, convocacao, totalProventos, totalDescontos, salarioLiquido, fgts, observacoes } = results;
     
     let html = `
         <div class="space-y-1">
@@ -1199,13 +2286,8 @@ function generateSalarioLiquidoReportContent(results, inputState) {
                 <span class="font-mono text-green-600">${formatCurrency(salarioBruto)}</span>
             </div>`;
     
-    if (horasExtras > 0) {
-        html += `
-            <div class="flex justify-between result-row py-2">
-                <span>Horas Extras:</span>
-                <span class="font-mono text-green-600">${formatCurrency(horasExtras)}</span>
-            </div>`;
-    }
+    html += createHorasExtrasLinesHTML(results);
+    html += createComissoesLinesHTML(results);
     
     if (adicionalPericulosidade > 0) {
         html += `
@@ -1226,7 +2308,7 @@ function generateSalarioLiquidoReportContent(results, inputState) {
     if (adicionalNoturno > 0) {
         html += `
             <div class="flex justify-between result-row py-2">
-                <span>Adicional Noturno:</span>
+                <span>${labelAdicionalNoturno(results.noturno)}:</span>
                 <span class="font-mono text-green-600">${formatCurrency(adicionalNoturno)}</span>
             </div>`;
     }
@@ -1238,6 +2320,7 @@ function generateSalarioLiquidoReportContent(results, inputState) {
                 <span class="font-mono text-green-600">${formatCurrency(salarioFamilia)}</span>
             </div>`;
     }
+    html += createConvocacaoLinesHTML(convocacao, 'proventos');
     
     html += `
             <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
@@ -1253,7 +2336,7 @@ function generateSalarioLiquidoReportContent(results, inputState) {
             <div class="flex justify-between result-row py-2">
                 <span>IRRF:</span>
                 <span class="font-mono text-red-600">-${formatCurrency(descontoIRRF.value)}</span>
-            </div>`;
+            </div>${createConvocacaoLinesHTML(convocacao, 'descontos')}${createPensaoLineHTML(descontoPensao)}`;
     
     if (descontoVT > 0) {
         html += `
@@ -1286,12 +2369,24 @@ function generateSalarioLiquidoReportContent(results, inputState) {
                 <span class="font-mono text-red-600">-${formatCurrency(descontoAdiantamentos)}</span>
             </div>`;
     }
+
+    if (descontoFaltas && descontoFaltas.value > 0) {
+        html += `
+            <div class="flex justify-between result-row py-2">
+                <span>Faltas e Atrasos (${describeFaltas(descontoFaltas)}):</span>
+                <span class="font-mono text-red-600">-${formatCurrency(descontoFaltas.value)}</span>
+            </div>`;
+    }
     
     html += `
             <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
                 <span>Total de Descontos:</span>
                 <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span>
-            </div>
+            </div>${fgts.value > 0 ? `
+            <div class="flex justify-between result-row py-2">
+                <span>FGTS do Mês (${formatAliquota(fgts.aliquota)}, depositado pelo empregador):</span>
+                <span class="font-mono">${formatCurrency(fgts.value)}</span>
+            </div>` : ''}${createObservacoesHTML(observacoes)}
         </div>
         
         <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
@@ -1306,12 +2401,37 @@ function generateSalarioLiquidoReportContent(results, inputState) {
  * Generates the content HTML for Rescisao calculation report
  */
 function generateRescisaoReportContent(results, inputState) {
-    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido } = results;
+    const { proventos, descontos, totalProventos, totalDescontos, valorLiquido, verbasExcluidas = [], observacoes = [], saqueFgts = 0, direitoSeguroDesemprego = false, avisoPrevio = null, estabilidade = null, pagamento = null, avos = null, periodosAquisitivos = [], fgts = null } = results;
+    const descricaoAviso = describeAvisoPrevio(avisoPrevio);
+    const descricaoEstabilidade = describeEstabilidade(estabilidade);
+    const descricaoPagamento = describePagamento(pagamento);
     
     let html = `
         <div class="space-y-1">
             <h4 class="text-lg font-semibold text-primary mt-4">Verbas Rescisórias (Ganhos)</h4>`;
     
+    if (descricaoAviso) {
+        html += `
+            <div class="flex justify-between result-row py-2">
+                <span>Aviso Prévio:</span>
+                <span>${descricaoAviso}</span>
+            </div>`;
+    }
+    if (descricaoEstabilidade) {
+        html += `
+            <div class="flex justify-between result-row py-2">
+                <span>Estabilidade Indenizada:</span>
+                <span>${descricaoEstabilidade}</span>
+            </div>`;
+    }
+    if (descricaoPagamento) {
+        html += `
+            <div class="flex justify-between result-row py-2">
+                <span>Prazo de Pagamento:</span>
+                <span>${descricaoPagamento}</span>
+            </div>`;
+    }
+    
     // Add provento items
     Object.entries(proventos).forEach(([key, value]) => {
         if (value > 0) {
@@ -1348,6 +2468,66 @@ function generateRescisaoReportContent(results, inputState) {
                 <span>Total de Descontos:</span>
                 <span class="font-mono text-red-600">-${formatCurrency(totalDescontos)}</span>
             </div>
+            
+            ${fgts ? `<h4 class="text-lg font-semibold text-primary mt-4">FGTS da Rescisão</h4>` : ''}${buildFgtsRows(fgts).map(({ label, value, total }) => `
+            <div class="flex justify-between${total ? ' font-semibold border-t pt-2 mt-2' : ''} result-row py-2">
+                <span>${label}:</span>
+                <span class="font-mono">${value}</span>
+            </div>`).join('')}
+            
+            <h4 class="text-lg font-semibold text-primary mt-4">FGTS e Seguro-Desemprego</h4>
+            <div class="flex justify-between result-row py-2">
+                <span>Saque do FGTS:</span>
+                <span class="font-mono">${saqueFgts > 0 ? formatCurrency(saqueFgts) : 'Não permitido'}</span>
+            </div>
+            <div class="flex justify-between result-row py-2">
+                <span>Seguro-Desemprego:</span>
+                <span class="font-mono">${direitoSeguroDesemprego ? 'Sim, se cumpridos os requisitos' : 'Não'}</span>
+            </div>`;
+    
+    observacoes.forEach(texto => {
+        html += `
+            <p class="text-xs text-gray-600 py-1">${texto}</p>`;
+    });
+    
+    if (periodosAquisitivos.length > 0) {
+        html += `
+            <h4 class="text-lg font-semibold text-primary mt-4">Férias Vencidas por Período Aquisitivo</h4>`;
+        periodosAquisitivos.forEach(periodo => {
+            html += `
+            <div class="flex justify-between result-row py-2">
+                <span>${describePeriodoAquisitivo(periodo)}:</span>
+                <span class="font-mono">${periodo.gozado ? 'Já gozado' : `${formatCurrency(periodo.valor)} + 1/3 ${formatCurrency(periodo.terco)}`}</span>
+            </div>`;
+        });
+    }
+    
+    const avosRows = buildAvosRows(avos);
+    if (avosRows.length > 0) {
+        html += `
+            <h4 class="text-lg font-semibold text-primary mt-4">Contagem de Avos (mínimo de 15 dias no mês)</h4>`;
+        avosRows.forEach(({ label, value, header }) => {
+            html += `
+            <div class="flex justify-between${header ? ' result-row py-2 font-semibold' : ' text-xs text-gray-600 pl-4'}">
+                <span>${label}:</span>
+                <span class="font-mono">${value}</span>
+            </div>`;
+        });
+    }
+    
+    if (verbasExcluidas.length > 0) {
+        html += `
+            <h4 class="text-lg font-semibold text-gray-600 mt-4">Verbas Não Devidas</h4>`;
+        verbasExcluidas.forEach(({ verba, justificativa }) => {
+            html += `
+            <div class="result-row py-2">
+                <span class="font-medium">${verba}</span>
+                <p class="text-xs text-gray-600">${justificativa}</p>
+            </div>`;
+        });
+    }
+    
+    html += `
         </div>
         
         <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
@@ -1360,6 +2540,154 @@ function generateRescisaoReportContent(results, inputState) {
 
 // --- MAIN RENDER FUNCTION ---
 
+/**
+ * Generates the content HTML for Seguro-Desemprego calculation report
+ */
+function generateCartaoPontoReportContent(results, inputState) {
+    const { jornada, dias, totais } = results;
+    const diasHTML = dias.filter(linha => describeDiaPonto(linha) && (linha.tipo === 'util' || linha.minutosTrabalhados > 0)).map(linha => `
+            <div class="flex justify-between result-row py-2">
+                <span>${formatDate(linha.data)} (${DIAS_SEMANA[linha.diaSemana]}): ${formatHoras(linha.minutosTrabalhados / 60)}</span>
+                <span class="font-mono">${describeDiaPonto(linha)}</span>
+            </div>`).join('');
+    const totaisHTML = listTotaisPonto(totais).map(([label, valor]) => `
+            <div class="flex justify-between result-row py-2">
+                <span>${label}:</span>
+                <span class="font-mono">${valor}</span>
+            </div>`).join('');
+
+    return `
+        <div class="space-y-1">
+            <h4 class="text-lg font-semibold text-primary mt-4">Jornada Contratual</h4>
+            <div class="flex justify-between result-row py-2">
+                <span>Horário:</span>
+                <span class="font-mono">${inputState.horarioEntrada} às ${inputState.horarioSaida}, ${inputState.intervaloMinutos} min de intervalo (${formatHoras(jornada / 60)} por dia)</span>
+            </div>
+
+            <h4 class="text-lg font-semibold text-primary mt-4">Dias do Mês</h4>${diasHTML}
+
+            <h4 class="text-lg font-semibold text-primary mt-4">Totais</h4>${totaisHTML}
+            <p class="text-xs text-muted-foreground py-1">Tolerância de 5 minutos por marcação, no máximo 10 por dia (Art. 58, §1º da CLT).</p>
+        </div>
+
+        <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
+            <span class="text-xl font-bold total-liquido-label">Total de Horas Extras:</span>
+            <span class="font-mono text-green-600 text-xl font-bold total-liquido-valor">${formatHoras(totais.horasExtras50 + totais.horasExtras100)}</span>
+        </div>`;
+}
+
+function generateSeguroDesempregoReportContent(results, inputState) {
+    const { salarioMedio, solicitacao, carencia, janela, mesesTrabalhados, elegivel, motivoInelegibilidade, parcelas, valorParcela, valorTotal, tabelas } = results;
+    const salariosHTML = [inputState.salario1, inputState.salario2, inputState.salario3]
+        .map((salario, index) => salario > 0 ? `
+            <div class="flex justify-between result-row py-2">
+                <span>${SALARIOS_SEGURO_LABELS[index]}:</span>
+                <span class="font-mono">${formatCurrency(salario)}</span>
+            </div>` : '').join('');
+
+    return `
+        <div class="space-y-1">
+            <h4 class="text-lg font-semibold text-primary mt-4">Salário Médio</h4>${salariosHTML}
+            <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
+                <span>Média dos salários:</span>
+                <span class="font-mono">${formatCurrency(salarioMedio)}</span>
+            </div>
+
+            <h4 class="text-lg font-semibold text-primary mt-4">Requisitos</h4>
+            <div class="flex justify-between result-row py-2">
+                <span>Solicitação:</span>
+                <span class="font-mono">${solicitacao}ª</span>
+            </div>
+            <div class="flex justify-between result-row py-2">
+                <span>Meses trabalhados:</span>
+                <span class="font-mono">${mesesTrabalhados} (mínimo de ${carencia} nos últimos ${janela})</span>
+            </div>
+            ${elegivel ? `
+            <h4 class="text-lg font-semibold text-primary mt-4">Benefício</h4>
+            <div class="flex justify-between result-row py-2">
+                <span>Número de parcelas:</span>
+                <span class="font-mono">${parcelas}</span>
+            </div>
+            <div class="flex justify-between result-row py-2">
+                <span>Valor de cada parcela:</span>
+                <span class="font-mono text-green-600">${formatCurrency(valorParcela)}</span>
+            </div>
+            <p class="text-xs text-muted-foreground py-1">${describeParcelaSeguro(results)}.</p>
+            <p class="text-xs text-muted-foreground py-1">Tabela do seguro-desemprego vigente desde ${formatDate(tabelas.seguroDesemprego.validFrom)}.</p>` : `
+            <p class="text-sm text-red-600 py-2">Sem direito ao benefício. ${motivoInelegibilidade}</p>`}
+        </div>
+
+        <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
+            <span class="text-xl font-bold total-liquido-label">Total do Benefício:</span>
+            <span class="font-mono text-green-600 text-xl font-bold total-liquido-valor">${formatCurrency(valorTotal)}</span>
+        </div>`;
+}
+
+function generateCustoEmpregadorReportContent(results, inputState) {
+    const { regime, custoMensal, custoAnual } = results;
+    const secoesHTML = listSecoesCustoEmpregador(results).map(({ titulo, linhas, total }) => `
+            <h4 class="text-lg font-semibold text-primary mt-4">${titulo}</h4>${linhas.map(([label, valor]) => `
+            <div class="flex justify-between result-row py-2">
+                <span>${label}:</span>
+                <span class="font-mono">${formatCurrency(valor)}</span>
+            </div>`).join('')}
+            <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
+                <span>Total:</span>
+                <span class="font-mono">${formatCurrency(total)}</span>
+            </div>`).join('');
+
+    return `
+        <div class="space-y-1">
+            <div class="flex justify-between result-row py-2">
+                <span>Regime tributário:</span>
+                <span class="font-mono">${regime.descricao}${regime.rat ? ` (RAT ${inputState.rat}% × FAP ${Number(inputState.fap).toLocaleString('pt-BR')})` : ''}</span>
+            </div>${secoesHTML}
+        </div>
+
+        <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
+            <span class="text-xl font-bold total-liquido-label">Custo Mensal:</span>
+            <span class="font-mono text-green-600 text-xl font-bold total-liquido-valor">${formatCurrency(custoMensal)}</span>
+        </div>
+        <div class="flex justify-between items-center result-row py-2">
+            <span>Custo Anual:</span>
+            <span class="font-mono">${formatCurrency(custoAnual)}</span>
+        </div>
+        <p class="text-xs text-muted-foreground py-1">${NOTA_CUSTO_ANUAL}</p>`;
+}
+
+function generateCltPjReportContent(results, inputState) {
+    const { faturamentoEquivalente, pjProposta, diferencaAnual } = results;
+    const secoesHTML = listSecoesCltPj(results).map(({ titulo, linhas, rotuloTotal, total, nota }) => `
+            <h4 class="text-lg font-semibold text-primary mt-4">${titulo}</h4>${linhas.map(([label, valor]) => `
+            <div class="flex justify-between result-row py-2">
+                <span>${label}:</span>
+                <span class="font-mono">${formatCurrency(valor)}</span>
+            </div>`).join('')}
+            <div class="flex justify-between font-semibold border-t pt-2 mt-2 result-row py-2">
+                <span>${rotuloTotal}:</span>
+                <span class="font-mono">${formatCurrency(total)}</span>
+            </div>${nota ? `
+            <p class="text-xs text-muted-foreground py-1">${nota}</p>` : ''}`).join('');
+
+    return `
+        <div class="space-y-1">
+            <div class="flex justify-between result-row py-2">
+                <span>Salário bruto CLT:</span>
+                <span class="font-mono">${formatCurrency(inputState.salarioBruto)}</span>
+            </div>${secoesHTML}
+        </div>
+
+        <div class="mt-4 pt-4 border-t border-border flex justify-between items-center">
+            <span class="text-xl font-bold total-liquido-label">Faturamento PJ Equivalente:</span>
+            <span class="font-mono text-green-600 text-xl font-bold total-liquido-valor">${faturamentoEquivalente !== null ? `${formatCurrency(faturamentoEquivalente)}/mês` : 'Acima do limite do regime'}</span>
+        </div>${pjProposta ? `
+        <div class="flex justify-between items-center result-row py-2">
+            <span>Diferença anual da proposta PJ:</span>
+            <span class="font-mono">${formatCurrency(diferencaAnual)}</span>
+        </div>` : ''}
+        <p class="text-xs text-muted-foreground py-1">${NOTA_CLT_PJ}</p>`;
+}
+
 function renderTabs() {
     const activeTab = state.activeTab;
     for (const tabName in tabTriggers) {
@@ -1379,6 +2707,99 @@ function renderTabs() {
     }
 }
 
+/**
+ * Shows the employee data only on the calculators whose rules depend on the contract type.
+ * @param {string} calculatorName - The active calculator, e.g. "rescisao".
+ */
+function renderFuncionarioUI(calculatorName) {
+    const container = document.getElementById('funcionario-container');
+    if (!container) return;
+
+    container.classList.toggle('hidden', !CALCULADORAS_COM_CONTRATO.includes(calculatorName));
+}
+
+const CAMPOS_HISTORICO = [
+    ['salario', 'Salário'],
+    ['horasExtras', 'Horas Extras'],
+    ['adicionalNoturno', 'Adicional Noturno'],
+    ['comissoes', 'Comissões'],
+    ['bonus', 'Bônus']
+];
+
+/**
+ * Builds the 12 months of the salary history that end on its last month and keeps their amounts in sync with the state.
+ */
+function renderHistoricoUI() {
+    const grid = document.getElementById('historico-grid');
+    if (!grid) return;
+
+    const { historicoFim, historico = {} } = state.funcionario;
+    if (!historicoFim) {
+        delete grid.dataset.fim;
+        grid.innerHTML = '<p class="text-xs text-muted-foreground">Informe o último mês do histórico para preencher a remuneração de cada mês.</p>';
+        return;
+    }
+    // Rebuilding the rows would drop the focus of the field being typed, so they are only regenerated for another period
+    if (grid.dataset.fim !== historicoFim) {
+        grid.dataset.fim = historicoFim;
+        const fim = new Date(historicoFim + '-01T00:00:00');
+        const meses = Array.from({ length: 12 }, (_, i) => {
+            const data = new Date(fim.getFullYear(), fim.getMonth() - 11 + i, 1);
+            return `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}`;
+        });
+        const cabecalho = ['Mês', ...CAMPOS_HISTORICO.map(([, label]) => label)].map(label => `<th class="py-2 pr-2 text-left font-medium">${label}</th>`).join('');
+        const linhas = meses.map(mes => `<tr class="border-b"><td class="py-1 pr-2 whitespace-nowrap">${mes.slice(5)}/${mes.slice(0, 4)}</td>${CAMPOS_HISTORICO.map(([campo, label]) => `<td class="py-1 pr-2"><input type="text" inputmode="decimal" class="js-historico money-mask h-8 w-28 rounded-md border border-input bg-background px-2 text-sm" data-historico-mes="${mes}" data-historico-campo="${campo}" aria-label="${label} em ${mes.slice(5)}/${mes.slice(0, 4)}"></td>`).join('')}</tr>`).join('');
+        grid.innerHTML = `<table class="w-full text-sm"><thead><tr class="border-b">${cabecalho}</tr></thead><tbody>${linhas}</tbody></table>`;
+    }
+
+    grid.querySelectorAll('.js-historico').forEach(input => {
+        if (document.activeElement === input) return;
+        const valor = (historico[input.dataset.historicoMes] || {})[input.dataset.historicoCampo] || 0;
+        input.value = valor > 0 ? formatCurrency(valor) : '';
+    });
+}
+
+/**
+ * Lists the leaves of absence of the employee, with their type and dates and a button to remove each one.
+ */
+function renderAfastamentosUI() {
+    const list = document.getElementById('afastamentos-list');
+    if (!list) return;
+
+    const afastamentos = state.funcionario.afastamentos || [];
+    // Rebuilding the rows would drop the focus of the field being typed, so they are only regenerated when one is added or removed
+    if (list.dataset.total !== String(afastamentos.length)) {
+        list.dataset.total = String(afastamentos.length);
+        const opcoes = Object.entries(AFASTAMENTO_TYPES).map(([tipo, { descricao }]) => `<option value="${tipo}">${descricao}</option>`).join('');
+        const inputClass = 'js-afastamento flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm';
+        list.innerHTML = afastamentos.length === 0
+            ? '<p class="text-xs text-muted-foreground">Nenhum afastamento informado.</p>'
+            : afastamentos.map((_, index) => `<div class="grid grid-cols-1 md:grid-cols-4 gap-3 items-end"><div class="space-y-1 md:col-span-2"><label class="text-xs font-medium">Tipo</label><select class="${inputClass} appearance-none" data-afastamento-index="${index}" data-afastamento-campo="tipo" aria-label="Tipo do afastamento ${index + 1}">${opcoes}</select></div><div class="space-y-1"><label class="text-xs font-medium">Início</label><input type="date" class="${inputClass}" data-afastamento-index="${index}" data-afastamento-campo="inicio" aria-label="Início do afastamento ${index + 1}"></div><div class="space-y-1"><label class="text-xs font-medium">Fim</label><div class="flex gap-2"><input type="date" class="${inputClass}" data-afastamento-index="${index}" data-afastamento-campo="fim" aria-label="Fim do afastamento ${index + 1}"><button type="button" class="js-remover-afastamento text-red-600 text-sm px-2" data-afastamento-index="${index}" aria-label="Remover afastamento ${index + 1}">✕</button></div></div></div>`).join('');
+    }
+
+    list.querySelectorAll('.js-afastamento').forEach(input => {
+        if (document.activeElement === input) return;
+        input.value = (afastamentos[input.dataset.afastamentoIndex] || {})[input.dataset.afastamentoCampo] || '';
+    });
+}
+
+/**
+ * Shows the averages taken from the salary history in the average fields of the calculator, which are
+ * locked while the history covers the period.
+ * @param {string} calculatorName - The active calculator, e.g. "ferias".
+ * @param {object|null} medias - The averages returned with the calculation, or null when they were typed.
+ */
+function renderMediasHistoricoUI(calculatorName, medias) {
+    ['mediaHorasExtras', 'mediaAdicionalNoturno', 'mediaComissoes'].forEach(campo => {
+        const input = document.querySelector(`[data-state="${calculatorName}.${campo}"]`);
+        if (!input) return;
+        input.disabled = Boolean(medias);
+        if (medias) {
+            input.value = formatCurrency(medias[campo]);
+        }
+    });
+}
+
 /**
  * Renders the conditional UI for the "Salário Família" (Family Allowance) section.
  * Shows or hides the number of children input based on the state.
@@ -1394,6 +2815,170 @@ function renderSalarioFamiliaUI() {
     }
 }
 
+/**
+ * Hides the company charges of the employer cost when the contract does not pay them: the domestic employer
+ * pays the Simples Doméstico and the estagiário carries no contributions.
+ */
+function renderEncargosEmpresaUI() {
+    const container = document.getElementById('encargos-empresa-custo-empregador');
+    if (!container) return;
+
+    const contrato = calculations.getContractType(state.funcionario);
+    container.classList.toggle('hidden', contrato.tipo === 'domestico' || !contrato.empregado);
+}
+
+/**
+ * Shows the shift time fields or the monthly clock hours, following how the night work is informed.
+ */
+function renderAdicionalNoturnoUI() {
+    const horarioContainer = document.getElementById('noturno-horario-container');
+    const horasContainer = document.getElementById('noturno-horas-container');
+    if (!horarioContainer || !horasContainer) return;
+
+    const porHorario = state.salarioLiquido.noturnoEntrada === 'horario';
+    horarioContainer.classList.toggle('hidden', !porHorario);
+    horasContainer.classList.toggle('hidden', porHorario);
+}
+
+/**
+ * Shows the expected end date field only when the severance reason is the end of an experience contract.
+ */
+function renderContratoExperienciaUI() {
+    const container = document.getElementById('data-termino-contrato-container');
+    if (!container) return;
+
+    if (state.rescisao.motivo === 'termino_contrato_experiencia') {
+        container.classList.remove('hidden');
+    } else {
+        container.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the stability end date field only when a job stability is chosen for the severance.
+ */
+function renderEstabilidadeUI() {
+    const container = document.getElementById('data-fim-estabilidade-container');
+    if (!container) return;
+
+    container.classList.toggle('hidden', (state.rescisao.estabilidade || 'nenhuma') === 'nenhuma');
+}
+
+/**
+ * Shows the pension fields that apply to the chosen calculation type.
+ * @param {string} calculatorName - The active calculator, e.g. "salarioLiquido".
+ */
+function renderPensaoUI(calculatorName) {
+    const calculatorState = state[calculatorName];
+    if (!calculatorState || !('pensaoTipo' in calculatorState)) return;
+
+    const formIdName = calculatorName.replace(/([A-Z])/g, g => `-${g[0].toLowerCase()}`);
+    const tipo = calculatorState.pensaoTipo;
+    const visibility = {
+        beneficiarios: tipo !== 'nenhuma',
+        percentual: tipo.startsWith('percentual'),
+        valor: tipo === 'valor_fixo'
+    };
+    Object.entries(visibility).forEach(([field, visible]) => {
+        const container = document.getElementById(`pensao-${field}-container-${formIdName}`);
+        if (container) container.classList.toggle('hidden', !visible);
+    });
+}
+
+/**
+ * Shows the notice start date for a worked notice, and the Art. 488 reduction choice only when the employer gave it.
+ */
+function renderReducaoAvisoUI() {
+    const inicioContainer = document.getElementById('data-inicio-aviso-container');
+    if (inicioContainer) inicioContainer.classList.toggle('hidden', state.rescisao.avisoPrevio !== 'trabalhado');
+
+    const container = document.getElementById('reducao-aviso-container');
+    if (!container) return;
+
+    if (state.rescisao.avisoPrevio === 'trabalhado' && state.rescisao.motivo === 'sem_justa_causa') {
+        container.classList.remove('hidden');
+    } else {
+        container.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the estimated FGTS balance in the rescisão form. When the estimate is used, it fills the balance
+ * field, which is locked so the informed value is kept in the state for comparison.
+ * @param {object|null} fgts - The FGTS information returned by calculateRescisao, or null when the tab is not active.
+ */
+function renderFgtsProjetadoUI(fgts) {
+    const input = document.getElementById('saldo-fgts');
+    const info = document.getElementById('fgts-projecao-info');
+    if (!input || !info || state.activeTab !== 'rescisao') return;
+
+    const usarProjecao = state.rescisao.fgtsOrigem === 'projetado';
+    input.disabled = usarProjecao;
+    if (usarProjecao && fgts) {
+        input.value = formatCurrency(fgts.projecao.saldo);
+    }
+    info.textContent = fgts && fgts.projecao.meses.length > 0
+        ? `Estimativa pelo histórico do contrato: ${formatCurrency(fgts.projecao.saldo)} (depósitos de ${formatAliquota(fgts.aliquota)} sobre salários, 13º e 1/3 de férias, com juros de 3% ao ano e TR, ${fgts.mesesHistorico > 0 ? `pelos ${fgts.mesesHistorico} meses preenchidos no histórico de remuneração` : 'pela remuneração atual em todo o contrato'}).`
+        : 'A estimativa soma os depósitos de 8% (salários, 13º e 1/3 de férias) com juros de 3% ao ano e TR.';
+}
+
+/**
+ * Builds the daily rows of the timesheet for the competência and keeps their markings and situation in sync with the state.
+ * @param {object|null} results - The result of calculateCartaoPonto, or null when the tab is not active.
+ */
+function renderCartaoPontoUI(results) {
+    const grid = document.getElementById('cartao-ponto-grid');
+    if (!grid || !results) return;
+
+    if (results.dias.length === 0) {
+        delete grid.dataset.competencia;
+        grid.innerHTML = '<p class="text-xs text-muted-foreground">Informe a competência e o horário contratual para preencher as marcações.</p>';
+        return;
+    }
+    // Rebuilding the rows would drop the focus of the field being typed, so they are only regenerated for another month
+    if (grid.dataset.competencia !== state.cartaoPonto.competencia) {
+        grid.dataset.competencia = state.cartaoPonto.competencia;
+        const cabecalho = ['Dia', ...CAMPOS_PONTO.map(([, label]) => label), 'Abonado', 'Situação'].map(label => `<th class="py-2 pr-2 text-left font-medium">${label}</th>`).join('');
+        const linhas = results.dias.map(({ data, diaSemana, tipo }) => `<tr class="border-b ${tipo === 'util' ? '' : 'bg-gray-50'}"><td class="py-1 pr-2 whitespace-nowrap">${data.slice(8)}/${data.slice(5, 7)} ${DIAS_SEMANA[diaSemana]}</td>${CAMPOS_PONTO.map(([campo, label]) => `<td class="py-1 pr-2"><input type="time" class="js-ponto h-8 rounded-md border border-input bg-background px-2 text-sm" data-ponto-data="${data}" data-ponto-campo="${campo}" aria-label="${label} em ${formatDate(data)}"></td>`).join('')}<td class="py-1 pr-2 text-center"><input type="checkbox" class="js-ponto h-4 w-4 border-input text-primary focus:ring-primary" data-ponto-data="${data}" data-ponto-campo="abonado" aria-label="Dia ${formatDate(data)} abonado"></td><td class="py-1 text-xs text-muted-foreground whitespace-nowrap" data-ponto-situacao="${data}"></td></tr>`).join('');
+        grid.innerHTML = `<table class="w-full text-sm"><thead><tr class="border-b">${cabecalho}</tr></thead><tbody>${linhas}</tbody></table>`;
+    }
+
+    results.dias.forEach(linha => {
+        const registro = state.cartaoPonto.registros[linha.data] || {};
+        grid.querySelectorAll(`[data-ponto-data="${linha.data}"]`).forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(registro.abonado);
+            } else if (document.activeElement !== input) {
+                input.value = registro[input.dataset.pontoCampo] || '';
+            }
+        });
+        const situacao = grid.querySelector(`[data-ponto-situacao="${linha.data}"]`);
+        if (situacao) situacao.textContent = describeDiaPonto(linha);
+    });
+}
+
+/**
+ * Lists the complete acquisition periods of the rescisão, with a checkbox to mark the ones already enjoyed.
+ * @param {Array<object>|null} periodos - The periods returned by calculateRescisao, or null when the tab is not active.
+ */
+function renderPeriodosAquisitivosUI(periodos) {
+    const container = document.getElementById('periodos-aquisitivos-container');
+    const list = document.getElementById('periodos-aquisitivos-list');
+    if (!container || !list || !periodos) return;
+
+    if (!state.rescisao.feriasVencidas) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    if (periodos.length === 0) {
+        list.innerHTML = '<p class="text-xs text-muted-foreground">Nenhum período aquisitivo completo entre a admissão e a demissão.</p>';
+        return;
+    }
+    list.innerHTML = periodos.map(({ inicio, fim, fimConcessao, emDobro, gozado }) => `<label class="flex items-center space-x-2 text-sm"><input type="checkbox" class="js-periodo-gozado h-4 w-4 border-input text-primary focus:ring-primary" value="${inicio}" ${gozado ? 'checked' : ''}><span>${formatDate(inicio)} a ${formatDate(fim)}: já gozado</span><span class="text-xs ${emDobro ? 'text-red-600' : 'text-muted-foreground'}">(concessão até ${formatDate(fimConcessao)}${emDobro ? ', em dobro' : ''})</span></label>`).join('');
+}
+
 function renderFormInputs(calculatorName) {
     const formIdName = calculatorName.replace(/([A-Z])/g, g => `-${g[0].toLowerCase()}`);
     const form = document.getElementById(`form-${formIdName}`);
@@ -1439,25 +3024,42 @@ export function render() {
 
     // 1. Update form inputs to reflect the current state
     renderFormInputs(activeCalculator);
+    renderFormInputs('funcionario');
 
     // 2. Run calculation based on active tab and generate HTML
     switch (activeCalculator) {
         case 'ferias':
-            results = calculations.calculateFerias(state.ferias);
+            results = calculations.calculateFerias(state.ferias, state.funcionario);
             html = createFeriasResultHTML(results);
             break;
         case 'decimoTerceiro':
-            results = calculations.calculateDecimoTerceiro(state.decimoTerceiro);
+            results = calculations.calculateDecimoTerceiro(state.decimoTerceiro, state.funcionario);
             html = createDecimoTerceiroResultHTML(results);
             break;
         case 'salarioLiquido':
-            results = calculations.calculateSalarioLiquido(state.salarioLiquido);
+            results = calculations.calculateSalarioLiquido(state.salarioLiquido, state.funcionario);
             html = createSalarioLiquidoResultHTML(results);
             break;
         case 'rescisao':
-            results = calculations.calculateRescisao(state.rescisao);
+            results = calculations.calculateRescisao(state.rescisao, state.funcionario);
             html = createRescisaoResultHTML(results);
             break;
+        case 'seguroDesemprego':
+            results = calculations.calculateSeguroDesemprego(state.seguroDesemprego, state.funcionario);
+            html = createSeguroDesempregoResultHTML(results);
+            break;
+        case 'cartaoPonto':
+            results = calculations.calculateCartaoPonto(state.cartaoPonto);
+            html = createCartaoPontoResultHTML(results);
+            break;
+        case 'custoEmpregador':
+            results = calculations.calculateCustoEmpregador(state.custoEmpregador, state.funcionario);
+            html = createCustoEmpregadorResultHTML(results);
+            break;
+        case 'cltPj':
+            results = calculations.calculateCltPj(state.cltPj);
+            html = createCltPjResultHTML(results);
+            break;
     }
 
     // 3. Update the result container
@@ -1469,7 +3071,20 @@ export function render() {
     renderTabs();
 
     // 5. Update conditional UI elements
+    renderFuncionarioUI(activeCalculator);
+    renderHistoricoUI();
+    renderAfastamentosUI();
+    renderMediasHistoricoUI(activeCalculator, results && results.medias ? results.medias : null);
     renderSalarioFamiliaUI();
+    renderEncargosEmpresaUI();
+    renderAdicionalNoturnoUI();
+    renderContratoExperienciaUI();
+    renderEstabilidadeUI();
+    renderReducaoAvisoUI();
+    renderPensaoUI(activeCalculator);
+    renderFgtsProjetadoUI(activeCalculator === 'rescisao' ? results.fgts : null);
+    renderPeriodosAquisitivosUI(activeCalculator === 'rescisao' ? results.periodosAquisitivos : null);
+    renderCartaoPontoUI(activeCalculator === 'cartaoPonto' ? results : null);
 
     // 6. Update field states (e.g., disabled)
     renderFieldStates(activeCalculator);
@@ -29,6 +29,56 @@ export function unmaskCurrency(value) {
     return isNaN(number) ? 0 : number;
 }
 
+/**
+ * Converts an amount in reais to whole cents, rounding half away from zero as payroll does.
+ * The tiny relative nudge absorbs binary representation errors such as 1.005 * 100 = 100.49999999999999.
+ * @param {number} value - The amount in reais.
+ * @returns {number} - The amount as an integer number of cents.
+ */
+export function toCents(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return 0;
+    return Math.sign(value) * Math.round(Math.abs(value) * 100 * (1 + 8 * Number.EPSILON)) || 0;
+}
+
+/**
+ * Converts whole cents back to an amount in reais.
+ * @param {number} cents - The integer number of cents.
+ * @returns {number} - The amount in reais.
+ */
+export function fromCents(cents) {
+    return cents / 100;
+}
+
+/**
+ * Rounds an amount to the cent, the precision of every rubric on a payslip.
+ * @param {number} value - The amount in reais.
+ * @returns {number} - The amount rounded to two decimals.
+ */
+export function roundMoney(value) {
+    return fromCents(toCents(value));
+}
+
+/**
+ * Adds amounts cent by cent, so a total always equals the sum of the lines shown.
+ * Subtractions are written as negative amounts.
+ * @param {number[]} values - The amounts in reais.
+ * @returns {number} - The total rounded to the cent.
+ */
+export function sumMoney(values) {
+    return fromCents(values.reduce((sum, value) => sum + toCents(value), 0));
+}
+
+/**
+ * Formats an ISO date string (YYYY-MM-DD) as a Brazilian date (DD/MM/YYYY).
+ * @param {string} isoDate - The ISO date string.
+ * @returns {string} - The formatted date, or an empty string for invalid input.
+ */
+export function formatDate(isoDate) {
+    if (typeof isoDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return '';
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
+
 /**
  * Creates a debounced function that delays invoking the provided function
  * until after `wait` milliseconds have elapsed since the last time the
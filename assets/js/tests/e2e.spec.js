@@ -29,8 +29,8 @@ export async function runE2ETests() {
 
             expect(resultText).toContain('Resumo do seu cálculo de férias');
             expect(resultText).toContain('Total Líquido a Receber:');
-            // The exact value comes from the unit test: 3,505.20 (formatted)
-            expect(resultText).toContain('R$ 3.505,20');
+            // The IRRF with the desconto simplificado leaves 3,511.83 (formatted)
+            expect(resultText).toContain('R$ 3.511,83');
         });
 
         it('Teste de Interatividade (Checkbox): deve adicionar o abono pecuniário ao marcar', async () => {
@@ -47,7 +47,7 @@ export async function runE2ETests() {
 
             expect(resultText).toContain('Abono Pecuniário (Venda 1/3)');
             // Check for the new, higher total
-            expect(resultText).toContain('R$ 4.838,53'); // Recalculated expected value
+            expect(resultText).toContain('R$ 4.845,16'); // Recalculated expected value
         });
 
         it('Teste de Interatividade (Checkbox): deve remover o abono pecuniário ao desmarcar', async () => {
@@ -63,7 +63,7 @@ export async function runE2ETests() {
 
             // Using .not.toContain
             expect(resultContainer.textContent).not.toContain('Abono Pecuniário');
-            expect(resultContainer.textContent).toContain('R$ 3.505,20');
+            expect(resultContainer.textContent).toContain('R$ 3.511,83');
         });
 
         it('Teste de Validação: deve mostrar erro se o salário for zerado', async () => {
@@ -187,9 +187,10 @@ export async function runE2ETests() {
             await sleep(1);
 
             // 2. Verify Result
+            // The verbas leave the paid lines; they may still be listed, with the reason, under "Verbas Não Devidas"
             const resultText = document.getElementById('rescisao-results').textContent;
-            expect(resultText).not.toContain('Aviso Prévio Indenizado');
-            expect(resultText).not.toContain('Multa de 40% do FGTS');
+            expect(resultText).not.toContain('Aviso Prévio Indenizado:');
+            expect(resultText).not.toContain('Multa de 40% do FGTS:');
         });
 
         it('Teste de Validação de Datas: deve exibir erro com data de demissão anterior à admissão', async () => {
@@ -256,7 +257,7 @@ export async function runE2ETests() {
             expect(resultText).not.toContain('Preencha os campos para calcular.');
             expect(resultText).toContain('Salário Líquido a Receber:');
             const initialNetValue = resultText.match(/R\$\s*([\d.,]+)/g).pop();
-            expect(initialNetValue).toBe('R$ 3.498,34');
+            expect(initialNetValue).toBe('R$ 3.511,83');
 
             // 4. Simulate typing a discount
             document.getElementById('desconto-saude-salario-liquido').value = '150';
@@ -267,7 +268,7 @@ export async function runE2ETests() {
             resultText = resultsEl.textContent;
             const newNetValue = resultText.match(/R\$\s*([\d.,]+)/g).pop();
             expect(newNetValue).not.toBe(initialNetValue);
-            expect(resultText).toContain('R$ 3.348,34'); // 3498.34 - 150
+            expect(resultText).toContain('R$ 3.361,83'); // 3511.83 - 150
         });
     });
 
@@ -363,8 +364,8 @@ export async function runE2ETests() {
             simulatorInput.dispatchEvent(new Event('input', { bubbles: true }));
             await sleep(1);
 
-            // Base state has 200 discount. Net for 5k is 4140.58. With 200 discount = 3940.58
-            expect(resultElement.textContent).toBe('R$ 3.940,58');
+            // Base state has 200 discount. Net for 5k is 4177.52 with every rubric rounded. With 200 discount = 3977.52
+            expect(resultElement.textContent).toBe('R$ 3.977,52');
         });
 
         it('Pilar 4: `localStorage` deve salvar e limpar os dados', async () => {
@@ -394,4 +395,117 @@ export async function runE2ETests() {
             expect(localStorage.getItem('appState')).toBe(null);
         });
     });
+
+    // The runner does not wait for the tests of a suite, so the tab tests are awaited to keep their tab active.
+    await describe('E2E Test: Aba Seguro-Desemprego', async () => {
+        await it('deve calcular as parcelas ao informar o salário e os meses trabalhados', async () => {
+            // 1. Switch to tab
+            document.getElementById('tab-seguro-desemprego').click();
+            await sleep(1);
+            const resultsEl = document.getElementById('seguro-desemprego-results');
+            expect(resultsEl.textContent).toContain('Preencha os campos para calcular.');
+
+            // 2. Simulate typing the last salary and the months worked
+            document.getElementById('salario-1-seguro-desemprego').value = '3000';
+            document.getElementById('salario-1-seguro-desemprego').dispatchEvent(new Event('input', { bubbles: true }));
+            document.getElementById('meses-trabalhados-seguro-desemprego').value = '15';
+            document.getElementById('meses-trabalhados-seguro-desemprego').dispatchEvent(new Event('input', { bubbles: true }));
+            await sleep(1);
+
+            // 3. Assert the installments of the first request: 1711.01 + (3000 - 2138.76) * 50%
+            const resultText = resultsEl.textContent;
+            expect(resultText).toContain('Resultado do Seguro-Desemprego');
+            expect(resultText).toContain('2.141,63');
+            expect(resultText).not.toContain('Sem direito ao benefício');
+        });
+    });
+
+    await describe('E2E Test: Aba Cartão de Ponto', async () => {
+        await it('deve totalizar as marcações do mês e as horas noturnas do regime escolhido', async () => {
+            // 1. Switch to tab and choose the month
+            document.getElementById('tab-cartao-ponto').click();
+            await sleep(1);
+            const resultsEl = document.getElementById('cartao-ponto-results');
+            expect(resultsEl.textContent).toContain('Preencha os campos para calcular.');
+
+            document.getElementById('competencia-cartao-ponto').value = '2025-06';
+            document.getElementById('competencia-cartao-ponto').dispatchEvent(new Event('input', { bubbles: true }));
+            await sleep(1);
+
+            // 2. Simulate the markings of a Sunday worked from 20:00 to 23:00
+            const marcar = (campo, valor) => {
+                const input = document.querySelector(`[data-ponto-data="2025-06-08"][data-ponto-campo="${campo}"]`);
+                input.value = valor;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            };
+            marcar('entrada', '20:00');
+            marcar('saida', '23:00');
+            await sleep(1);
+
+            // 3. Assert the totals: 3h at 100% and 1h of urban night work (22h to 23h)
+            let resultText = resultsEl.textContent;
+            expect(resultText).toContain('Resultado do Cartão de Ponto');
+            expect(resultText).toContain('Horas extras a 100%: 3h00');
+            expect(resultText).toContain('Horas noturnas (relógio): 1h00');
+
+            // 4. The rural livestock window starts at 20h
+            const regime = document.getElementById('regime-noturno-cartao-ponto');
+            regime.value = 'rural_pecuaria';
+            regime.dispatchEvent(new Event('change', { bubbles: true }));
+            await sleep(1);
+
+            resultText = resultsEl.textContent;
+            expect(resultText).toContain('Horas noturnas (relógio): 3h00');
+        });
+    });
+
+    await describe('E2E Test: Aba Custo do Funcionário', async () => {
+        await it('deve calcular o custo mensal do empregador ao digitar o salário', async () => {
+            // 1. Switch to tab
+            document.getElementById('tab-custo-empregador').click();
+            await sleep(1);
+            const resultsEl = document.getElementById('custo-empregador-results');
+            expect(resultsEl.textContent).toContain('Preencha os campos para calcular.');
+
+            // 2. Simulate typing salary
+            document.getElementById('salario-bruto-custo-empregador').value = '3000';
+            document.getElementById('salario-bruto-custo-empregador').dispatchEvent(new Event('input', { bubbles: true }));
+            await sleep(1);
+
+            // 3. Assert the monthly cost with the default Lucro Real ou Presumido charges
+            const resultText = resultsEl.textContent;
+            expect(resultText).toContain('Resultado do Custo do Funcionário');
+            expect(resultText).toContain('Lucro Real ou Presumido');
+            expect(resultText).toContain('4.945,00');
+        });
+    });
+
+    await describe('E2E Test: Aba CLT × PJ', async () => {
+        await it('deve mostrar o faturamento PJ equivalente e comparar uma proposta', async () => {
+            // 1. Switch to tab
+            document.getElementById('tab-clt-pj').click();
+            await sleep(1);
+            const resultsEl = document.getElementById('clt-pj-results');
+            expect(resultsEl.textContent).toContain('Preencha os campos para calcular.');
+
+            // 2. Simulate typing the CLT salary
+            document.getElementById('salario-bruto-clt-pj').value = '5000';
+            document.getElementById('salario-bruto-clt-pj').dispatchEvent(new Event('input', { bubbles: true }));
+            await sleep(1);
+
+            // 3. Assert the equivalent PJ revenue in the Simples Nacional
+            let resultText = resultsEl.textContent;
+            expect(resultText).toContain('Resultado da Comparação CLT × PJ');
+            expect(resultText).toContain('5.558,47/mês');
+            expect(resultText).not.toContain('Diferença anual da proposta PJ');
+
+            // 4. Simulate typing a PJ proposal
+            document.getElementById('faturamento-pj-clt-pj').value = '8000';
+            document.getElementById('faturamento-pj-clt-pj').dispatchEvent(new Event('input', { bubbles: true }));
+            await sleep(1);
+
+            resultText = resultsEl.textContent;
+            expect(resultText).toContain('Diferença anual da proposta PJ');
+        });
+    });
 }
@@ -1,6 +1,6 @@
 import { describe, it, expect } from './test-runner.js';
 import * as calculations from '../app/calculations.js';
-import { SALARIO_MINIMO_2025 } from '../app/config.js';
+import { toCents, roundMoney, sumMoney } from '../app/utils.js';
 
 // This function will be imported and called by the main test runner.
 export async function runUnitTests() {
@@ -14,15 +14,40 @@ export async function runUnitTests() {
         it('should calculate INSS progressively across three tiers', () => {
             const result = calculations.calculateINSS(3000);
             // Tier 1: 1518.00 * 0.075 = 113.85
-            // Tier 2: (2793.88 - 1518.00) * 0.09 = 114.8292
-            // Tier 3: (3000.00 - 2793.88) * 0.12 = 24.7344
-            // Total: 113.85 + 114.8292 + 24.7344 = 253.4136
-            expect(result.value).toBe(253.4136);
+            // Tier 2: (2793.88 - 1518.00) * 0.09 = 114.8292 -> 114.83
+            // Tier 3: (3000.00 - 2793.88) * 0.12 = 24.7344 -> 24.73
+            // Total: 113.85 + 114.83 + 24.73 = 253.41
+            expect(result.value).toBe(253.41);
+            expect(result.details[1].value).toContain('114,83');
         });
 
         it('should respect the INSS ceiling', () => {
             const result = calculations.calculateINSS(10000);
-            expect(result.value).toBe(908.85); // INSS_CEILING
+            // Salary above 8157.41 is not taxed: 113.85 + 114.83 + 167.63 + 555.32
+            expect(result.value).toBe(951.63);
+        });
+
+        it('should apply a single rate to the whole salary before March 2020', () => {
+            const result = calculations.calculateINSS(2000, calculations.getTaxTables('2020-02'));
+            expect(result.value).toBe(180); // 2000 * 9%
+        });
+    });
+
+    await describe('Unit Test: getTaxTables', () => {
+        it('should pick the versions in force on the competência', () => {
+            const tabelas = calculations.getTaxTables('2023-04');
+            expect(tabelas.inss.validFrom).toBe('2023-01-01');
+            expect(tabelas.irrf.validFrom).toBe('2020-01-01');
+            expect(tabelas.salarioMinimo.value).toBe(1302);
+        });
+
+        it('should switch to the May 2025 IRRF table on 2025-05-01', () => {
+            expect(calculations.getTaxTables('2025-04-30').irrf.tiers[0].limit).toBe(2259.2);
+            expect(calculations.getTaxTables('2025-05-01').irrf.tiers[0].limit).toBe(2428.8);
+        });
+
+        it('should use the most recent versions when no date is given', () => {
+            expect(calculations.getTaxTables().salarioMinimo.value).toBe(1518);
         });
     });
 
@@ -43,6 +68,65 @@ export async function runUnitTests() {
             // Tier 15%: (3437.00 * 0.15) - 394.16 = 515.55 - 394.16 = 121.39
             expect(result.value).toBe(121.39);
         });
+
+        it('should use the simplified discount when it results in a lower tax', () => {
+            const inss = calculations.calculateINSS(4000).value;
+            const result = calculations.calculateIRRF(4000 - inss, 0, calculations.getTaxTables(), { deducoesLegais: inss });
+            // Legal: 3626.5864 * 15% - 394.16 = 149.83; simplified: 3392.80 * 15% - 394.16 = 114.76
+            expect(result.value).toBe(114.76);
+            expect(result.details.method).toBe('simplificado');
+            expect(result.details.alternative.method).toBe('legal');
+        });
+
+        it('should keep the legal deductions when they are more favorable', () => {
+            const inss = calculations.calculateINSS(4000).value;
+            const result = calculations.calculateIRRF(4000 - inss, 2, calculations.getTaxTables(), { deducoesLegais: inss });
+            // Legal: (3626.5864 - 379.18) * 15% - 394.16 = 92.95
+            expect(result.value).toBe(92.95);
+            expect(result.details.method).toBe('legal');
+        });
+
+        it('should not offer the simplified discount before May 2023', () => {
+            const tabelas = calculations.getTaxTables('2023-04');
+            const result = calculations.calculateIRRF(3000, 0, tabelas, { deducoesLegais: 300 });
+            expect(result.details.alternative).toBe(null);
+        });
+    });
+
+    await describe('Unit Test: calculatePensaoAlimenticia', () => {
+        const inss = calculations.calculateINSS(5000).value; // 509.59
+
+        it('should deduct a pension on the gross income from the IRRF base', () => {
+            const result = calculations.calculatePensaoAlimenticia({ pensaoTipo: 'percentual_bruto', pensaoPercentual: 20 }, { rendimento: 5000, descontoINSS: inss });
+            expect(result.value).toBe(1000);
+            // Legal: (4490.41 - 1000) * 15% - 394.16 = 129.40, below the simplified 312.89
+            expect(result.irrfResult.value).toBe(129.4);
+            expect(result.irrfResult.details.method).toBe('legal');
+            expect(result.irrfResult.details.pensionDeduction).toContain('1.000,00');
+        });
+
+        it('should resolve a pension on the net income together with the IRRF', () => {
+            const result = calculations.calculatePensaoAlimenticia({ pensaoTipo: 'percentual_liquido', pensaoPercentual: 15, pensaoBeneficiarios: 2 }, { rendimento: 5000, descontoINSS: inss });
+            // 30% of (4490.41 - IRRF), where IRRF = (4490.41 - pension) * 15% - 394.16
+            expect(result.irrfResult.value).toBe(80.98);
+            expect(result.value).toBe(1322.83);
+            expect(result.details.beneficiarios).toBe(2);
+        });
+
+        it('should multiply fixed and minimum-wage pensions by the beneficiaries', () => {
+            const fixa = calculations.calculatePensaoAlimenticia({ pensaoTipo: 'valor_fixo', pensaoValor: 600, pensaoBeneficiarios: 2 }, { rendimento: 5000, descontoINSS: inss });
+            expect(fixa.value).toBe(1200);
+            // 30% of the 2025 minimum wage (1518)
+            const salarioMinimo = calculations.calculatePensaoAlimenticia({ pensaoTipo: 'percentual_salario_minimo', pensaoPercentual: 30 }, { rendimento: 5000, descontoINSS: inss });
+            expect(salarioMinimo.value).toBe(455.4);
+        });
+
+        it('should leave the IRRF untouched without a pension', () => {
+            const result = calculations.calculatePensaoAlimenticia({}, { rendimento: 5000, descontoINSS: inss });
+            expect(result.value).toBe(0);
+            expect(result.details).toBe(null);
+            expect(result.irrfResult.value).toBe(312.89);
+        });
     });
 
     await describe('Integration Test: calculateFerias', () => {
@@ -70,17 +154,37 @@ export async function runUnitTests() {
 
             // Descontos
             // Base INSS = Férias + 1/3 = 4000
-            // INSS = 373.4136
-            expect(results.descontoINSS.value).toBe(373.4136);
+            // INSS = 113.85 + 114.83 + 144.73 = 373.41
+            expect(results.descontoINSS.value).toBe(373.41);
 
-            // Base IRRF = (Férias + 1/3) - INSS - Dependentes
-            // 4000 - 373.4136 - 189.59 = 3437.00
-            // IRRF = 121.39
-            expect(results.descontoIRRF.value).toBe(121.39);
+            // Legal deductions: 4000 - 373.41 - 189.59 = 3437.00 -> IRRF = 121.39
+            // Simplified discount: 4000 - 607.20 = 3392.80 -> (3392.80 * 0.15) - 394.16 = 114.76 (lower, so it is used)
+            expect(results.descontoIRRF.value).toBe(114.76);
+            expect(results.descontoIRRF.details.method).toBe('simplificado');
+            expect(results.descontoIRRF.details.alternative.value).toContain('121,39');
 
             // Total
-            // 4000 - 373.4136 - 121.39 = 3505.1964
-            expect(results.valorLiquido).toBe(3505.1964);
+            // 4000 - 373.41 - 114.76 = 3511.83
+            expect(results.valorLiquido).toBe(3511.83);
+        });
+
+        it('should limit the vacation days by unjustified absences', () => {
+            const results = calculations.calculateFerias({
+                salarioBruto: 3000,
+                diasFerias: 30,
+                dependentes: 0,
+                mediaHorasExtras: 0,
+                mediaAdicionalNoturno: 0,
+                periculosidade: false,
+                insalubridadeGrau: '0',
+                insalubridadeBase: 'salario_minimo',
+                abonoPecuniario: false,
+                adiantarDecimo: false,
+                faltasInjustificadas: 10,
+            });
+            // 6 to 14 absences: 24 days = 3000 / 30 * 24
+            expect(results.diasFerias).toBe(24);
+            expect(results.valorFerias).toBe(2400);
         });
     });
 
@@ -108,6 +212,30 @@ export async function runUnitTests() {
         });
     });
 
+    await describe('Unit Test: money helpers', () => {
+        it('should round half a cent away from zero despite the binary representation', () => {
+            // 1.005 is stored as 1.00499999999999989...
+            expect(toCents(1.005)).toBe(101);
+            expect(toCents(-1.005)).toBe(-101);
+            expect(roundMoney(114.8292)).toBe(114.83);
+            expect(toCents(NaN)).toBe(0);
+        });
+
+        it('should add amounts in cents', () => {
+            expect(sumMoney([0.1, 0.2])).toBe(0.3);
+            expect(sumMoney([4000, -373.41, -114.76])).toBe(3511.83);
+            expect(sumMoney([])).toBe(0);
+        });
+
+        it('should keep every rescisão total equal to the sum of its lines', () => {
+            const results = calculations.calculateRescisao({ motivo: 'sem_justa_causa', dataAdmissao: '2021-03-07', dataDemissao: '2025-07-19', salarioBruto: 3333.33, mediaHorasExtras: 211.11, saldoFgts: 7777.77, avisoPrevio: 'indenizado', feriasVencidas: true, dependentes: 1 });
+            const linhas = Object.values(results.proventos);
+            expect(linhas.every(valor => toCents(valor) / 100 === valor)).toBe(true);
+            expect(results.totalProventos).toBe(sumMoney(linhas));
+            expect(results.valorLiquido).toBe(sumMoney([results.totalProventos, -results.totalDescontos]));
+        });
+    });
+
     await describe('Unit Test: calculateDetailedDiscounts', () => {
         const salarioBruto = 2000;
 
@@ -141,7 +269,6 @@ export async function runUnitTests() {
 
     await describe('Integration Test: calculateSalarioLiquido', () => {
         const baseState = {
-            horasExtras: 0,
             dependentes: 0,
             periculosidade: false,
             insalubridadeGrau: '0',
@@ -158,11 +285,22 @@ export async function runUnitTests() {
         it('should calculate net salary for a basic scenario', () => {
             const testState = { ...baseState, salarioBruto: 3000 };
             const results = calculations.calculateSalarioLiquido(testState);
-            // INSS for 3000 = 253.4136
-            // IRRF for (3000 - 253.4136) = 2746.5864 -> falls in 2nd tier (rate 0.075, deduction 182.16)
-            // IRRF = (2746.5864 * 0.075) - 182.16 = 205.99398 - 182.16 = 23.83398
-            // Net = 3000 - 253.4136 - 23.83398 = 2722.7524 (rounded to 2722.7564)
-            expect(results.salarioLiquido).toBe(2722.7564);
+            // INSS for 3000 = 253.41
+            // Legal deductions: (3000 - 253.41) = 2746.59 -> 2nd tier -> IRRF = 23.83
+            // Simplified discount: 3000 - 607.20 = 2392.80 -> exempt, so no IRRF is withheld
+            // Net = 3000 - 253.41 = 2746.59
+            expect(results.salarioLiquido).toBe(2746.59);
+            expect(results.totalDescontos).toBe(253.41);
+        });
+
+        it('should use the tables of a past competência', () => {
+            const testState = { ...baseState, salarioBruto: 3000, insalubridadeGrau: '20', competencia: '2022-06' };
+            const results = calculations.calculateSalarioLiquido(testState);
+            // 20% of the 2022 minimum wage (1212)
+            expect(results.adicionalInsalubridade).toBe(242.4);
+            // 2022 INSS on 3242.40: 90.90 + 109.38 + (3242.40 - 2427.35) * 12% = 90.90 + 109.38 + 97.81 = 298.09
+            expect(results.descontoINSS.value).toBe(298.09);
+            expect(results.tabelas.inss.validFrom).toBe('2022-01-01');
         });
 
         it('should prioritize periculosidade when both periculosidade and insalubridade are active', () => {
@@ -192,5 +330,971 @@ export async function runUnitTests() {
             // Net = 1800 + 130 - 139.23 = 1790.77
             expect(results.salarioLiquido).toBe(1790.77);
         });
+
+        it('should discount the pension on its own line', () => {
+            const testState = { ...baseState, salarioBruto: 5000, pensaoTipo: 'percentual_bruto', pensaoPercentual: 20 };
+            const results = calculations.calculateSalarioLiquido(testState);
+            expect(results.descontoPensao.value).toBe(1000);
+            expect(results.descontoIRRF.value).toBe(129.4);
+            // 5000 - 509.59 - 129.40 - 1000
+            expect(results.salarioLiquido).toBe(3361.01);
+        });
+
+        it('should pay overtime hours at each rate on the hourly value with the risk premium', () => {
+            const testState = { ...baseState, salarioBruto: 2000, periculosidade: true, horasExtras50: 10, horasExtras100: 2, horasExtrasOutras: 4, percentualHorasExtrasOutras: 70 };
+            const results = calculations.calculateSalarioLiquido(testState);
+            // (2000 + 600) / 220 hours
+            expect(results.horasExtrasHoras.valorHora).toBe(11.8182);
+            // 10h x 1.5 = 177.27, 2h x 2 = 47.27 and 4h x 1.7 = 80.36, each rounded to the cent
+            expect(results.horasExtrasHoras.linhas.length).toBe(3);
+            expect(results.horasExtrasHoras.total).toBe(304.9);
+            // No competência and no days informed: no DSR
+            expect(results.dsr.value).toBe(0);
+        });
+
+        it('should reflect overtime and night premium on the DSR of the competência', () => {
+            const testState = { ...baseState, salarioBruto: 2200, competencia: '2025-06', horasExtras50: 10, horasExtras100: 5, horasNoturnas: 20 };
+            const results = calculations.calculateSalarioLiquido(testState);
+            // June 2025: 25 business days, 5 Sundays
+            expect(results.dsr.diasUteis).toBe(25);
+            // 20 clock hours are 22.8571 reduced night hours: 10 x 20% x 22.8571 = 45.71
+            expect(results.adicionalNoturno).toBe(45.71);
+            // (150 + 100 of overtime + 45.71 of night premium) / 25 x 5
+            expect(results.dsr.value).toBe(59.14);
+            // 2200 + 250 + 59.14 + 45.71
+            expect(results.salarioBrutoTotal).toBe(2554.85);
+
+            const informado = calculations.calculateSalarioLiquido({ ...testState, diasUteis: 24, diasDescanso: 6 });
+            expect(informado.dsr.value).toBe(73.93);
+        });
+
+        it('should pay the night premium on the shift times of every night worked', () => {
+            const testState = { ...baseState, salarioBruto: 2200, noturnoEntrada: 'horario', horarioInicio: '22:00', horarioFim: '05:00', diasNoturnos: 20 };
+            const results = calculations.calculateSalarioLiquido(testState);
+            // 7 clock hours are 8 night hours; 20 nights x 8 x 10 x 20%
+            expect(results.noturno.horasComputadas).toBe(160);
+            expect(results.adicionalNoturno).toBe(320);
+
+            const rural = calculations.calculateSalarioLiquido({ ...testState, regimeNoturno: 'rural_lavoura', horarioInicio: '21:00' });
+            // 8 clock hours a night at 25%, without the reduced hour
+            expect(rural.adicionalNoturno).toBe(400);
+        });
+
+        it('should discount absences, lost DSR and lateness before INSS', () => {
+            const testState = { ...baseState, salarioBruto: 3000, faltasInjustificadas: 1, dsrDescontados: 1, horasAtraso: 2 };
+            const results = calculations.calculateSalarioLiquido(testState);
+            // 2 days of 100 plus 2 hours of 13.6364
+            expect(results.descontoFaltas.value).toBe(227.27);
+            expect(results.salarioBrutoTotal).toBe(3000);
+            expect(results.descontoINSS.value).toBe(calculations.calculateINSS(2772.73, results.tabelas).value);
+        });
+    });
+
+    await describe('Unit Test: calculateJornadaNoturna', () => {
+        it('should count the reduced night hour and the extended hours of an urban shift', () => {
+            const jornada = calculations.calculateJornadaNoturna('22:00', '07:00');
+            expect(jornada.horasRelogio).toBe(7);
+            // 05:00 to 07:00 extends a shift that covered the whole night (Súmula 60, II)
+            expect(jornada.horasProrrogadas).toBe(2);
+            // 9 clock hours x 60 / 52.5
+            expect(jornada.horasComputadas).toBe(10.2857);
+        });
+
+        it('should extend a shift that started after 22h but was mostly worked at night', () => {
+            const jornada = calculations.calculateJornadaNoturna('23:00', '07:00');
+            expect(jornada.horasRelogio).toBe(6);
+            expect(jornada.horasProrrogadas).toBe(2);
+            // 8 clock hours x 60 / 52.5
+            expect(jornada.horasComputadas).toBe(9.1429);
+            expect(calculations.calculateJornadaNoturna('00:00', '06:00').horasRelogio).toBe(5);
+        });
+
+        it('should not extend a shift that was mostly worked during the day', () => {
+            const jornada = calculations.calculateJornadaNoturna('04:00', '13:00');
+            expect(jornada.horasRelogio).toBe(1);
+            expect(jornada.horasProrrogadas).toBe(0);
+        });
+
+        it('should apply the rural windows without the reduced hour', () => {
+            const pecuaria = calculations.calculateJornadaNoturna('20:00', '06:00', 'rural_pecuaria');
+            expect(pecuaria.horasComputadas).toBe(10);
+            expect(pecuaria.percentual).toBe(0.25);
+            expect(calculations.calculateJornadaNoturna('21:00', '05:00', 'rural_lavoura').horasComputadas).toBe(8);
+        });
+    });
+
+    await describe('Unit Test: calculateDiasDsr', () => {
+        it('should count Sundays and national holidays as rest days', () => {
+            // November 2024: 4 Sundays plus the 2nd (Saturday), 15th and 20th
+            const novembro = calculations.calculateDiasDsr('2024-11');
+            expect(novembro.diasUteis).toBe(23);
+            expect(novembro.diasDescanso).toBe(7);
+            // The 20th of November is a national holiday only from 2024 on
+            expect(calculations.calculateDiasDsr('2023-11').diasDescanso).toBe(6);
+            expect(calculations.calculateDiasDsr('').diasUteis).toBe(0);
+        });
+    });
+
+    await describe('Unit Test: calculateCartaoPonto', () => {
+        const jornada = { competencia: '2025-06', horarioEntrada: '08:00', horarioSaida: '17:00', intervaloMinutos: 60 };
+        const dia = (entrada, saida) => ({ entrada, intervaloInicio: '12:00', intervaloFim: '13:00', saida });
+        const mesCompleto = () => {
+            const registros = {};
+            calculations.calculateCartaoPonto(jornada).dias
+                .filter(linha => linha.tipo === 'util')
+                .forEach(linha => { registros[linha.data] = dia('08:00', '17:00'); });
+            return registros;
+        };
+
+        it('should disregard variations within the Art. 58 tolerance and count the whole time beyond it', () => {
+            const registros = { ...mesCompleto(), '2025-06-02': dia('08:03', '17:04'), '2025-06-03': dia('08:00', '19:00'), '2025-06-04': dia('08:30', '17:00'), '2025-06-05': dia('07:54', '17:05') };
+            const { jornada: minutos, dias, totais } = calculations.calculateCartaoPonto({ ...jornada, registros });
+            expect(minutos).toBe(480);
+            expect(dias[1].tolerancia).toBeTruthy();
+            expect(dias[1].minutosExtras).toBe(0);
+            // 6 + 5 minutes exceed the daily limit of 10, so all 11 count (Súmula 366)
+            expect(dias[4].minutosExtras).toBe(11);
+            // 2h on the 3rd plus 11 minutes on the 5th
+            expect(totais.horasExtras50).toBe(2.1833);
+            expect(totais.horasAtraso).toBe(0.5);
+            expect(totais.faltas).toBe(0);
+        });
+
+        it('should pay rest days as overtime and count absences with the lost DSR', () => {
+            const registros = mesCompleto();
+            delete registros['2025-06-10'];
+            delete registros['2025-06-12'];
+            delete registros['2025-06-24'];
+            registros['2025-06-19'] = { abonado: true };
+            registros['2025-06-07'] = { entrada: '08:00', saida: '12:00' };
+            registros['2025-06-08'] = { entrada: '20:00', saida: '23:00' };
+            const { totais } = calculations.calculateCartaoPonto({ ...jornada, registros });
+            expect(totais.horasExtras50).toBe(4);
+            expect(totais.horasExtras100).toBe(3);
+            expect(totais.horasNoturnas).toBe(1);
+            // The 10th and the 12th are in the same week; the excused 19th is not an absence
+            expect(totais.faltas).toBe(3);
+            expect(totais.dsrDescontados).toBe(2);
+            expect(totais.diasTrabalhados).toBe(19);
+        });
+
+        it('should count the night hours in the window of the rural regime', () => {
+            const registros = { '2025-06-08': { entrada: '20:00', saida: '23:00' } };
+            expect(calculations.calculateCartaoPonto({ ...jornada, registros }).totais.horasNoturnas).toBe(1);
+            // Lavoura from 21h and pecuária from 20h (Lei 5.889/73, Art. 7º)
+            expect(calculations.calculateCartaoPonto({ ...jornada, regimeNoturno: 'rural_lavoura', registros }).totais.horasNoturnas).toBe(2);
+            expect(calculations.calculateCartaoPonto({ ...jornada, regimeNoturno: 'rural_pecuaria', registros }).totais.horasNoturnas).toBe(3);
+        });
+
+        it('should not list the days without a competência or a schedule', () => {
+            expect(calculations.calculateCartaoPonto({ ...jornada, competencia: '' }).dias.length).toBe(0);
+            expect(calculations.calculateCartaoPonto({ ...jornada, horarioSaida: '' }).totais.faltas).toBe(0);
+        });
+    });
+
+    await describe('Unit Test: calculateDiasFeriasPorFaltas', () => {
+        it('should follow the Art. 130 table', () => {
+            expect(calculations.calculateDiasFeriasPorFaltas(5)).toBe(30);
+            expect(calculations.calculateDiasFeriasPorFaltas(6)).toBe(24);
+            expect(calculations.calculateDiasFeriasPorFaltas(15)).toBe(18);
+            expect(calculations.calculateDiasFeriasPorFaltas(32)).toBe(12);
+            expect(calculations.calculateDiasFeriasPorFaltas(33)).toBe(0);
+        });
+    });
+
+    await describe('Unit Test: calculateAvos', () => {
+        it('should count only months with 15 or more days in the admission year', () => {
+            const avos = calculations.calculateAvos('2025-03-20', '2025-06-10');
+            // March has 12 days and June 10 days: only April and May count
+            expect(avos.decimoTerceiro.avos).toBe(2);
+            expect(avos.decimoTerceiro.meses.length).toBe(4);
+            expect(avos.decimoTerceiro.meses[0].conta).toBeFalsy();
+            // Fractions from 20/03: two full months plus 22 days (20/05 to 10/06)
+            expect(avos.ferias.avos).toBe(3);
+            expect(avos.ferias.inicioPeriodo).toBe('2025-03-20');
+        });
+
+        it('should start férias fractions on the last admission anniversary', () => {
+            const avos = calculations.calculateAvos('2023-01-10', '2025-07-21');
+            expect(avos.decimoTerceiro.avos).toBe(7);
+            expect(avos.ferias.inicioPeriodo).toBe('2025-01-10');
+            // The last fraction (10/07 to 21/07) has only 12 days
+            expect(avos.ferias.avos).toBe(6);
+        });
+
+        it('should clamp fractions that start at the end of a month', () => {
+            const avos = calculations.calculateAvos('2025-01-31', '2025-03-30');
+            expect(avos.ferias.meses[0].fim).toBe('2025-02-27');
+            expect(avos.ferias.avos).toBe(2);
+        });
+
+        it('should keep the 13º avos of the dismissal year when the notice crosses into the next one', () => {
+            // Dismissed on 05/12/2024 with 42 days of notice projected up to 16/01/2025
+            const avos = calculations.calculateAvos('2020-03-10', '2025-01-16', [], '2024-12-05');
+            expect(avos.decimoTerceiro.meses.length).toBe(13);
+            expect(avos.decimoTerceiro.meses[12].mes).toBe('2025-01');
+            expect(avos.decimoTerceiro.avos).toBe(13);
+            // Without the base date only the year of the end date is counted
+            expect(calculations.calculateAvos('2020-03-10', '2025-01-16').decimoTerceiro.avos).toBe(1);
+        });
+    });
+
+    await describe('Unit Test: calculateProjecaoFgts', () => {
+        it('should deposit 8% of every salary and of the 13º in December', () => {
+            const result = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', [{ inicio: '2024-01-01', salario: 3000 }]);
+            // January to December 2024; the January 2025 FGTS is paid with the rescisão
+            expect(result.meses.length).toBe(12);
+            expect(result.meses[11].remuneracao).toBe(6000);
+            expect(result.totalDepositos).toBe(3120);
+        });
+
+        it('should credit 3% a year plus TR on the previous balance', () => {
+            const result = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', [{ inicio: '2024-01-01', salario: 3000 }]);
+            expect(result.meses[0].rendimento).toBe(0);
+            // 240 * ((1.03 ^ (1/12)) * (1 + 0.0007) - 1) = 0.7603, credited in cents
+            expect(result.meses[1].rendimento).toBe(0.76);
+            expect(result.saldo).toBe(3170.72);
+        });
+
+        it('should prorate the admission month, follow the salary history and deposit the 1/3 of enjoyed férias', () => {
+            const historico = [{ inicio: '2024-01-16', salario: 3000 }, { inicio: '2024-07-01', salario: 3300 }];
+            const result = calculations.calculateProjecaoFgts('2024-01-16', '2025-03-10', historico, [{ fim: '2025-01-15' }]);
+            // 16 of the 31 days of January
+            expect(result.meses[0].remuneracao).toBe(1548.39);
+            expect(result.meses[6].remuneracao).toBe(3300);
+            // January 2025: salary plus the 1/3 of the period ended on 2025-01-15
+            expect(result.meses[12].remuneracao).toBe(4400);
+        });
+
+        it('should project a higher balance after a raise than with the salary of admission kept', () => {
+            const semReajuste = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', [{ inicio: '2024-01-01', salario: 3000 }]);
+            const comReajuste = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', [{ inicio: '2024-01-01', salario: 3000 }, { inicio: '2024-07-01', salario: 3600 }]);
+            // Six months of 8% of 600 more, plus 8% of the 600 more of the 13º
+            expect(comReajuste.totalDepositos - semReajuste.totalDepositos).toBe(336);
+        });
+
+        it('should leave the days of leave without deposits out of the projection', () => {
+            const historico = [{ inicio: '2024-01-01', salario: 3000 }];
+            const licenca = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', historico, [], undefined, [{ tipo: 'nao_remunerada', inicio: '2024-04-01', fim: '2024-05-31' }]);
+            expect(licenca.meses[3].deposito).toBe(0);
+            // Neither April and May nor their 2 avos of the 13º: 3120 - 2 * 240 - 2 * 20
+            expect(licenca.totalDepositos).toBe(2600);
+            const maternidade = calculations.calculateProjecaoFgts('2024-01-01', '2025-01-15', historico, [], undefined, [{ tipo: 'maternidade', inicio: '2024-04-01', fim: '2024-07-29' }]);
+            expect(maternidade.totalDepositos).toBe(3120);
+        });
+    });
+
+    await describe('Integration Test: calculateRescisao', () => {
+        const baseState = {
+            motivo: 'sem_justa_causa',
+            dataAdmissao: '2023-01-10',
+            dataDemissao: '2025-06-15',
+            salarioBruto: 3000,
+            saldoFgts: 6000,
+            avisoPrevio: 'indenizado',
+            dependentes: 0,
+            mediaHorasExtras: 0,
+            mediaAdicionalNoturno: 0,
+            periculosidade: false,
+            insalubridadeGrau: '0',
+            insalubridadeBase: 'salario_minimo',
+            feriasVencidas: false,
+            dataTerminoContrato: '',
+        };
+
+        it('should pay every verba on a dismissal without cause', () => {
+            const results = calculations.calculateRescisao(baseState);
+            // Saldo: 3000 / 30 days of June * 15 days = 1500
+            expect(results.proventos['Saldo de Salário']).toBe(1500);
+            // 2 full years: 30 + 6 = 36 days of notice = 3600
+            expect(results.proventos['Aviso Prévio Indenizado']).toBe(3600);
+            // Fine on the balance plus 8% of saldo (120), notice (288) and 13º (140): 6548 * 40%
+            expect(results.proventos['Multa de 40% do FGTS']).toBe(2619.2);
+            expect(results.verbasExcluidas.length).toBe(0);
+        });
+
+        it('should pay the 13º of the dismissal year and the avo of the next when the notice crosses the year', () => {
+            const results = calculations.calculateRescisao({ ...baseState, dataAdmissao: '2020-03-10', dataDemissao: '2024-12-05' });
+            // 42 days of notice project the contract to 16/01/2025: 12/12 of 2024 plus 1/12 of 2025
+            expect(results.avos.decimoTerceiro.avos).toBe(13);
+            expect(results.proventos['13º Salário Proporcional']).toBe(3250);
+        });
+
+        it('should deposit the FGTS due on the termination payments', () => {
+            const results = calculations.calculateRescisao(baseState);
+            expect(results.fgts.depositosRescisorios['Saldo de Salário']).toBe(120);
+            expect(results.fgts.depositosRescisorios['Aviso Prévio Indenizado']).toBe(288);
+            expect(results.fgts.depositosRescisorios['13º Salário Proporcional']).toBe(140);
+            // Indemnified férias are not part of the FGTS base
+            expect(results.fgts.depositosRescisorios['Férias Proporcionais + 1/3']).toBe(undefined);
+            expect(results.fgts.saldoAtualizado).toBe(6548);
+            // Deposits plus the fine, paid through the guide
+            expect(results.fgts.totalGuia).toBe(3167.2);
+        });
+
+        it('should use calendar avos up to the projected end date', () => {
+            const results = calculations.calculateRescisao(baseState);
+            // Projected to 21/07/2025: 7/12 of 13º and 6/12 of férias
+            expect(results.proventos['13º Salário Proporcional']).toBe(1750);
+            expect(results.proventos['Férias Proporcionais + 1/3']).toBe(2000);
+            expect(results.avos.ferias.meses.length).toBe(7);
+        });
+
+        it('should drop notice and FGTS fine on a resignation and explain why', () => {
+            const results = calculations.calculateRescisao({ ...baseState, motivo: 'pedido_demissao' });
+            expect(results.proventos['Aviso Prévio Indenizado']).toBe(undefined);
+            expect(results.proventos['Multa de 40% do FGTS']).toBe(undefined);
+            expect(results.proventos['13º Salário Proporcional'] > 0).toBe(true);
+            expect(results.proventos['Férias Proporcionais + 1/3'] > 0).toBe(true);
+            const excluidas = results.verbasExcluidas.map(v => v.verba).join('|');
+            expect(excluidas).toContain('Aviso Prévio Indenizado');
+            expect(excluidas).toContain('Multa de 40% do FGTS');
+        });
+
+        it('should pay only saldo and férias vencidas on a dismissal with cause', () => {
+            // The first period (2023/2024) was already enjoyed, leaving one simple period
+            const results = calculations.calculateRescisao({ ...baseState, motivo: 'com_justa_causa', feriasVencidas: true, periodosGozados: ['2023-01-10'] });
+            expect(Object.keys(results.proventos).join('|')).toBe('Saldo de Salário|Férias Vencidas + 1/3');
+            expect(results.proventos['Férias Vencidas + 1/3']).toBe(4000);
+            expect(results.verbasExcluidas.length).toBe(4);
+        });
+
+        it('should split notice and FGTS fine on a mutual agreement (Art. 484-A)', () => {
+            const results = calculations.calculateRescisao({ ...baseState, motivo: 'acordo_mutuo' });
+            expect(results.proventos['Aviso Prévio Indenizado (50%)']).toBe(1800);
+            // Deposits on saldo (120), half notice (144) and 13º (140): 6404 * 20%
+            expect(results.proventos['Multa de 20% do FGTS']).toBe(1280.8);
+            expect(results.proventos['Multa de 40% do FGTS']).toBe(undefined);
+        });
+
+        it('should limit the FGTS withdrawal to 80% and deny unemployment insurance on a mutual agreement', () => {
+            const results = calculations.calculateRescisao({ ...baseState, motivo: 'acordo_mutuo' });
+            // 80% of the updated 6404 + the 20% fine of 1280.80
+            expect(results.saqueFgts).toBe(6404);
+            expect(results.direitoSeguroDesemprego).toBe(false);
+            expect(results.observacoes.join(' ')).toContain('80% do saldo');
+            expect(results.observacoes.join(' ')).toContain('5.123,20');
+            expect(results.observacoes.join(' ')).toContain('seguro-desemprego');
+        });
+
+        it('should pay the Art. 479 indemnity when an experience contract is ended early', () => {
+            const experiencia = {
+                ...baseState,
+                motivo: 'termino_contrato_experiencia',
+                dataAdmissao: '2025-05-01',
+                dataTerminoContrato: '2025-07-30',
+            };
+            const results = calculations.calculateRescisao(experiencia);
+            // 45 remaining days: (3000 / 30 * 45) / 2 = 2250
+            expect(results.proventos['Indenização Art. 479 da CLT']).toBe(2250);
+            // Deposits on saldo (120) and 2/12 of 13º (40): 6160 * 40%
+            expect(results.proventos['Multa de 40% do FGTS']).toBe(2464);
+        });
+
+        it('should not pay the Art. 479 indemnity when the experience contract reaches its term', () => {
+            const experiencia = {
+                ...baseState,
+                motivo: 'termino_contrato_experiencia',
+                dataAdmissao: '2025-03-18',
+                dataTerminoContrato: '2025-06-15',
+            };
+            const results = calculations.calculateRescisao(experiencia);
+            expect(results.proventos['Indenização Art. 479 da CLT']).toBe(undefined);
+            expect(results.verbasExcluidas.map(v => v.verba).join('|')).toContain('Indenização Art. 479 da CLT');
+        });
+
+        it('should pay each acquisition period not enjoyed, in double after the concession window', () => {
+            const results = calculations.calculateRescisao({ ...baseState, feriasVencidas: true });
+            expect(results.periodosAquisitivos.length).toBe(2);
+            // 2023/2024 had to be granted by 09/01/2025: (3000 * 2) + 1/3 = 8000
+            expect(results.periodosAquisitivos[0].emDobro).toBeTruthy();
+            expect(results.proventos['Férias Vencidas em Dobro + 1/3']).toBe(8000);
+            // 2024/2025 is still within its concession window: 3000 + 1/3 = 4000
+            expect(results.periodosAquisitivos[1].fimConcessao).toBe('2026-01-09');
+            expect(results.proventos['Férias Vencidas + 1/3']).toBe(4000);
+        });
+
+        it('should reduce férias proporcionais by unjustified absences', () => {
+            // 6/12 of férias over 18 days: 3000 / 12 * 6 * 18 / 30 = 900, plus 1/3 = 1200
+            const reduzidas = calculations.calculateRescisao({ ...baseState, faltasInjustificadas: 15 });
+            expect(reduzidas.proventos['Férias Proporcionais + 1/3']).toBe(1200);
+
+            const semDireito = calculations.calculateRescisao({ ...baseState, faltasInjustificadas: 40 });
+            expect(semDireito.proventos['Férias Proporcionais + 1/3']).toBe(undefined);
+            expect(semDireito.verbasExcluidas.map(v => v.verba).join('|')).toContain('Férias Proporcionais + 1/3');
+        });
+
+        it('should withhold IRRF separately on the saldo and exclusively on the 13º', () => {
+            const results = calculations.calculateRescisao({ ...baseState, salarioBruto: 8000 });
+            // Saldo 4000 - INSS 373.41: the simplified discount is lower (4000 - 607.20) * 15% - 394.16
+            expect(results.descontos['IRRF sobre Saldo de Salário'].value).toBe(114.76);
+            // 13º of 7/12 = 4666.67 - INSS 462.93 = 4203.74 * 22.5% - 675.49
+            expect(results.descontos['IRRF sobre 13º Salário'].value).toBe(270.35);
+            expect(results.descontos['IRRF sobre 13º Salário'].details.method).toBe('exclusiva');
+            // The indemnified notice (9600) is not taxed
+            expect(results.descontos['IRRF sobre Verbas']).toBe(undefined);
+        });
+
+        it('should draw a fixed pension from the saldo only and a percentage from the 13º too', () => {
+            const fixa = calculations.calculateRescisao({ ...baseState, pensaoTipo: 'valor_fixo', pensaoValor: 500 });
+            expect(fixa.descontos['Pensão Alimentícia'].value).toBe(500);
+
+            // 10% of the saldo (1500) and of the 13º of 7/12 (1750)
+            const percentual = calculations.calculateRescisao({ ...baseState, pensaoTipo: 'percentual_bruto', pensaoPercentual: 10 });
+            expect(percentual.descontos['Pensão Alimentícia'].value).toBe(325);
+        });
+
+        it('should compute the FGTS fine on the projected balance when asked to', () => {
+            const results = calculations.calculateRescisao({ ...baseState, fgtsOrigem: 'projetado' });
+            expect(results.fgts.saldo).toBe(results.fgts.projecao.saldo);
+            expect(results.fgts.saldoInformado).toBe(6000);
+            // (7908.99 projected + 548 of deposits on the termination payments) * 40% = 3382.796
+            expect(results.proventos['Multa de 40% do FGTS']).toBe(3382.8);
+
+            // Férias paid in the rescisão had no 1/3 deposited: two periods of 80 less than above
+            const vencidas = calculations.calculateRescisao({ ...baseState, feriasVencidas: true });
+            expect(results.fgts.projecao.totalDepositos - vencidas.fgts.projecao.totalDepositos).toBe(160);
+        });
+
+        it('should warn that the projected FGTS has no TR before the start of the TR table', () => {
+            const antigo = calculations.calculateRescisao({ ...baseState, dataAdmissao: '2015-03-02', fgtsOrigem: 'projetado' });
+            expect(antigo.observacoes.join(' ')).toContain('não aplica a TR antes de 01/09/2017');
+
+            const recente = calculations.calculateRescisao({ ...baseState, fgtsOrigem: 'projetado' });
+            expect(recente.observacoes.join(' ')).not.toContain('TR');
+        });
+
+        it('should pay a worked notice as salary without projecting the contract', () => {
+            const results = calculations.calculateRescisao({ ...baseState, avisoPrevio: 'trabalhado' });
+            // All 15 days of June fall inside the 36-day notice
+            expect(results.proventos['Saldo de Salário']).toBe(0);
+            expect(results.proventos['Aviso Prévio Trabalhado']).toBe(1500);
+            expect(results.proventos['Aviso Prévio Indenizado']).toBe(0);
+            // No projection: 13º counts up to June only (3000 / 12 * 6)
+            expect(results.proventos['13º Salário Proporcional']).toBe(1500);
+            expect(results.descontos['INSS sobre Saldo de Salário'].baseOriginal).toBe(1500);
+            expect(results.avisoPrevio.reducao).toBe('duas_horas');
+        });
+
+        it('should record the 7-day reduction of a worked notice', () => {
+            const results = calculations.calculateRescisao({ ...baseState, avisoPrevio: 'trabalhado', reducaoJornadaAviso: 'sete_dias' });
+            expect(results.avisoPrevio.reducao).toBe('sete_dias');
+            expect(results.avisoPrevio.diasTrabalhados).toBe(29);
+            expect(results.observacoes[0]).toContain('redução de 7 dias corridos');
+        });
+
+        it('should split the month into saldo and notice days when the notice starts mid-month', () => {
+            const results = calculations.calculateRescisao({ ...baseState, avisoPrevio: 'trabalhado', dataDemissao: '2025-06-30', dataInicioAviso: '2025-06-16' });
+            // 1 to 15 of June are saldo, 16 to 30 are notice
+            expect(results.proventos['Saldo de Salário']).toBe(1500);
+            expect(results.proventos['Aviso Prévio Trabalhado']).toBe(1500);
+            // The notice was cut at 15 of the 36 days due: the other 21 are indemnified (3000 / 30 * 21)
+            expect(results.avisoPrevio.diasIndenizados).toBe(21);
+            expect(results.proventos['Aviso Prévio Indenizado']).toBe(2100);
+            expect(results.observacoes[1]).toContain('Art. 487, §1º');
+        });
+
+        it('should pay and project the notice the employer waives, and drop it only when the employee asks (Súmula 276)', () => {
+            const dispensado = calculations.calculateRescisao({ ...baseState, avisoPrevio: 'dispensado' });
+            expect(dispensado.proventos['Aviso Prévio Indenizado']).toBe(3600);
+            expect(dispensado.proventos['13º Salário Proporcional']).toBe(1750);
+            expect(dispensado.observacoes.join(' ')).toContain('Súmula 276');
+
+            const pedido = calculations.calculateRescisao({ ...baseState, avisoPrevio: 'dispensado_pelo_empregado' });
+            expect(pedido.proventos['Aviso Prévio Indenizado']).toBe(0);
+            expect(pedido.avisoPrevio.diasProjecao).toBe(0);
+            // Without the projection the contract ends on 15/06/2025: 6/12 of 13º
+            expect(pedido.proventos['13º Salário Proporcional']).toBe(1500);
+            expect(pedido.verbasExcluidas[0].justificativa).toContain('Súmula 276');
+        });
+
+        it('should deduct the notice when a resigning employee does not work it', () => {
+            const results = calculations.calculateRescisao({ ...baseState, motivo: 'pedido_demissao', avisoPrevio: 'indenizado' });
+            expect(results.descontos['Aviso Prévio não Cumprido'].value).toBe(3000);
+
+            const dispensado = calculations.calculateRescisao({ ...baseState, motivo: 'pedido_demissao', avisoPrevio: 'dispensado' });
+            expect(dispensado.descontos['Aviso Prévio não Cumprido']).toBe(undefined);
+        });
+
+        it('should hand the seguro-desemprego inputs over only when the motivo allows the benefit', () => {
+            const results = calculations.calculateRescisao(baseState);
+            expect(results.seguroDesemprego.salario).toBe(3000);
+            // 10/01/2023 to 09/06/2025 are 29 whole months; the 6 days of June do not count
+            expect(results.seguroDesemprego.mesesTrabalhados).toBe(29);
+            expect(results.seguroDesemprego.dataDemissao).toBe('2025-06-15');
+
+            const pedido = calculations.calculateRescisao({ ...baseState, motivo: 'pedido_demissao' });
+            expect(pedido.seguroDesemprego).toBe(null);
+        });
+    });
+
+    await describe('Unit Test: calculateSeguroDesemprego', () => {
+        const baseState = {
+            dataDemissao: '2025-06-15',
+            salario1: 3000,
+            salario2: 3000,
+            salario3: 3000,
+            solicitacoesAnteriores: 0,
+            mesesTrabalhados: 15
+        };
+
+        it('should apply the second tier of the table to the average salary', () => {
+            const result = calculations.calculateSeguroDesemprego(baseState);
+            expect(result.elegivel).toBeTruthy();
+            expect(result.parcelas).toBe(4);
+            // 1711.01 + (3000 - 2138.76) * 50%
+            expect(result.valorParcela).toBe(2141.63);
+            expect(result.valorTotal).toBe(8566.52);
+        });
+
+        it('should average only the salaries informed and raise the installment to the minimum wage', () => {
+            const result = calculations.calculateSeguroDesemprego({ ...baseState, salario1: 1500, salario2: 0, salario3: 0, solicitacoesAnteriores: 1, mesesTrabalhados: 10 });
+            expect(result.salarioMedio).toBe(1500);
+            expect(result.valorCalculado).toBe(1200);
+            expect(result.valorParcela).toBe(1518);
+            expect(result.parcelas).toBe(3);
+        });
+
+        it('should deny the benefit below the required months and limit the installment to the ceiling', () => {
+            const highSalary = { ...baseState, salario1: 8000, salario2: 8000, salario3: 8000 };
+            const negado = calculations.calculateSeguroDesemprego({ ...highSalary, mesesTrabalhados: 11 });
+            expect(negado.elegivel).toBeFalsy();
+            expect(negado.parcelas).toBe(0);
+            expect(negado.valorTotal).toBe(0);
+            expect(negado.motivoInelegibilidade).toContain('12 meses');
+
+            const result = calculations.calculateSeguroDesemprego({ ...highSalary, mesesTrabalhados: 24 });
+            expect(result.parcelas).toBe(5);
+            expect(result.valorParcela).toBe(2424.11);
+        });
+
+        it('should follow the third-request rules for every later request', () => {
+            const result = calculations.calculateSeguroDesemprego({ ...baseState, solicitacoesAnteriores: 4, mesesTrabalhados: 6 });
+            expect(result.solicitacao).toBe(5);
+            expect(result.elegivel).toBeTruthy();
+            expect(result.parcelas).toBe(3);
+        });
+
+        it('should use the table in force on the dismissal date', () => {
+            const result = calculations.calculateSeguroDesemprego({ ...baseState, dataDemissao: '2024-06-10', salario1: 2000, salario2: 2000, salario3: 2000 });
+            expect(result.valorParcela).toBe(1600);
+            expect(result.piso).toBe(1412);
+            expect(result.teto).toBe(2313.74);
+        });
+
+        it('should use the 2020 to 2022 tables for older dismissals', () => {
+            // 2021: 1349.43 + (2000 - 1686.79) * 50%
+            const result = calculations.calculateSeguroDesemprego({ ...baseState, dataDemissao: '2021-06-10', salario1: 2000, salario2: 2000, salario3: 2000 });
+            expect(result.valorParcela).toBe(1506.04);
+            expect(result.piso).toBe(1100);
+
+            const teto2020 = calculations.calculateSeguroDesemprego({ ...baseState, dataDemissao: '2020-03-02', salario1: 5000, salario2: 5000, salario3: 5000 });
+            expect(teto2020.valorParcela).toBe(1813.03);
+        });
+
+        it('should pay the domestic employee at most 3 installments of one minimum wage', () => {
+            const domestico = { tipoContrato: 'domestico' };
+            const result = calculations.calculateSeguroDesemprego({ ...baseState, mesesTrabalhados: 30 }, domestico);
+            expect(result.parcelas).toBe(3);
+            expect(result.valorParcela).toBe(1518);
+            expect(result.valorTotal).toBe(4554);
+            expect(result.faixa).toBe(null);
+
+            // 15 of the last 24 months, whatever the number of earlier requests
+            const negado = calculations.calculateSeguroDesemprego({ ...baseState, mesesTrabalhados: 14, solicitacoesAnteriores: 2 }, domestico);
+            expect(negado.elegivel).toBeFalsy();
+            expect(negado.motivoInelegibilidade).toContain('15 meses nos últimos 24');
+        });
+    });
+
+    await describe('Integration Test: calculateCustoEmpregador', () => {
+        const baseState = {
+            salarioBruto: 3000,
+            periculosidade: false,
+            insalubridadeGrau: '0',
+            insalubridadeBase: 'salario_minimo',
+            horasNoturnas: 0,
+            cargaHorariaMensal: 220,
+            regimeTributario: 'lucro',
+            rat: '2',
+            fap: 1,
+            terceiros: 5.8,
+            valeTransporte: 0,
+            beneficios: 0,
+        };
+
+        it('should add CPP, RAT, third parties, FGTS and the fine provision on the remuneration', () => {
+            const results = calculations.calculateCustoEmpregador(baseState);
+            // 600 + 60 + 174 + 240 + 96 (40% of the FGTS deposit)
+            expect(results.encargos.length).toBe(5);
+            expect(results.totalEncargos).toBe(1170);
+            // 13º 250 and férias 250 + 83.33, with 39% of contributions on 583.33: 116.67 + 11.67 + 33.83 + 46.67 + 18.67
+            expect(results.provisoes[1].value).toBe(333.33);
+            expect(results.provisoes[2].value).toBe(227.51);
+            expect(results.totalProvisoes).toBe(810.84);
+            expect(results.custoMensal).toBe(4980.84);
+            // 11 months of 4170 plus 12 months of provisions
+            expect(results.custoAnual).toBe(55600.08);
+        });
+
+        it('should pay only the FGTS apart in the Simples Nacional and the CPP and RAT in annex IV', () => {
+            const simples = calculations.calculateCustoEmpregador({ ...baseState, regimeTributario: 'simples' });
+            expect(simples.totalEncargos).toBe(336);
+            const anexoIV = calculations.calculateCustoEmpregador({ ...baseState, regimeTributario: 'simples_anexo_iv' });
+            expect(anexoIV.totalEncargos).toBe(996);
+        });
+
+        it('should charge the transport voucher above 6% of the base salary and the other benefits', () => {
+            const results = calculations.calculateCustoEmpregador({ ...baseState, periculosidade: true, valeTransporte: 300, beneficios: 500 });
+            // The remuneration includes the 900 of periculosidade, the voucher share does not
+            expect(results.remuneracao).toBe(3900);
+            expect(results.beneficios[0].value).toBe(120);
+            expect(results.totalBeneficios).toBe(620);
+        });
+
+        it('should charge the domestic employer the Simples Doméstico whatever the tax regime', () => {
+            const results = calculations.calculateCustoEmpregador(baseState, { tipoContrato: 'domestico' });
+            // CPP 8% 240 + GILRAT 0.8% 24 + FGTS 240 + compensatory FGTS 3.2% 96, with no RAT × FAP or third parties
+            expect(results.encargos.length).toBe(4);
+            expect(results.encargos[3].rubrica).toContain('FGTS compensatório');
+            expect(results.totalEncargos).toBe(600);
+            expect(results.regime.rat).toBeFalsy();
+            // 20% of the provisions of 583.33
+            expect(results.provisoes[2].value).toBe(116.68);
+            expect(results.custoMensal).toBe(4300.01);
+        });
+
+        it('should deposit 2% of FGTS for the aprendiz and charge nothing but the recesso for the estagiário', () => {
+            const aprendiz = calculations.calculateCustoEmpregador(baseState, { tipoContrato: 'aprendiz' });
+            // 600 + 60 + 174 + FGTS 60 + fine provision 24
+            expect(aprendiz.encargos[3].value).toBe(60);
+            expect(aprendiz.encargos[4].value).toBe(24);
+            expect(aprendiz.totalEncargos).toBe(918);
+
+            const estagiario = calculations.calculateCustoEmpregador(baseState, { tipoContrato: 'estagiario' });
+            expect(estagiario.encargos.length).toBe(0);
+            expect(estagiario.provisoes.length).toBe(1);
+            expect(estagiario.totalProvisoes).toBe(250);
+            expect(estagiario.custoMensal).toBe(3250);
+        });
+    });
+
+    await describe('Integration Test: calculateCltPj', () => {
+        const baseState = {
+            salarioBruto: 10000,
+            competencia: '2025-06',
+            dependentes: 0,
+            beneficiosClt: 0,
+            regimePj: 'simples',
+            proLabore: 0,
+            ajustarFatorR: true,
+            aliquotaIss: 5,
+            custosPj: 0,
+            faturamentoPj: 0,
+        };
+
+        it('should add 11 net salaries, the férias + 1/3, the 13º and the FGTS in the CLT package', () => {
+            const { clt } = calculations.calculateCltPj(baseState);
+            expect(clt.componentes[0].value).toBe(82156.8);
+            expect(clt.componentes[1].value).toBe(9885.46);
+            expect(clt.componentes[2].value).toBe(7468.8);
+            // 8% of 11 salaries, the férias + 1/3 and the 13º
+            expect(clt.componentes[3].value).toBe(10666.67);
+            expect(clt.pacoteAnual).toBe(110177.73);
+        });
+
+        it('should find the lowest invoice that matches the package in annex III with the Fator R', () => {
+            const results = calculations.calculateCltPj(baseState);
+            expect(results.faturamentoEquivalente).toBe(10098.41);
+            expect(results.pjEquivalente.anexo).toBe('III');
+            // DAS of 6% and 11% of INSS on a pro-labore of 28% of the invoice
+            expect(results.pjEquivalente.tributos[0].value).toBe(605.9);
+            expect(results.pjEquivalente.retencoes[0].value).toBe(311.03);
+            expect(results.pjEquivalente.liquidoAnual).toBe(110177.76);
+            const centavoAbaixo = calculations.calculateCltPj({ ...baseState, faturamentoPj: 10098.40 });
+            expect(centavoAbaixo.pjProposta.liquidoAnual < results.clt.pacoteAnual).toBeTruthy();
+        });
+
+        it('should fall in annex V with a fixed pro-labore and pay the CPP in the lucro presumido', () => {
+            const anexoV = calculations.calculateCltPj({ ...baseState, ajustarFatorR: false });
+            expect(anexoV.pjEquivalente.anexo).toBe('V');
+            expect(anexoV.faturamentoEquivalente).toBe(11063.27);
+            const presumido = calculations.calculateCltPj({ ...baseState, regimePj: 'lucro_presumido' });
+            expect(presumido.faturamentoEquivalente).toBe(11535.86);
+            // 20% on the pro-labore of one minimum wage
+            expect(presumido.pjEquivalente.tributos.find(tributo => tributo.rubrica === 'CPP sobre o pró-labore').value).toBe(303.6);
+        });
+
+        it('should compare a PJ proposal with the CLT package', () => {
+            const results = calculations.calculateCltPj({ ...baseState, faturamentoPj: 15000 });
+            expect(results.pjProposta.liquidoAnual).toBe(161918.88);
+            expect(results.diferencaAnual).toBe(51741.15);
+        });
+    });
+
+    await describe('Integration Test: contract types', () => {
+        const estagiario = { tipoContrato: 'estagiario' };
+        const rescisaoState = { motivo: 'sem_justa_causa', dataAdmissao: '2023-01-10', dataDemissao: '2025-03-20', salarioBruto: 2000, saldoFgts: 5000, avisoPrevio: 'indenizado', dependentes: 0 };
+
+        it('should pay the estagiário a recesso without the 1/3, abono or INSS and no 13º', () => {
+            const ferias = calculations.calculateFerias({ salarioBruto: 2000, competencia: '2025-06', diasFerias: 30, dependentes: 0, abonoPecuniario: true, adiantarDecimo: true }, estagiario);
+            expect(ferias.valorFerias).toBe(2000);
+            expect(ferias.tercoConstitucional).toBe(0);
+            expect(ferias.valorAbono).toBe(0);
+            expect(ferias.adiantamento13).toBe(0);
+            expect(ferias.descontoINSS.value).toBe(0);
+            expect(ferias.valorLiquido).toBe(2000);
+            const decimo = calculations.calculateDecimoTerceiro({ salarioBruto: 2000, competencia: '2025-06', mesesTrabalhados: 12, dependentes: 0 }, estagiario);
+            expect(decimo.valorAReceber).toBe(0);
+        });
+
+        it('should deposit 2% of FGTS for the aprendiz', () => {
+            const results = calculations.calculateSalarioLiquido({ salarioBruto: 1518, competencia: '2025-06', dependentes: 0 }, { tipoContrato: 'aprendiz' });
+            expect(results.fgts.value).toBe(30.36);
+            expect(results.descontoINSS.value).toBe(113.85);
+        });
+
+        it('should pay the intermitente the proportional férias + 1/3 and 13º with the call', () => {
+            const results = calculations.calculateSalarioLiquido({ salarioBruto: 3000, competencia: '2025-06', dependentes: 0 }, { tipoContrato: 'intermitente' });
+            expect(results.convocacao.ferias).toBe(250);
+            expect(results.convocacao.tercoFerias).toBe(83.33);
+            expect(results.convocacao.decimoTerceiro).toBe(250);
+            // INSS on the salary plus the férias + 1/3, and on the 13º apart
+            expect(results.descontoINSS.value).toBe(293.41);
+            expect(results.convocacao.descontoINSS.value).toBe(18.75);
+            expect(results.totalProventos).toBe(3583.33);
+            expect(results.salarioLiquido).toBe(3248.87);
+            const rescisao = calculations.calculateRescisao(rescisaoState, { tipoContrato: 'intermitente' });
+            expect('13º Salário Proporcional' in rescisao.proventos).toBeFalsy();
+            expect('Férias Proporcionais + 1/3' in rescisao.proventos).toBeFalsy();
+        });
+
+        it('should release the compensatory deposits of the doméstico instead of the FGTS fine', () => {
+            const results = calculations.calculateRescisao(rescisaoState, { tipoContrato: 'domestico' });
+            expect('Multa de 40% do FGTS' in results.proventos).toBeFalsy();
+            // 3,2% deposited with each 8%, i.e. 40% of the updated balance of R$ 5.348,56
+            expect(results.proventos['Indenização Compensatória do FGTS']).toBe(2139.42);
+            // The deposits on the verbas plus 3,2% on them
+            expect(results.fgts.totalGuia).toBe(487.98);
+            const acordo = calculations.calculateRescisao({ ...rescisaoState, motivo: 'acordo_mutuo' }, { tipoContrato: 'domestico' });
+            expect(acordo.proventos['Indenização Compensatória do FGTS (50%)']).toBe(1050.51);
+        });
+
+        it('should pay the estagiário only the bolsa and the recesso on termination', () => {
+            const results = calculations.calculateRescisao({ ...rescisaoState, feriasVencidas: true }, estagiario);
+            expect(results.proventos['Saldo de Salário']).toBe(1290.32);
+            // Two periods not enjoyed, without the 1/3 or the payment in double
+            expect(results.proventos['Recesso Vencido']).toBe(4000);
+            expect(results.proventos['Recesso Proporcional']).toBe(333.33);
+            expect(results.totalProventos).toBe(5623.65);
+            expect(results.totalDescontos).toBe(0);
+            expect(results.fgts).toBe(null);
+            expect(results.direitoSeguroDesemprego).toBeFalsy();
+        });
+    });
+
+    await describe('Integration Test: salary history averages', () => {
+        const historico = {
+            '2024-12': { salario: 2500, adicionalNoturno: 200 },
+            '2025-05': { salario: 2500, horasExtras: 500, comissoes: 300 },
+            '2025-06': { salario: 3000, horasExtras: 300, bonus: 600 }
+        };
+        const funcionario = { historicoFim: '2025-06', historico };
+
+        it('should average only the filled months, updating the hours by the salary adjustments', () => {
+            const medias = calculations.calculateMediasHistorico(historico, '2024-07', '2025-06', 3000);
+            expect(medias.meses.length).toBe(3);
+            // R$ 500,00 of overtime on a R$ 2.500,00 salary are worth R$ 600,00 on R$ 3.000,00
+            expect(medias.meses[1].horasExtras).toBe(600);
+            expect(medias.mediaHorasExtras).toBe(300);
+            expect(medias.mediaAdicionalNoturno).toBe(80);
+            expect(medias.mediaComissoes).toBe(100);
+            expect(medias.mediaBonus).toBe(200);
+            expect(calculations.calculateMediasHistorico(historico, '2025-07', '2025-09', 3000)).toBe(null);
+        });
+
+        it('should take the férias averages from the 12 months before, ignoring the typed ones', () => {
+            const results = calculations.calculateFerias({ salarioBruto: 3000, competencia: '2025-07', diasFerias: 30, dependentes: 0, mediaHorasExtras: 999 }, funcionario);
+            expect(results.baseDeCalculo).toBe(3680);
+            expect(results.medias.mediaHorasExtras).toBe(300);
+        });
+
+        it('should take the 13º averages from the calendar year', () => {
+            const results = calculations.calculateDecimoTerceiro({ salarioBruto: 3000, competencia: '2025-07', mesesTrabalhados: 12, dependentes: 0 }, funcionario);
+            // December 2024 belongs to the previous 13º
+            expect(results.medias.meses.length).toBe(2);
+            expect(results.baseDeCalculo).toBe(3900);
+        });
+
+        it('should add the averages of the 12 months before the termination to the rescisão verbas', () => {
+            const results = calculations.calculateRescisao({ motivo: 'sem_justa_causa', dataAdmissao: '2023-01-10', dataDemissao: '2025-07-20', salarioBruto: 3000, saldoFgts: 5000, avisoPrevio: 'indenizado', dependentes: 0 }, funcionario);
+            expect(results.medias.mediaHorasExtras).toBe(300);
+            // 36 days of notice on R$ 3.680,00
+            expect(results.proventos['Aviso Prévio Indenizado']).toBe(4416);
+        });
+
+        it('should project the FGTS balance from the remuneration of each filled month', () => {
+            const results = calculations.calculateRescisao({ motivo: 'sem_justa_causa', dataAdmissao: '2024-12-01', dataDemissao: '2025-07-20', salarioBruto: 3000, saldoFgts: 0, fgtsOrigem: 'projetado', avisoPrevio: 'indenizado', dependentes: 0 }, funcionario);
+            expect(results.fgts.mesesHistorico).toBe(3);
+            // December 2024: 2.700,00 plus 1/12 of 13º; the blank months keep it until the raise of May
+            expect(results.fgts.projecao.meses[0].remuneracao).toBe(2925);
+            expect(results.fgts.projecao.meses[4].remuneracao).toBe(2700);
+            expect(results.fgts.projecao.meses[6].remuneracao).toBe(3900);
+            // 8% of 2.925,00 + 4 × 2.700,00 + 3.300,00 + 3.900,00
+            expect(results.fgts.projecao.totalDepositos).toBe(1674);
+        });
+    });
+
+    await describe('Integration Test: commission earners', () => {
+        it('should pay the DSR on the commissions and top the pure commission earner up to the minimum wage', () => {
+            // June 2025: 25 business days and 5 Sundays
+            const results = calculations.calculateSalarioLiquido({ salarioBruto: 0, comissoes: 1200, competencia: '2025-06', cargaHorariaMensal: 220, dependentes: 0 });
+            expect(results.comissoes.dsr).toBe(240);
+            expect(results.comissoes.complementoMinimo).toBe(78);
+            expect(results.salarioBrutoTotal).toBe(1518);
+            expect(results.fgts.value).toBe(121.44);
+        });
+
+        it('should not complement a mixed earner whose fixed salary and commissions reach the minimum wage', () => {
+            const results = calculations.calculateSalarioLiquido({ salarioBruto: 1000, comissoes: 2000, competencia: '2025-06', cargaHorariaMensal: 220, dependentes: 0 });
+            expect(results.comissoes.dsr).toBe(400);
+            expect(results.comissoes.complementoMinimo).toBe(0);
+            expect(results.salarioBrutoTotal).toBe(3400);
+        });
+
+        it('should take the commission average into the férias, 13º and rescisão bases', () => {
+            const ferias = calculations.calculateFerias({ salarioBruto: 0, mediaComissoes: 1000, competencia: '2025-06', diasFerias: 30, dependentes: 0 });
+            expect(ferias.complementoMinimo).toBe(518);
+            expect(ferias.baseDeCalculo).toBe(1518);
+            const decimo = calculations.calculateDecimoTerceiro({ salarioBruto: 1000, mediaComissoes: 2500, competencia: '2025-06', mesesTrabalhados: 12, dependentes: 0 });
+            expect(decimo.complementoMinimo).toBe(0);
+            expect(decimo.baseDeCalculo).toBe(3500);
+            const rescisao = calculations.calculateRescisao({ motivo: 'sem_justa_causa', dataAdmissao: '2023-01-10', dataDemissao: '2025-03-20', salarioBruto: 0, mediaComissoes: 1200, saldoFgts: 5000, avisoPrevio: 'indenizado', dependentes: 0 });
+            // 36 days of notice on the minimum wage
+            expect(rescisao.proventos['Aviso Prévio Indenizado']).toBe(1821.6);
+        });
+    });
+
+    await describe('Integration Test: leaves of absence', () => {
+        const doencaLonga = [{ tipo: 'doenca', inicio: '2023-03-01', fim: '2023-12-31' }];
+
+        it('should take the 13º avos of the days paid by the INSS and of a suspended contract', () => {
+            const avos = calculations.calculateAvos('2024-01-10', '2024-12-31', [
+                { tipo: 'acidente', inicio: '2024-05-10', fim: '2024-07-05' },
+                { tipo: 'nao_remunerada', inicio: '2024-10-01', fim: '2024-10-31' }
+            ]);
+            // The employer pays the first 15 days of the leave, so the INSS only from 25/05
+            expect(avos.decimoTerceiro.meses[4].diasAfastado).toBe(7);
+            expect(avos.decimoTerceiro.meses[5].conta).toBeFalsy();
+            expect(avos.decimoTerceiro.avos).toBe(10);
+            // October is left out of the acquisition period, whose fraction 10/10 to 09/11 has only 9 days
+            expect(avos.ferias.avos).toBe(11);
+        });
+
+        it('should lose the acquisition period after 6 months of benefit and restart it on the return', () => {
+            const periodos = calculations.calculatePeriodosAquisitivos('2022-01-10', '2025-04-28', '2025-03-20', doencaLonga);
+            expect(periodos[1].perdido).toBeTruthy();
+            expect(periodos[1].diasBeneficio).toBe(291);
+            expect(periodos[2].inicio).toBe('2024-01-01');
+            expect(periodos[2].fimConcessao).toBe('2025-12-31');
+        });
+
+        it('should extend the acquisition period by the days of military service', () => {
+            const ferias = calculations.calculateFerias({ salarioBruto: 3000, competencia: '2025-08', dataAdmissao: '2024-08-01', diasFerias: 30, dependentes: 0 }, { afastamentos: [{ tipo: 'servico_militar', inicio: '2025-03-01', fim: '2025-04-30' }] });
+            expect(ferias.valorFerias).toBe(3000);
+            expect(ferias.observacoes[0]).toContain('antes de completar o período aquisitivo');
+            expect(ferias.observacoes[1]).toContain('prorrogado até 30/09/2025');
+        });
+
+        it('should take the acquisition period from the admission anniversary, not from the 12 months before the férias', () => {
+            // Admitted on 15/03/2023, so the férias of 08/2025 belong to the period from 15/03/2024, extended by
+            // the 60 days of unpaid leave in 04-05/2024, which the 12 months before the férias would leave out
+            const ferias = calculations.calculateFerias({ salarioBruto: 3000, competencia: '2025-08', dataAdmissao: '2023-03-15', diasFerias: 30, dependentes: 0 }, { afastamentos: [{ tipo: 'nao_remunerada', inicio: '2024-04-01', fim: '2024-05-30' }] });
+            expect(ferias.periodoAquisitivo.inicio).toBe('2024-03-15');
+            expect(ferias.periodoAquisitivo.fim).toBe('2025-05-13');
+            expect(ferias.observacoes[0]).toContain('prorrogado até 13/05/2025');
+            expect(ferias.valorFerias).toBe(3000);
+        });
+
+        it('should pay no férias when the benefit lost the acquisition period', () => {
+            const ferias = calculations.calculateFerias({ salarioBruto: 3000, competencia: '2024-02', dataAdmissao: '2022-01-10', diasFerias: 30, dependentes: 0 }, { afastamentos: doencaLonga });
+            expect(ferias.diasFerias).toBe(0);
+            expect(ferias.valorFerias).toBe(0);
+        });
+
+        it('should keep the maternity leave as time worked and discount the other leaves from the 13º', () => {
+            const decimoState = { salarioBruto: 3000, competencia: '2025-12', mesesTrabalhados: 12, dependentes: 0 };
+            const maternidade = calculations.calculateDecimoTerceiro(decimoState, { afastamentos: [{ tipo: 'maternidade', inicio: '2025-03-01', fim: '2025-06-28' }] });
+            expect(maternidade.valorBrutoDecimo).toBe(3000);
+            const militar = calculations.calculateDecimoTerceiro(decimoState, { afastamentos: [{ tipo: 'servico_militar', inicio: '2025-03-01', fim: '2025-04-30' }] });
+            expect(militar.mesesTrabalhados).toBe(10);
+            expect(militar.valorBrutoDecimo).toBe(2500);
+        });
+
+        it('should leave the lost period out of the férias vencidas of the rescisão', () => {
+            const results = calculations.calculateRescisao({ motivo: 'sem_justa_causa', dataAdmissao: '2022-01-10', dataDemissao: '2025-03-20', salarioBruto: 3000, saldoFgts: 5000, avisoPrevio: 'indenizado', feriasVencidas: true, dependentes: 0 }, { afastamentos: doencaLonga });
+            expect(results.periodosAquisitivos.length).toBe(2);
+            // The period restarted on 01/01/2024 is still within its concession window
+            expect(results.proventos['Férias Vencidas + 1/3']).toBe(4000);
+            expect(results.avos.ferias.inicioPeriodo).toBe('2025-01-01');
+            expect(results.observacoes[0]).toContain('foi perdido');
+        });
+    });
+
+    await describe('Integration Test: job stability indemnity', () => {
+        const rescisaoState = { motivo: 'sem_justa_causa', dataAdmissao: '2024-03-10', dataDemissao: '2025-06-10', salarioBruto: 3000, saldoFgts: 5000, avisoPrevio: 'indenizado', dependentes: 0, estabilidade: 'gestante', dataFimEstabilidade: '2025-12-31' };
+
+        it('should indemnify the stability remaining after the projected notice with its reflections', () => {
+            const results = calculations.calculateRescisao(rescisaoState);
+            // The 33-day notice projects the contract to 13/07, so 14/07 to 31/12 is 5 months and 18 days
+            expect(results.estabilidade.inicio).toBe('2025-07-14');
+            expect(results.estabilidade.meses).toBe(5);
+            expect(results.estabilidade.dias).toBe(18);
+            expect(results.proventos['Indenização da Estabilidade (Salários)']).toBe(16800);
+            expect(results.proventos['13º Salário da Estabilidade']).toBe(1500);
+            expect(results.proventos['Férias + 1/3 da Estabilidade']).toBe(2000);
+            // 8% of 18.300,00 plus the 40% fine
+            expect(results.proventos['FGTS + 40% da Estabilidade']).toBe(2049.6);
+            expect(results.observacoes[0]).toContain('Súmula 244 do TST');
+        });
+
+        it('should keep the stability indemnity out of the taxes and of the FGTS deposits', () => {
+            const semEstabilidade = calculations.calculateRescisao({ ...rescisaoState, estabilidade: 'nenhuma' });
+            const results = calculations.calculateRescisao(rescisaoState);
+            expect(results.totalDescontos).toBe(semEstabilidade.totalDescontos);
+            expect(results.fgts.totalDepositosRescisorios).toBe(semEstabilidade.fgts.totalDepositosRescisorios);
+        });
+
+        it('should not indemnify the stability on a resignation or when it ends within the notice', () => {
+            const pedido = calculations.calculateRescisao({ ...rescisaoState, motivo: 'pedido_demissao' });
+            expect(pedido.estabilidade).toBe(null);
+            expect(pedido.verbasExcluidas.some(item => item.verba === 'Indenização da Estabilidade')).toBeTruthy();
+            const dentroDoAviso = calculations.calculateRescisao({ ...rescisaoState, dataFimEstabilidade: '2025-07-10' });
+            expect('Indenização da Estabilidade (Salários)' in dentroDoAviso.proventos).toBeFalsy();
+        });
+    });
+
+    await describe('Integration Test: late payment fines', () => {
+        const rescisaoState = { motivo: 'sem_justa_causa', dataAdmissao: '2024-03-10', dataDemissao: '2025-06-10', salarioBruto: 3000, saldoFgts: 5000, avisoPrevio: 'indenizado', dependentes: 0 };
+
+        it('should set the payment deadline 10 days after the end of the contract', () => {
+            const results = calculations.calculateRescisao({ ...rescisaoState, dataPagamento: '2025-06-20' });
+            expect(results.pagamento.prazo).toBe('2025-06-20');
+            expect(results.pagamento.atrasado).toBeFalsy();
+            expect('Multa do Art. 477, §8º da CLT' in results.proventos).toBeFalsy();
+        });
+
+        it('should add the Art. 477 fine of one salary when the payment is late', () => {
+            const results = calculations.calculateRescisao({ ...rescisaoState, dataPagamento: '2025-06-25' });
+            expect(results.pagamento.diasAtraso).toBe(5);
+            expect(results.proventos['Multa do Art. 477, §8º da CLT']).toBe(3000);
+            expect(results.observacoes[0]).toContain('Art. 477, §8º');
+        });
+
+        it('should add 50% of the undisputed verbas under Art. 467, leaving the Art. 477 fine out of the base', () => {
+            const results = calculations.calculateRescisao({ ...rescisaoState, dataPagamento: '2025-06-25', multa467: true });
+            // Saldo 1.000,00 + aviso 3.300,00 + 13º 1.500,00 + férias 1.333,33 + FGTS fine 2.185,60 = 9.318,93
+            expect(results.proventos['Multa do Art. 467 da CLT (50%)']).toBe(4659.47);
+        });
     });
 }